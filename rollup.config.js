@@ -7,7 +7,10 @@ import license from 'rollup-plugin-license';
 const packageJSONText = fs.readFileSync(path.join(import.meta.dirname, 'package.json'), 'utf-8');
 const packageJSON = JSON.parse(packageJSONText);
 
-const external = ['@turbowarp/jszip', '@turbowarp/json'];
+const external = ['@turbowarp/jszip', '@turbowarp/json', 'pako'];
+
+// Only used by Node.js-specific code such as the file system asset cache
+const nodeBuiltins = ['node:fs/promises', 'node:path', 'node:http', 'node:https', 'node:zlib'];
 
 const headerPlugin = license({
   banner: {
@@ -24,7 +27,7 @@ export default [
       file: 'lib/bundle-node.cjs',
       format: 'cjs'
     },
-    external
+    external: [...external, ...nodeBuiltins]
   },
   {
     // For browsers using npm
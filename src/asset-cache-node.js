@@ -0,0 +1,62 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * @param {string} md5ext
+ * @returns {boolean} true if md5ext can safely be used as a file name
+ */
+export const isSafeFileName = (md5ext) => /^[\w-][\w.-]*$/.test(md5ext);
+
+/**
+ * @param {string} file
+ * @returns {Promise<boolean>}
+ */
+const exists = async (file) => {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Create an asset cache that stores each asset as a file named after its md5ext.
+ * Several processes can safely share the same directory.
+ * @param {string} directory Created if it does not exist.
+ * @returns {import('./downloader.js').AssetCache}
+ */
+export const createFileSystemAssetCache = (directory) => ({
+  get: async (md5ext) => {
+    if (!isSafeFileName(md5ext)) {
+      return null;
+    }
+    try {
+      const data = await fs.readFile(path.join(directory, md5ext));
+      return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    } catch (e) {
+      if (e && e.code === 'ENOENT') {
+        return null;
+      }
+      throw e;
+    }
+  },
+
+  put: async (md5ext, data) => {
+    if (!isSafeFileName(md5ext)) {
+      return;
+    }
+    // Files are named after their checksum, so an existing file already has the same data.
+    const finalPath = path.join(directory, md5ext);
+    if (await exists(finalPath)) {
+      return;
+    }
+    await fs.mkdir(directory, {
+      recursive: true
+    });
+    // Write to a temporary file first so that other readers never see a partially written asset.
+    const temporaryPath = `${finalPath}.${process.pid}.${Math.random().toString(36).substring(2)}.tmp`;
+    await fs.writeFile(temporaryPath, new Uint8Array(data));
+    await fs.rename(temporaryPath, finalPath);
+  }
+});
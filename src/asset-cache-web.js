@@ -0,0 +1,51 @@
+const STORE_NAME = 'assets';
+
+/**
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Create an asset cache that stores assets in IndexedDB, keyed by md5ext.
+ * @param {string} [databaseName] Defaults to 'sbdl-assets'
+ * @returns {import('./downloader.js').AssetCache}
+ */
+export const createIndexedDBAssetCache = (databaseName) => {
+  /** @type {Promise<IDBDatabase>|null} */
+  let databasePromise = null;
+
+  const openDatabase = () => {
+    if (!databasePromise) {
+      const request = indexedDB.open(databaseName || 'sbdl-assets', 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      databasePromise = requestToPromise(request);
+      // If opening fails, let the next call try again.
+      databasePromise.catch(() => {
+        databasePromise = null;
+      });
+    }
+    return databasePromise;
+  };
+
+  return {
+    get: async (md5ext) => {
+      const database = await openDatabase();
+      const transaction = database.transaction(STORE_NAME, 'readonly');
+      const result = await requestToPromise(transaction.objectStore(STORE_NAME).get(md5ext));
+      return result instanceof ArrayBuffer ? result : null;
+    },
+
+    put: async (md5ext, data) => {
+      const database = await openDatabase();
+      const transaction = database.transaction(STORE_NAME, 'readwrite');
+      await requestToPromise(transaction.objectStore(STORE_NAME).put(data, md5ext));
+    }
+  };
+};
@@ -0,0 +1,262 @@
+import * as ExtendedJSON from '@turbowarp/json';
+
+// Some projects say that an asset is one format when its data is actually another, or don't say at all.
+// Scratch decides how to decode assets based on their dataFormat, so these assets may not load.
+// The real format can be found from the first few bytes of the file.
+
+/**
+ * @typedef AssetFormatRepair
+ * @property {string} oldMd5ext The md5ext that the project used before being repaired.
+ * @property {string} md5ext The md5ext that the project uses now.
+ * @property {string} oldDataFormat Previous format of the asset. Empty if it didn't have one.
+ * @property {string} dataFormat Format that was detected from the asset's data.
+ * @property {import('./downloader.js').AssetReference[]} references Costumes and sounds that use the asset.
+ */
+
+/**
+ * @param {Uint8Array} data
+ * @param {number[]} bytes
+ * @param {number} [offset]
+ * @returns {boolean}
+ */
+const startsWith = (data, bytes, offset) => {
+  offset = offset || 0;
+  if (data.length < offset + bytes.length) {
+    return false;
+  }
+  for (let i = 0; i < bytes.length; i++) {
+    if (data[offset + i] !== bytes[i]) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * @param {string} string
+ * @returns {number[]}
+ */
+const ascii = (string) => string.split('').map((i) => i.charCodeAt(0));
+
+/**
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+const isSVG = (data) => {
+  // SVG is text, so look for an <svg> tag near the start, after any XML declaration, comments, or doctype.
+  const start = new TextDecoder().decode(data.subarray(0, 4096)).replace(/^\uFEFF/, '').trimStart();
+  return start.startsWith('<') && /<svg[\s>/]/i.test(start);
+};
+
+/**
+ * Find the format of an image or sound from its contents.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {'png'|'jpg'|'gif'|'bmp'|'svg'|'wav'|'mp3'|'ogg'|null} null if the format is not recognized.
+ */
+export const detectAssetFormat = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'png';
+  }
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) {
+    return 'jpg';
+  }
+  if (startsWith(bytes, ascii('GIF87a')) || startsWith(bytes, ascii('GIF89a'))) {
+    return 'gif';
+  }
+  if (startsWith(bytes, ascii('BM'))) {
+    return 'bmp';
+  }
+  if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WAVE'), 8)) {
+    return 'wav';
+  }
+  if (startsWith(bytes, ascii('OggS'))) {
+    return 'ogg';
+  }
+  // ID3 tag, or the frame sync bits at the start of an MPEG audio frame
+  if (startsWith(bytes, ascii('ID3')) || (bytes.length >= 2 && bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0)) {
+    return 'mp3';
+  }
+  if (isSVG(bytes)) {
+    return 'svg';
+  }
+  return null;
+};
+
+/**
+ * @param {unknown} md5ext
+ * @returns {string} Lowercase extension, or an empty string if there is none.
+ */
+const getFormat = (md5ext) => {
+  if (typeof md5ext !== 'string' || !md5ext.includes('.')) {
+    return '';
+  }
+  const format = md5ext.split('.').pop().toLowerCase();
+  return format === 'jpeg' ? 'jpg' : format;
+};
+
+/**
+ * @typedef AssetToCheck
+ * @property {string} path File in the project.
+ * @property {string} format The format that the project says the asset has.
+ * @property {string} md5ext
+ * @property {(format: string) => {path: string; md5ext: string}} rename Returns what path and md5ext should be for a new format.
+ * @property {(format: string) => void} update Updates project.json to use a new format.
+ * @property {import('./downloader.js').AssetReference} reference
+ */
+
+/**
+ * @param {any} projectData
+ * @returns {AssetToCheck[]}
+ */
+const getSB3Assets = (projectData) => {
+  /** @type {AssetToCheck[]} */
+  const assets = [];
+  for (const target of Array.isArray(projectData.targets) ? projectData.targets : []) {
+    for (const type of /** @type {Array<'costume'|'sound'>} */ (['costume', 'sound'])) {
+      for (const asset of target[`${type}s`] || []) {
+        const md5ext = asset.md5ext || `${asset.assetId}.${asset.dataFormat}`;
+        const assetId = asset.assetId || md5ext.split('.')[0];
+        assets.push({
+          path: md5ext,
+          format: asset.dataFormat ? getFormat(`.${asset.dataFormat}`) : getFormat(md5ext),
+          md5ext,
+          rename: (format) => ({
+            path: `${assetId}.${format}`,
+            md5ext: `${assetId}.${format}`
+          }),
+          update: (format) => {
+            asset.dataFormat = format;
+            asset.md5ext = `${assetId}.${format}`;
+          },
+          reference: {
+            target: target.name,
+            type,
+            name: asset.name
+          }
+        });
+      }
+    }
+  }
+  return assets;
+};
+
+/**
+ * @param {import('@turbowarp/jszip')} zip
+ * @param {any} projectData
+ * @returns {AssetToCheck[]}
+ */
+const getSB2Assets = (zip, projectData) => {
+  /** @type {AssetToCheck[]} */
+  const assets = [];
+  /**
+   * @param {any} object The costume or sound
+   * @param {string} idKey
+   * @param {string} md5Key
+   * @param {string[]} possibleFormats Where to look for the file if md5ext doesn't have an extension.
+   * @param {import('./downloader.js').AssetReference} reference
+   */
+  const add = (object, idKey, md5Key, possibleFormats, reference) => {
+    const id = object[idKey];
+    const md5ext = typeof object[md5Key] === 'string' ? object[md5Key] : '';
+    const format = getFormat(md5ext);
+    const hash = md5ext.split('.')[0];
+    if (typeof id !== 'number' || id < 0) {
+      return;
+    }
+    const candidates = format ? [`${id}.${md5ext.split('.').pop()}`] : ['', ...possibleFormats].map((i) => `${id}.${i}`);
+    assets.push({
+      path: candidates.find((path) => zip.file(path)) || candidates[0],
+      format,
+      md5ext,
+      rename: (newFormat) => ({
+        path: `${id}.${newFormat}`,
+        md5ext: `${hash}.${newFormat}`
+      }),
+      update: (newFormat) => {
+        object[md5Key] = `${hash}.${newFormat}`;
+      },
+      reference
+    });
+  };
+  const targets = [
+    projectData,
+    ...(Array.isArray(projectData.children) ? projectData.children : []).filter((c) => c && c.objName !== undefined)
+  ];
+  for (const target of targets) {
+    for (const costume of target.costumes || []) {
+      const reference = {
+        target: target.objName,
+        type: /** @type {'costume'} */ ('costume'),
+        name: costume.costumeName
+      };
+      // Text layers are always PNG images created by Scratch, so they aren't checked
+      add(costume, 'baseLayerID', 'baseLayerMD5', ['png', 'svg', 'jpg'], reference);
+    }
+    for (const sound of target.sounds || []) {
+      add(sound, 'soundID', 'md5', ['wav', 'mp3'], {
+        target: target.objName,
+        type: 'sound',
+        name: sound.soundName
+      });
+    }
+  }
+  return assets;
+};
+
+/**
+ * Find assets whose data doesn't match the format that the project says they have, then rename the files and
+ * update project.json to use the real format.
+ * @param {import('@turbowarp/jszip')} zip Flattened project.
+ * @param {'sb2'|'sb3'} type
+ * @param {any} projectData The project's current project.json. Updated in place and stored in the zip if anything
+ * is repaired.
+ * @returns {Promise<AssetFormatRepair[]>}
+ */
+export const repairAssetFormats = async (zip, type, projectData) => {
+  const assets = type === 'sb3' ? getSB3Assets(projectData) : getSB2Assets(zip, projectData);
+
+  /** @type {Map<string, AssetFormatRepair>} */
+  const repairs = new Map();
+  /** @type {Map<string, string|null>} */
+  const detectedFormats = new Map();
+  for (const asset of assets) {
+    // Files used by more than one costume or sound are only checked once, as they may have already been renamed
+    if (!detectedFormats.has(asset.path)) {
+      const file = zip.file(asset.path);
+      detectedFormats.set(asset.path, file ? detectAssetFormat(await file.async('uint8array')) : null);
+    }
+    const format = detectedFormats.get(asset.path);
+    if (!format || format === asset.format) {
+      continue;
+    }
+
+    const renamed = asset.rename(format);
+    if (!repairs.has(asset.path)) {
+      const file = zip.file(asset.path);
+      const existingFile = zip.file(renamed.path);
+      if (existingFile && renamed.path !== asset.path) {
+        // Another file is already using the new name. Only happens in broken sb2 projects, so leave it alone.
+        continue;
+      }
+      zip.file(renamed.path, await file.async('uint8array'));
+      if (renamed.path !== asset.path) {
+        zip.remove(asset.path);
+      }
+      repairs.set(asset.path, {
+        oldMd5ext: asset.md5ext,
+        md5ext: renamed.md5ext,
+        oldDataFormat: asset.format,
+        dataFormat: format,
+        references: []
+      });
+    }
+    asset.update(format);
+    repairs.get(asset.path).references.push(asset.reference);
+  }
+
+  if (repairs.size > 0) {
+    zip.file('project.json', ExtendedJSON.stringify(projectData));
+  }
+  return Array.from(repairs.values());
+};
@@ -0,0 +1,77 @@
+import {downloadProjectFromID} from './downloader.js';
+import {AbortError} from './errors.js';
+
+/**
+ * @typedef BatchProject
+ * @property {string} id
+ * @property {string} title
+ */
+
+/**
+ * @typedef BatchProjectResult
+ * @property {string} id
+ * @property {string} title Title from the list that the project came from.
+ * @property {import('./downloader.js').DownloadedProject|null} project null if the download failed.
+ * @property {unknown} error Why the download failed, or null if it succeeded.
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Download projects from their IDs a few at a time. A project that fails does not stop the others,
+ * but aborting stops everything.
+ * @param {BatchProject[]} list
+ * @param {import('./downloader.js').Options} options Used for every project.
+ * @returns {Promise<BatchProjectResult[]>} In the same order as list.
+ */
+export const downloadProjectBatch = async (list, options) => {
+  /** @type {BatchProjectResult[]} */
+  const results = new Array(list.length);
+  let nextIndex = 0;
+  let finished = 0;
+
+  const work = async () => {
+    while (nextIndex < list.length) {
+      if (options.signal && options.signal.aborted) {
+        throw new AbortError();
+      }
+
+      const index = nextIndex++;
+      const {id, title} = list[index];
+      /** @type {BatchProjectResult} */
+      let result;
+      try {
+        result = {
+          id,
+          title,
+          project: await downloadProjectFromID(id, options),
+          error: null
+        };
+      } catch (error) {
+        if (error && error.name === 'AbortError') {
+          throw error;
+        }
+        result = {
+          id,
+          title,
+          project: null,
+          error
+        };
+      }
+
+      results[index] = result;
+      finished++;
+      if (options.onProjectFinished) {
+        options.onProjectFinished(result, finished, list.length);
+      }
+    }
+  };
+
+  const concurrency = Math.max(1, options.maxConcurrentProjects || DEFAULT_CONCURRENCY);
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, list.length); i++) {
+    workers.push(work());
+  }
+  await Promise.all(workers);
+  return results;
+};
@@ -0,0 +1,160 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {createFileSystemAssetCache, isSafeFileName} from './asset-cache-node.js';
+
+// The CLI records which projects it has finished in a JSON file so that a long job can be run again after
+// being interrupted without starting over. Assets of projects that haven't finished yet are kept in a
+// directory next to the checkpoint so that an interrupted project doesn't need to download them again.
+
+/**
+ * @typedef CheckpointEntry
+ * @property {'finished'|'failed'} status
+ * @property {string[]} [files] Where the project was saved, if finished.
+ * @property {string} [error] Why the project could not be downloaded, if failed.
+ * @property {string} time When the project finished or failed, as an ISO date.
+ */
+
+/**
+ * @typedef CheckpointData
+ * @property {number} version
+ * @property {Record<string, CheckpointEntry>} projects
+ * @property {Record<string, string[]>} inProgress The assets that were already downloaded for each project that hasn't finished.
+ */
+
+/**
+ * @typedef Checkpoint
+ * @property {(key: string) => CheckpointEntry|null} get
+ * @property {(key: string) => import('./downloader.js').AssetCache} createAssetCache Keeps the project's assets until it finishes.
+ * @property {(key: string, files: string[]) => Promise<void>} finish
+ * @property {(key: string, error: unknown) => Promise<void>} fail
+ * @property {() => Promise<void>} flush Wait until assets that were recently stored have been saved.
+ */
+
+const VERSION = 1;
+
+/**
+ * @param {string} file
+ * @returns {Promise<CheckpointData>}
+ */
+const readCheckpoint = async (file) => {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf-8');
+  } catch (e) {
+    if (e && e.code === 'ENOENT') {
+      return {
+        version: VERSION,
+        projects: {},
+        inProgress: {}
+      };
+    }
+    throw e;
+  }
+  const data = JSON.parse(text);
+  if (!data || data.version !== VERSION) {
+    throw new Error(`${file} is not a checkpoint from this version of sbdl`);
+  }
+  return data;
+};
+
+/**
+ * Load a checkpoint, or start a new one if the file does not exist yet.
+ * @param {string} file
+ * @returns {Promise<Checkpoint>}
+ */
+export const openCheckpoint = async (file) => {
+  const data = await readCheckpoint(file);
+  const assetDirectory = `${file}.assets`;
+  const assetCache = createFileSystemAssetCache(assetDirectory);
+
+  // Writes are done one at a time so that an older state can never replace a newer one.
+  let lastWrite = Promise.resolve();
+  // A write that hasn't started yet. It will include every change made before it starts, so changes made
+  // while another write is running share one write instead of rewriting the whole file for each asset.
+  /** @type {Promise<void>|null} */
+  let queuedWrite = null;
+  const save = () => {
+    if (!queuedWrite) {
+      const write = lastWrite.then(async () => {
+        queuedWrite = null;
+        // Write to a temporary file first so that being interrupted can't leave a partially written checkpoint.
+        const temporaryFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(temporaryFile, `${JSON.stringify(data, null, 2)}\n`);
+        await fs.rename(temporaryFile, file);
+      });
+      queuedWrite = write;
+      lastWrite = write.catch(() => {});
+    }
+    return queuedWrite;
+  };
+
+  /**
+   * Remove assets that no unfinished project needs anymore.
+   * @param {string[]} md5exts
+   */
+  const removeAssets = async (md5exts) => {
+    const stillNeeded = new Set();
+    for (const key of Object.keys(data.inProgress)) {
+      for (const md5ext of data.inProgress[key]) {
+        stillNeeded.add(md5ext);
+      }
+    }
+    for (const md5ext of md5exts) {
+      if (!stillNeeded.has(md5ext)) {
+        await fs.rm(path.join(assetDirectory, md5ext), {
+          force: true
+        });
+      }
+    }
+  };
+
+  return {
+    get: (key) => Object.prototype.hasOwnProperty.call(data.projects, key) ? data.projects[key] : null,
+
+    createAssetCache: (key) => ({
+      get: assetCache.get,
+      put: async (md5ext, arrayBuffer) => {
+        // The asset cache ignores these too. They must never be passed to fs.rm() later.
+        if (!isSafeFileName(md5ext)) {
+          return;
+        }
+        await assetCache.put(md5ext, arrayBuffer);
+        if (!data.inProgress[key]) {
+          data.inProgress[key] = [];
+        }
+        if (!data.inProgress[key].includes(md5ext)) {
+          data.inProgress[key].push(md5ext);
+          // Not awaited so that the download doesn't wait for the checkpoint. Errors will happen again on the
+          // next save, which is awaited.
+          save().catch(() => {});
+        }
+      }
+    }),
+
+    finish: async (key, files) => {
+      const assets = data.inProgress[key] || [];
+      delete data.inProgress[key];
+      data.projects[key] = {
+        status: 'finished',
+        files,
+        time: new Date().toISOString()
+      };
+      await save();
+      await removeAssets(assets);
+    },
+
+    fail: async (key, error) => {
+      // Assets are kept so that trying again is faster
+      data.projects[key] = {
+        status: 'failed',
+        error: `${error}`,
+        time: new Date().toISOString()
+      };
+      await save();
+    },
+
+    flush: async () => {
+      await lastWrite;
+    }
+  };
+};
@@ -0,0 +1,190 @@
+import * as ExtendedJSON from '@turbowarp/json';
+import md5 from './md5.js';
+
+// Optional cleanup for compressed projects that were made by hand or by other tools.
+// Removes files that the project doesn't use and, for sb2 projects, stores identical assets only once.
+
+// Files that operating systems leave behind when a folder is compressed
+const JUNK_FILE_NAMES = ['.DS_Store', 'Thumbs.db', 'desktop.ini'];
+
+/**
+ * @param {string} path Path inside of a zip.
+ * @returns {boolean} true if the file was probably added by an operating system and isn't part of the project.
+ */
+export const isJunkFile = (path) => {
+  const parts = path.split('/');
+  const name = parts[parts.length - 1];
+  return (
+    parts.includes('__MACOSX') ||
+    JUNK_FILE_NAMES.includes(name) ||
+    // AppleDouble files that store macOS metadata
+    name.startsWith('._')
+  );
+};
+
+/**
+ * @typedef SB2AssetReference
+ * @property {Record<string, any>} object The costume or sound in project.json
+ * @property {string} idKey Property of object that has the ID.
+ * @property {'image'|'sound'} namespace sb2 images and sounds are numbered separately.
+ * @property {string} path The file in the project.
+ */
+
+/**
+ * @param {string} md5ext
+ * @returns {string|null}
+ */
+const getExtension = (md5ext) => (typeof md5ext === 'string' && md5ext.includes('.')) ? md5ext.split('.').pop().toLowerCase() : null;
+
+/**
+ * @param {import('@turbowarp/jszip')} zip
+ * @param {any} projectData
+ * @returns {Promise<boolean>} true if project.json was modified.
+ */
+const mergeDuplicateSB2Assets = async (zip, projectData) => {
+  const targets = [
+    projectData,
+    ...(Array.isArray(projectData.children) ? projectData.children : []).filter((c) => c && c.objName !== undefined)
+  ];
+
+  /**
+   * @param {any} id
+   * @param {string} md5ext
+   * @param {string[]} possibleExtensions
+   * @returns {string|null}
+   */
+  const findPath = (id, md5ext, possibleExtensions) => {
+    if (typeof id !== 'number' || id < 0) {
+      return null;
+    }
+    const extension = getExtension(md5ext);
+    const candidates = (extension ? [extension] : possibleExtensions).map((i) => `${id}.${i}`);
+    return candidates.find((path) => zip.file(path)) || null;
+  };
+
+  /** @type {SB2AssetReference[]} */
+  const references = [];
+  for (const target of targets) {
+    for (const costume of Array.isArray(target.costumes) ? target.costumes : []) {
+      const baseLayerPath = findPath(costume.baseLayerID, costume.baseLayerMD5, ['png', 'svg', 'jpg']);
+      if (baseLayerPath) {
+        references.push({object: costume, idKey: 'baseLayerID', namespace: 'image', path: baseLayerPath});
+      }
+      const textLayerPath = costume.textLayerMD5 ? findPath(costume.textLayerID, costume.textLayerMD5, ['png']) : null;
+      if (textLayerPath) {
+        references.push({object: costume, idKey: 'textLayerID', namespace: 'image', path: textLayerPath});
+      }
+    }
+    for (const sound of Array.isArray(target.sounds) ? target.sounds : []) {
+      const soundPath = findPath(sound.soundID, sound.md5, ['wav', 'mp3']);
+      if (soundPath) {
+        references.push({object: sound, idKey: 'soundID', namespace: 'sound', path: soundPath});
+      }
+    }
+  }
+
+  // Identical files are merged into the one with the lowest ID so that the result doesn't depend on the order of sprites.
+  /** @type {Map<string, SB2AssetReference>} */
+  const canonical = new Map();
+  /** @type {Map<string, string>} */
+  const hashes = new Map();
+  for (const reference of references) {
+    if (!hashes.has(reference.path)) {
+      hashes.set(reference.path, md5(await zip.file(reference.path).async('uint8array')));
+    }
+    const key = `${reference.namespace}/${hashes.get(reference.path)}.${getExtension(reference.path)}`;
+    const existing = canonical.get(key);
+    if (!existing || reference.object[reference.idKey] < existing.object[existing.idKey]) {
+      canonical.set(key, reference);
+    }
+  }
+
+  let modified = false;
+  for (const reference of references) {
+    const key = `${reference.namespace}/${hashes.get(reference.path)}.${getExtension(reference.path)}`;
+    const best = canonical.get(key);
+    if (best.path !== reference.path) {
+      reference.object[reference.idKey] = best.object[best.idKey];
+      reference.path = best.path;
+      modified = true;
+    }
+  }
+  return modified;
+};
+
+/**
+ * @param {any} projectData
+ * @returns {Set<string>}
+ */
+const getReferencedSB3Files = (projectData) => {
+  const files = new Set();
+  for (const target of Array.isArray(projectData.targets) ? projectData.targets : []) {
+    for (const asset of [...(target.costumes || []), ...(target.sounds || [])]) {
+      files.add(asset.md5ext || `${asset.assetId}.${asset.dataFormat}`);
+    }
+  }
+  return files;
+};
+
+/**
+ * @param {any} projectData
+ * @returns {Set<string>}
+ */
+const getReferencedSB2Files = (projectData) => {
+  const files = new Set();
+  /**
+   * @param {any} id
+   * @param {string} md5ext
+   * @param {string[]} possibleExtensions
+   */
+  const add = (id, md5ext, possibleExtensions) => {
+    const extension = getExtension(md5ext);
+    for (const i of extension ? [extension] : possibleExtensions) {
+      files.add(`${id}.${i}`);
+    }
+  };
+  if (projectData.penLayerID !== undefined) {
+    files.add(`${projectData.penLayerID}.png`);
+  }
+  const targets = [projectData, ...(Array.isArray(projectData.children) ? projectData.children : [])];
+  for (const target of targets) {
+    for (const costume of (target && target.costumes) || []) {
+      add(costume.baseLayerID, costume.baseLayerMD5, ['png', 'svg', 'jpg']);
+      if (costume.textLayerMD5) {
+        add(costume.textLayerID, costume.textLayerMD5, ['png']);
+      }
+    }
+    for (const sound of (target && target.sounds) || []) {
+      add(sound.soundID, sound.md5, ['wav', 'mp3']);
+    }
+  }
+  return files;
+};
+
+/**
+ * Remove files from a flattened sb2 or sb3 project that the project doesn't use.
+ * In sb2 projects, costumes and sounds with identical data are changed to use the same file.
+ * @param {import('@turbowarp/jszip')} zip Flattened project.
+ * @param {'sb2'|'sb3'} type
+ * @param {any} projectData The project's current project.json, which may be newer than the one in the zip, such as
+ * when asset IDs were assigned to downloaded sb2 assets. Stored in the zip if it is changed.
+ * @returns {Promise<boolean>} true if anything was changed.
+ */
+export const cleanupProject = async (zip, type, projectData) => {
+  let modified = false;
+
+  if (type === 'sb2' && await mergeDuplicateSB2Assets(zip, projectData)) {
+    zip.file('project.json', ExtendedJSON.stringify(projectData));
+    modified = true;
+  }
+
+  const referencedFiles = type === 'sb3' ? getReferencedSB3Files(projectData) : getReferencedSB2Files(projectData);
+  for (const path of Object.keys(zip.files)) {
+    if (path !== 'project.json' && !referencedFiles.has(path)) {
+      zip.remove(path);
+      modified = true;
+    }
+  }
+
+  return modified;
+};
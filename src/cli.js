@@ -3,6 +3,8 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import * as SBDL from './export-node.js';
+import * as SBDLCheckpoint from './checkpoint-node.js';
+import {sanitizeURL} from './errors.js';
 
 // Manually wrap at 80 columns
 const HELP = `
@@ -14,15 +16,64 @@ Projects can be:
  - A Scratch project ID eg. '60917032'
  - A Scratch project URL eg. 'https://scratch.mit.edu/projects/60917032/'
  - An arbitrary URL eg. 'https://example.com/project.sb3'
-If multiple projects are specified, they will be downloaded sequentially.
+If multiple projects are specified, they will be downloaded one at a time unless
+--jobs is used. Projects that fail to download don't stop the others.
 
 Options:
  --help     Shows this screen
+ --unpack   Save sb2 and sb3 projects as a directory containing project.json
+            and the assets instead of a compressed file
+ --metadata Also save the project's ID, source URL, and metadata from the
+            Scratch API such as author, description, and stats to a .json file
+ --thumbnail
+            Also save the project's thumbnail to a .thumbnail.png file
+ --avatar   Also save the profile picture of the project's author to a
+            .avatar.png file
+ --warc     Also save every HTTP request and response made while downloading
+            the project to a .warc file. Requests that list the projects in a
+            studio or by a user are saved to studio-<id>.warc or
+            user-<username>.warc in the output directory.
+ --lineage  Also save every shared project that the project was remixed from,
+            up to the original project, and a .lineage.json file describing
+            how they are related
+ --studio   Treat each argument as a studio ID or URL and download every
+            project in it
+ --user     Treat each argument as a username or profile URL and download
+            every shared project by that user
+ --output <directory>
+            Save projects in this directory instead of the current one
+ --name-template <template>
+            Where to save each project inside the output directory, such as
+            '{author}/{id}.{type}'. Placeholders: {id}, {title}, {author},
+            {type}, {created}, and {modified}. Dates are YYYY-MM-DD.
+            Files such as --metadata are saved next to the project.
+ --collision <overwrite|skip|suffix>
+            What to do when a project would be saved to a path that already
+            exists. suffix adds a number like ' (2)'. Defaults to overwrite.
+ --checkpoint <file>
+            Record which projects finished or failed in this file. Running
+            the same command again skips projects that already finished and
+            tries the failed ones again.
+ --input <file>
+            Also download the projects listed in this file, one on each line.
+            Use - to read from stdin. Lines starting with # are ignored.
+ --jobs <number>
+            How many projects to download at once. Defaults to 1, or 4 for
+            studios and users.
+ --json     Print one JSON object on each line for events such as progress,
+            saved projects, and errors instead of messages for people
 
-Projects will be saved in the current working directory with a file name
-based on the detected title of the project.
+By default, projects will be saved in the current working directory with a
+file name based on the detected title of the project.
+
+Exits with status 0 if every project was downloaded, 2 if some projects could
+not be downloaded, 3 if none of the projects could be downloaded, or 1 if
+something else went wrong.
 `;
 
+// How many projects from a studio or user to download at once unless --jobs is used
+const MAX_CONCURRENT_PROJECTS = 4;
+
 const printHelp = () => {
   console.log(HELP.trim());
 };
@@ -42,23 +93,84 @@ const extractProjectID = (string) => {
   return null;
 };
 
+/**
+ * @param {string} string
+ * @returns {string|null}
+ */
+const extractStudioID = (string) => {
+  if (/^\d+$/.test(string)) {
+    return string;
+  }
+  const match = string.match(/^https?:\/\/scratch\.mit\.edu\/studios\/(\d+)\/?/);
+  if (match) {
+    return match[1];
+  }
+  return null;
+};
+
+/**
+ * @param {string} string
+ * @returns {string|null}
+ */
+const extractUsername = (string) => {
+  if (/^[\w-]+$/.test(string)) {
+    return string;
+  }
+  const match = string.match(/^https?:\/\/scratch\.mit\.edu\/users\/([\w-]+)\/?/);
+  if (match) {
+    return match[1];
+  }
+  return null;
+};
+
 /**
  * @param {string} string
  * @returns {boolean}
  */
 const isURL = (string) => string.startsWith('http:') || string.startsWith('https:');
 
+// Progress bars and colors would only be noise when the output is going to a file or another program
+const IS_TTY = !!process.stdout.isTTY;
+
 // ANSI escape codes
 const ESCAPE = '\u001b[';
-const RESET = `${ESCAPE}0m`;
+const RESET = IS_TTY ? `${ESCAPE}0m` : '';
 const CLEAR = `${RESET}${ESCAPE}1K\r`;
 const BG_WHITE = `${ESCAPE}107m`;
 const FG_BLACK = `${ESCAPE}30m`;
-const FG_RED = `${ESCAPE}31m`;
-const FG_GREEN = `${ESCAPE}32m`;
+const FG_RED = IS_TTY ? `${ESCAPE}31m` : '';
+const FG_GREEN = IS_TTY ? `${ESCAPE}32m` : '';
+
+// Set by --json. stdout then only contains events, one JSON object per line.
+let jsonOutput = false;
+
+/**
+ * Print a message for people. Not printed in --json mode.
+ * @param {string} message
+ */
+const log = (message) => {
+  if (!jsonOutput) {
+    clearProgress();
+    console.log(message);
+  }
+};
+
+/**
+ * Print an event for programs. Only printed in --json mode.
+ * @param {object} event
+ */
+const emit = (event) => {
+  if (jsonOutput) {
+    process.stdout.write(`${JSON.stringify(event)}\n`);
+  }
+};
+
+const canShowProgress = () => IS_TTY && !jsonOutput;
 
 const clearProgress = () => {
-  process.stdout.write(CLEAR);
+  if (canShowProgress()) {
+    process.stdout.write(CLEAR);
+  }
 };
 
 /**
@@ -66,6 +178,9 @@ const clearProgress = () => {
  * @param {number} progress Progress from 0-1
  */
 const printProgressUpdate = (message, progress) => {
+  if (!canShowProgress()) {
+    return;
+  }
   const width = process.stdout.columns;
   message = message.substring(0, width).padEnd(width, ' ');
   const filled = message.substring(0, progress * width);
@@ -73,6 +188,17 @@ const printProgressUpdate = (message, progress) => {
   process.stdout.write(`${CLEAR}${BG_WHITE}${FG_BLACK}${filled}${RESET}${unfilled}`);
 };
 
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatBytes = (bytes) => {
+  if (bytes < 1000 * 1000) {
+    return `${(bytes / 1000).toFixed(1)} kB`;
+  }
+  return `${(bytes / 1000 / 1000).toFixed(1)} MB`;
+};
+
 /**
  * Remove characters that can not reliably be used in file names.
  * @param {string} name
@@ -80,72 +206,828 @@ const printProgressUpdate = (message, progress) => {
  */
 const sanitizeFileName = (name) => name.replace(/[\\\/:*?"<>|\0]/g, '_')
 
-const run = async () => {
-  const args = process.argv.slice(2);
-  const options = args.filter(i => i.startsWith('-'));
-  const projects = args.filter(i => !i.startsWith('-'));
+/**
+ * @typedef SaveOptions
+ * @property {boolean} unpack
+ * @property {boolean} saveWARC
+ * @property {string} outputDirectory
+ * @property {string|null} nameTemplate
+ * @property {'overwrite'|'skip'|'suffix'} collision What to do when a project would be saved to a path that already exists.
+ */
 
-  if (projects.length === 0 || options.includes('--help')) {
-    printHelp();
-    return;
+const TEMPLATE_PLACEHOLDERS = ['id', 'title', 'author', 'type', 'created', 'modified'];
+
+const COLLISION_MODES = ['overwrite', 'skip', 'suffix'];
+
+/**
+ * @param {string} template
+ */
+const validateNameTemplate = (template) => {
+  const placeholders = template.match(/\{[^}]*\}/g) || [];
+  for (const placeholder of placeholders) {
+    if (!TEMPLATE_PLACEHOLDERS.includes(placeholder.slice(1, -1))) {
+      throw new Error(`Unknown placeholder in --name-template: ${placeholder}`);
+    }
+  }
+};
+
+/**
+ * @param {import('./downloader.js').DownloadedProject} downloadedProject
+ * @param {string|null} id
+ * @returns {Record<string, string>}
+ */
+const getTemplateValues = (downloadedProject, id) => {
+  const metadata = downloadedProject.metadata;
+  const history = metadata && metadata.history;
+  // Only the date as the time contains characters that can't be used in file names
+  const formatDate = (date) => date ? date.substring(0, 10) : 'unknown';
+  return {
+    id: id || 'unknown',
+    title: downloadedProject.title || 'Project',
+    author: metadata && metadata.author ? metadata.author.username : 'unknown',
+    type: downloadedProject.type,
+    created: formatDate(history && history.created),
+    modified: formatDate(history && history.modified)
+  };
+};
+
+/**
+ * @param {import('./downloader.js').DownloadedProject} downloadedProject
+ * @param {string|null} id
+ * @param {SaveOptions} saveOptions
+ * @returns {string} Path of the project without its file extension, eg. "/archive/Title (123)"
+ */
+const getProjectBasePath = (downloadedProject, id, saveOptions) => {
+  let name;
+  if (saveOptions.nameTemplate) {
+    const values = getTemplateValues(downloadedProject, id);
+    // Values can't create or leave directories, but the template itself can
+    name = saveOptions.nameTemplate.replace(/\{(\w+)\}/g, (match, placeholder) => (
+      sanitizeFileName(values[placeholder]).replace(/^\.+$/, '_')
+    ));
+    const extension = `.${downloadedProject.type}`;
+    if (name.endsWith(extension)) {
+      name = name.substring(0, name.length - extension.length);
+    }
+  } else if (id) {
+    name = sanitizeFileName(downloadedProject.title ? `${downloadedProject.title} (${id})` : id);
+  } else {
+    name = sanitizeFileName(downloadedProject.title || 'Project');
+  }
+  return path.resolve(saveOptions.outputDirectory, name);
+};
+
+/**
+ * @param {string} file
+ * @returns {Promise<boolean>}
+ */
+const exists = async (file) => {
+  try {
+    await fs.stat(file);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Paths that projects from this run are being saved to, so that projects downloading at the same time
+// don't pick the same name when using suffixes.
+const claimedPaths = new Set();
+
+/**
+ * @param {string} basePath
+ * @param {string} extension eg. '.sb3', or '' for unpacked projects
+ * @param {SaveOptions} saveOptions
+ * @returns {Promise<string|null>} The base path to use, or null if the project should be skipped.
+ */
+const handleCollision = async (basePath, extension, saveOptions) => {
+  if (saveOptions.collision === 'overwrite') {
+    return basePath;
+  }
+  // Paths are claimed before checking if they exist so that another project can't claim the same path while we wait.
+  // Claiming a path that already exists doesn't matter as no other project could use it either.
+  const claim = async (candidate) => {
+    if (claimedPaths.has(candidate)) {
+      return false;
+    }
+    claimedPaths.add(candidate);
+    return !await exists(`${candidate}${extension}`);
+  };
+  if (await claim(basePath)) {
+    return basePath;
+  }
+  if (saveOptions.collision === 'skip') {
+    return null;
+  }
+  for (let i = 2; ; i++) {
+    const candidate = `${basePath} (${i})`;
+    if (await claim(candidate)) {
+      return candidate;
+    }
+  }
+};
+
+/**
+ * @param {import('./downloader.js').DownloadedProject} downloadedProject
+ * @param {string|null} id
+ * @param {SaveOptions} saveOptions
+ * @param {boolean} showProgress Whether to show progress while saving.
+ * @returns {Promise<{basePath: string, filename: string, files: string[]}>} filename is the project. files is empty
+ * if the project was skipped.
+ */
+const saveProject = async (downloadedProject, id, saveOptions, showProgress) => {
+  const unpack = saveOptions.unpack && downloadedProject.type !== 'sb';
+  const extension = unpack ? '' : `.${downloadedProject.type}`;
+  const wantedBasePath = getProjectBasePath(downloadedProject, id, saveOptions);
+  const basePath = await handleCollision(wantedBasePath, extension, saveOptions);
+  if (!basePath) {
+    log(`Skipped because it already exists: ${wantedBasePath}${extension}`);
+    return {
+      basePath: wantedBasePath,
+      filename: `${wantedBasePath}${extension}`,
+      files: []
+    };
   }
 
-  for (const project of projects) {
-    const onProgress = (type, loaded, total) => {
-      let progress = loaded / total;
-      let message;
-      if (type === 'metadata') {
-        message = 'Downloading project metadata';
-      } else if (type === 'project') {
-        message = 'Downloading project data';
-      } else if (type === 'assets') {
-        message = `Downloading assets (${loaded}/${total})`;
-      } else if (type === 'compress') {
-        message = 'Compressing project';
+  const files = [];
+  const filename = `${basePath}${extension}`;
+  if (showProgress) {
+    printProgressUpdate(`Saving to ${filename}`, 0);
+  }
+  await fs.mkdir(path.dirname(filename), {
+    recursive: true
+  });
+  if (unpack) {
+    await SBDL.writeUnpackedProject(await SBDL.unpackProject(downloadedProject.arrayBuffer), filename);
+  } else {
+    await fs.writeFile(filename, new Uint8Array(downloadedProject.arrayBuffer));
+  }
+  files.push(filename);
+
+  if (downloadedProject.metadataSidecar) {
+    const metadataFilename = `${basePath}.json`;
+    await fs.writeFile(metadataFilename, downloadedProject.metadataSidecar);
+    files.push(metadataFilename);
+  }
+  if (downloadedProject.thumbnail) {
+    const thumbnailFilename = `${basePath}.thumbnail.png`;
+    await fs.writeFile(thumbnailFilename, new Uint8Array(downloadedProject.thumbnail));
+    files.push(thumbnailFilename);
+  }
+  if (downloadedProject.authorAvatar) {
+    const avatarFilename = `${basePath}.avatar.png`;
+    await fs.writeFile(avatarFilename, new Uint8Array(downloadedProject.authorAvatar));
+    files.push(avatarFilename);
+  }
+
+  log(`${FG_GREEN}Saved to: ${filename}${RESET}`);
+  return {
+    basePath,
+    filename,
+    files
+  };
+};
+
+// Options that are followed by a value, eg. --checkpoint job.json
+const VALUE_OPTIONS = ['--checkpoint', '--output', '--name-template', '--collision', '--input', '--jobs'];
+
+/**
+ * @param {string[]} args
+ * @returns {{flags: string[], values: Record<string, string>, inputs: string[]}}
+ */
+const parseArguments = (args) => {
+  const flags = [];
+  const values = {};
+  const inputs = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('-')) {
+      inputs.push(arg);
+      continue;
+    }
+    const equals = arg.indexOf('=');
+    const name = equals === -1 ? arg : arg.substring(0, equals);
+    if (VALUE_OPTIONS.includes(name)) {
+      if (equals !== -1) {
+        values[name] = arg.substring(equals + 1);
+      } else if (i + 1 < args.length) {
+        i++;
+        values[name] = args[i];
       } else {
-        message = `Unknown progress type: ${type}`;
+        throw new Error(`${name} requires a value`);
       }
-      printProgressUpdate(message, progress);
-    };
+    } else {
+      flags.push(arg);
+    }
+  }
+  return {
+    flags,
+    values,
+    inputs
+  };
+};
+
+/**
+ * Read projects from a file with one on each line. Empty lines and lines starting with # are ignored.
+ * @param {string} file Path to the file, or '-' for stdin.
+ * @returns {Promise<string[]>}
+ */
+const readInputFile = async (file) => {
+  let text;
+  if (file === '-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    text = Buffer.concat(chunks).toString('utf-8');
+  } else {
+    text = await fs.readFile(file, 'utf-8');
+  }
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+};
+
+/**
+ * @typedef Job A single project to download.
+ * @property {string} key Identifies the project in the checkpoint.
+ * @property {string|null} id
+ * @property {string|null} url
+ * @property {boolean} lineage Whether to also download the projects it was remixed from.
+ */
+
+/**
+ * @typedef JobContext
+ * @property {object} options Options for the downloader.
+ * @property {SaveOptions} saveOptions
+ * @property {import('./checkpoint-node.js').Checkpoint|null} checkpoint
+ * @property {boolean} showProgress Whether to show the project's progress bar.
+ */
+
+/**
+ * @typedef JobResult
+ * @property {string} key
+ * @property {'saved'|'skipped'|'failed'} status
+ * @property {string[]} files
+ * @property {number} size Size of the saved projects in bytes, not including files such as --metadata.
+ * @property {number} missingAssets How many assets of the saved projects could not be downloaded.
+ * @property {string} [reason] Why the project was skipped or failed.
+ */
 
-    const options = {
-      onProgress
+/**
+ * @param {unknown} error
+ * @returns {{name: string, message: string, status?: number, url?: string}}
+ */
+const describeError = (error) => {
+  if (!(error instanceof Error)) {
+    return {
+      name: 'Error',
+      message: `${error}`
     };
+  }
+  const description = {
+    name: error.name,
+    message: error.message
+  };
+  const details = /** @type {{status?: unknown, url?: unknown}} */ (error);
+  if (typeof details.status === 'number') {
+    description.status = details.status;
+  }
+  if (typeof details.url === 'string') {
+    description.url = sanitizeURL(details.url);
+  }
+  return description;
+};
 
-    const id = extractProjectID(project);
+/**
+ * @param {string} key
+ * @param {unknown} error
+ * @returns {JobResult}
+ */
+const reportFailure = (key, error) => {
+  log(`${FG_RED}Could not download ${key}: ${error}${RESET}`);
+  emit(Object.assign({
+    event: 'error',
+    key
+  }, describeError(error)));
+  return {
+    key,
+    status: 'failed',
+    files: [],
+    size: 0,
+    missingAssets: 0,
+    reason: `${error}`
+  };
+};
 
-    let downloadedProject;
-    if (id) {
-      console.log(`Downloading project from ID: ${id}`);
-      downloadedProject = await SBDL.downloadProjectFromID(id, options);
-    } else if (isURL(project)) {
-      console.log(`Downloading project from URL: ${project}`);
-      downloadedProject = await SBDL.downloadProjectFromURL(project, options);
+/**
+ * Run callback for each item with at most concurrency running at once.
+ * @template T
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<void>} callback
+ */
+const forEachConcurrently = async (items, concurrency, callback) => {
+  let nextIndex = 0;
+  const work = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      await callback(items[index], index);
+    }
+  };
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(work());
+  }
+  await Promise.all(workers);
+};
+
+/**
+ * Fetch a list of projects with the same options as the projects themselves.
+ * @template T
+ * @param {string} name Used for the file name of the WARC if --warc is used.
+ * @param {(options: object) => Promise<T>} callback
+ * @param {object} options Options for the downloader.
+ * @param {SaveOptions} saveOptions
+ * @returns {Promise<T>}
+ */
+const listProjects = async (name, callback, options, saveOptions) => {
+  const warc = saveOptions.saveWARC ? SBDL.createWARCRecorder() : null;
+  const list = await callback(warc ? Object.assign({}, options, {warc}) : options);
+  if (warc) {
+    const warcFilename = path.join(saveOptions.outputDirectory, `${sanitizeFileName(name)}.warc`);
+    await fs.mkdir(saveOptions.outputDirectory, {
+      recursive: true
+    });
+    await fs.writeFile(warcFilename, new Uint8Array(await warc.generate()));
+    log(`${FG_GREEN}Saved project list to: ${warcFilename}${RESET}`);
+  }
+  return list;
+};
+
+/**
+ * Turn a project, studio, or user given to the CLI into the projects to download.
+ * @param {string} input
+ * @param {{lineage: boolean, studio: boolean, user: boolean}} mode
+ * @param {object} options Options for the downloader.
+ * @param {SaveOptions} saveOptions
+ * @returns {Promise<Job[]>}
+ */
+const getJobs = async (input, mode, options, saveOptions) => {
+  if (mode.studio || mode.user) {
+    let list;
+    if (mode.studio) {
+      const studioId = extractStudioID(input);
+      if (!studioId) {
+        throw new Error(`Don't know how to interpret studio: ${input}`);
+      }
+      log(`Listing projects in studio: ${studioId}`);
+      list = await listProjects(`studio-${studioId}`, (options) => SBDL.getStudioProjects(studioId, options), options, saveOptions);
     } else {
-      throw new Error(`Don't know how to interpret project: ${project}`);
+      const username = extractUsername(input);
+      if (!username) {
+        throw new Error(`Don't know how to interpret user: ${input}`);
+      }
+      log(`Listing projects by user: ${username}`);
+      list = await listProjects(`user-${username}`, (options) => SBDL.getUserProjects(username, options), options, saveOptions);
+    }
+    return list.map((project) => {
+      const id = `${project.id}`;
+      return {
+        key: id,
+        id,
+        url: null,
+        lineage: mode.lineage
+      };
+    });
+  }
+
+  const id = extractProjectID(input);
+  if (mode.lineage && !id) {
+    throw new Error(`--lineage requires a Scratch project ID or URL: ${input}`);
+  }
+  if (!id && !isURL(input)) {
+    throw new Error(`Don't know how to interpret project: ${input}`);
+  }
+  return [{
+    key: id || input,
+    id,
+    url: id ? null : input,
+    lineage: mode.lineage
+  }];
+};
+
+// In --json mode, only report progress this often in milliseconds as the project data's progress changes
+// whenever more of it is received
+const PROGRESS_EVENT_INTERVAL = 100;
+
+/**
+ * @param {Job} job
+ * @param {boolean} showProgress
+ */
+const createProgressHandlers = (job, showProgress) => {
+  /** @type {import('./downloader.js').BytesEvent|null} */
+  let bytes = null;
+  const onEvent = (event) => {
+    if (event.type === 'asset-bytes') {
+      bytes = event;
     }
+  };
 
-    let title;
-    if (id) {
-      title = downloadedProject.title ? `${downloadedProject.title} (${id})` : id;
+  let lastEventType = '';
+  let lastEventTime = 0;
+  const onProgress = (type, loaded, total) => {
+    if (jsonOutput) {
+      const now = Date.now();
+      if (type === lastEventType && loaded < total && now - lastEventTime < PROGRESS_EVENT_INTERVAL) {
+        return;
+      }
+      lastEventType = type;
+      lastEventTime = now;
+      emit({
+        event: 'progress',
+        key: job.key,
+        type,
+        loaded,
+        total
+      });
+      return;
+    }
+
+    if (!showProgress) {
+      return;
+    }
+    let progress = loaded / total;
+    let message;
+    if (type === 'metadata') {
+      message = 'Downloading project metadata';
+    } else if (type === 'project') {
+      bytes = null;
+      message = 'Downloading project data';
+    } else if (type === 'assets') {
+      message = `Downloading assets (${loaded}/${total})`;
+      if (bytes) {
+        message += ` ${formatBytes(bytes.downloadedBytes)}, ${formatBytes(bytes.bytesPerSecond)}/s`;
+        if (bytes.eta !== null && loaded < total) {
+          message += `, ${Math.ceil(bytes.eta)}s left`;
+        }
+      }
+    } else if (type === 'compress') {
+      message = 'Compressing project';
     } else {
-      title = downloadedProject.title || 'Project';
+      message = `Unknown progress type: ${type}`;
     }
+    printProgressUpdate(message, progress);
+  };
 
-    const filename = path.resolve(`${sanitizeFileName(title)}.${downloadedProject.type}`);
-    printProgressUpdate(`Saving to ${filename}`, 0);
-    await fs.writeFile(filename, new Uint8Array(downloadedProject.arrayBuffer));
+  return {
+    onProgress,
+    onEvent
+  };
+};
 
-    clearProgress();
-    console.log(`${FG_GREEN}Saved to: ${filename}${RESET}`);
+/**
+ * @param {Job} job
+ * @param {object} options
+ * @param {SaveOptions} saveOptions
+ * @param {boolean} showProgress
+ * @returns {Promise<JobResult & {basePath: string}>} basePath is where the project was saved without its file extension.
+ */
+const downloadJob = async (job, options, saveOptions, showProgress) => {
+  /** @type {JobResult & {basePath: string}} */
+  const result = {
+    key: job.key,
+    status: 'saved',
+    files: [],
+    size: 0,
+    missingAssets: 0,
+    basePath: ''
+  };
+
+  /**
+   * @param {import('./downloader.js').DownloadedProject} downloadedProject
+   * @param {string|null} id
+   */
+  const save = async (downloadedProject, id) => {
+    const saved = await saveProject(downloadedProject, id, saveOptions, showProgress);
+    const isMainProject = id === job.id;
+    if (isMainProject) {
+      result.basePath = saved.basePath;
+    }
+    if (saved.files.length === 0) {
+      if (isMainProject) {
+        result.status = 'skipped';
+        result.reason = `${saved.filename} already exists`;
+      }
+      emit({
+        event: 'skipped',
+        key: job.key,
+        id,
+        path: saved.filename,
+        reason: 'exists'
+      });
+      return;
+    }
+    const size = downloadedProject.arrayBuffer.byteLength;
+    result.files.push(...saved.files);
+    result.size += size;
+    result.missingAssets += downloadedProject.missingAssets.length;
+    emit({
+      event: 'saved',
+      key: job.key,
+      id,
+      path: saved.filename,
+      size,
+      type: downloadedProject.type,
+      title: downloadedProject.title,
+      missingAssets: downloadedProject.missingAssets.length,
+      files: saved.files
+    });
+  };
+
+  if (job.lineage) {
+    const {manifest, projects: lineageProjects, failed} = await SBDL.downloadRemixLineage(job.id, options);
+    for (const node of manifest.nodes) {
+      const failure = failed.find((i) => i.id === node.id);
+      if (lineageProjects[node.id]) {
+        await save(lineageProjects[node.id], node.id);
+      } else if (failure) {
+        log(`${FG_RED}Could not download project ${node.id}: ${failure.error}${RESET}`);
+      } else {
+        log(`Project ${node.id} is unshared and could not be downloaded`);
+      }
+    }
+    // The project itself is always in the lineage, so basePath is set
+    const manifestFilename = `${result.basePath}.lineage.json`;
+    await fs.writeFile(manifestFilename, `${JSON.stringify(manifest, null, 2)}\n`);
+    log(`${FG_GREEN}Saved lineage to: ${manifestFilename}${RESET}`);
+    result.files.push(manifestFilename);
+    return result;
+  }
+
+  const downloadedProject = job.id ?
+    await SBDL.downloadProjectFromID(job.id, options) :
+    await SBDL.downloadProjectFromURL(job.url, options);
+  await save(downloadedProject, job.id);
+  return result;
+};
+
+/**
+ * @param {Job} job
+ * @returns {string}
+ */
+const describeJob = (job) => {
+  if (job.lineage) {
+    return `Downloading remix lineage of project: ${job.id}`;
+  }
+  if (job.id) {
+    return `Downloading project from ID: ${job.id}`;
+  }
+  return `Downloading project from URL: ${job.url}`;
+};
+
+/**
+ * @param {Job} job
+ * @param {JobContext} context
+ * @returns {Promise<JobResult>} Does not reject if the project can't be downloaded.
+ */
+const runJob = async (job, context) => {
+  const checkpoint = context.checkpoint;
+  const entry = checkpoint && checkpoint.get(job.key);
+  if (entry && entry.status === 'finished') {
+    log(`Skipping ${job.key}, already downloaded`);
+    emit({
+      event: 'skipped',
+      key: job.key,
+      reason: 'checkpoint'
+    });
+    return {
+      key: job.key,
+      status: 'skipped',
+      files: entry.files || [],
+      size: 0,
+      missingAssets: 0,
+      reason: 'Finished in checkpoint'
+    };
+  }
+
+  log(describeJob(job));
+  emit({
+    event: 'start',
+    key: job.key,
+    id: job.id,
+    url: job.url
+  });
+
+  const options = Object.assign({}, context.options, createProgressHandlers(job, context.showProgress));
+  if (checkpoint) {
+    options.assetCache = checkpoint.createAssetCache(job.key);
+  }
+  const warc = context.saveOptions.saveWARC ? SBDL.createWARCRecorder() : null;
+  if (warc) {
+    options.warc = warc;
+  }
+
+  try {
+    const result = await downloadJob(job, options, context.saveOptions, context.showProgress);
+    if (warc && result.status === 'saved') {
+      // Next to the project, eg. "Title (123).sb3" becomes "Title (123).warc"
+      const warcFilename = `${result.basePath}.warc`;
+      await fs.writeFile(warcFilename, new Uint8Array(await warc.generate()));
+      result.files.push(warcFilename);
+    }
+    if (checkpoint) {
+      await checkpoint.finish(job.key, result.files);
+    }
+    return result;
+  } catch (e) {
+    if (checkpoint) {
+      await checkpoint.fail(job.key, e);
+    }
+    return reportFailure(job.key, e);
+  }
+};
+
+/**
+ * @param {JobResult[]} results
+ */
+const printSummary = (results) => {
+  const rows = [['Project', 'Result', 'Size', 'Missing assets', 'Details']];
+  for (const result of results) {
+    const saved = result.status === 'saved';
+    rows.push([
+      result.key,
+      result.status,
+      saved ? formatBytes(result.size) : '',
+      saved ? `${result.missingAssets}` : '',
+      saved ? result.files[0] : result.reason
+    ]);
+  }
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+  log('');
+  for (const row of rows) {
+    // The last column isn't padded so that lines don't end with spaces
+    log(row.map((cell, column) => column === row.length - 1 ? cell : cell.padEnd(widths[column])).join('  '));
+  }
+};
+
+// Exit statuses when projects could not be downloaded. Different from 1 so that scripts can tell that
+// the error was about the projects, and from each other so they can tell if anything was downloaded.
+const EXIT_SOME_FAILED = 2;
+const EXIT_ALL_FAILED = 3;
+
+/**
+ * @returns {Promise<number>} The exit status.
+ */
+const run = async () => {
+  const {flags, values, inputs} = parseArguments(process.argv.slice(2));
+  jsonOutput = flags.includes('--json');
+
+  if (flags.includes('--help') || (inputs.length === 0 && !values['--input'])) {
+    printHelp();
+    return 0;
+  }
+
+  const unpack = flags.includes('--unpack');
+  const saveMetadata = flags.includes('--metadata');
+  const saveWARC = flags.includes('--warc');
+  const saveThumbnail = flags.includes('--thumbnail');
+  const saveAvatar = flags.includes('--avatar');
+  const lineage = flags.includes('--lineage');
+  const studio = flags.includes('--studio');
+  const user = flags.includes('--user');
+
+  const nameTemplate = values['--name-template'] || null;
+  if (nameTemplate) {
+    validateNameTemplate(nameTemplate);
+  }
+  const collision = values['--collision'] || 'overwrite';
+  if (!COLLISION_MODES.includes(collision)) {
+    throw new Error(`--collision must be one of: ${COLLISION_MODES.join(', ')}`);
+  }
+
+  let concurrency = studio || user ? MAX_CONCURRENT_PROJECTS : 1;
+  if (values['--jobs']) {
+    if (!/^[1-9]\d*$/.test(values['--jobs'])) {
+      throw new Error('--jobs must be a positive whole number');
+    }
+    concurrency = +values['--jobs'];
+  }
+
+  if (values['--input']) {
+    inputs.push(...await readInputFile(values['--input']));
+  }
+
+  const checkpointFile = values['--checkpoint'] ? path.resolve(values['--checkpoint']) : null;
+  const checkpoint = checkpointFile ? await SBDLCheckpoint.openCheckpoint(checkpointFile) : null;
+  if (checkpointFile) {
+    log(`Using checkpoint: ${checkpointFile}`);
+    // Record the assets that were downloaded before being interrupted so they aren't downloaded again
+    process.once('SIGINT', () => {
+      checkpoint.flush().finally(() => {
+        process.exit(130);
+      });
+    });
+  }
+
+  const options = {
+    // The project will be decompressed again anyways
+    compress: !unpack,
+    thumbnailSize: saveThumbnail ? '480x360' : undefined,
+    authorAvatarSize: saveAvatar ? '90x90' : undefined,
+    metadataSidecar: saveMetadata
+  };
+
+  /** @type {SaveOptions} */
+  const saveOptions = {
+    unpack,
+    saveWARC,
+    outputDirectory: path.resolve(values['--output'] || '.'),
+    nameTemplate,
+    collision: /** @type {SaveOptions['collision']} */ (collision)
+  };
+
+  /** @type {JobResult[]} */
+  const results = [];
+  /** @type {Job[]} */
+  const jobs = [];
+  const keys = new Set();
+  for (const input of inputs) {
+    try {
+      for (const job of await getJobs(input, {lineage, studio, user}, options, saveOptions)) {
+        // The same project can be in several studios
+        if (!keys.has(job.key)) {
+          keys.add(job.key);
+          jobs.push(job);
+        }
+      }
+    } catch (e) {
+      results.push(reportFailure(input, e));
+    }
+  }
+
+  // Progress of individual projects would be confusing when several are downloading at once
+  const showProgress = concurrency === 1;
+  /** @type {JobResult[]} */
+  const jobResults = [];
+  let finished = 0;
+  await forEachConcurrently(jobs, concurrency, async (job, index) => {
+    jobResults[index] = await runJob(job, {
+      options,
+      saveOptions,
+      checkpoint,
+      showProgress
+    });
+    finished++;
+    if (!showProgress) {
+      printProgressUpdate(`Downloaded ${finished}/${jobs.length} projects`, finished / jobs.length);
+    }
+  });
+  clearProgress();
+  results.push(...jobResults);
+  if (checkpoint) {
+    await checkpoint.flush();
+  }
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const saved = count('saved');
+  const skipped = count('skipped');
+  const failed = count('failed');
+  let size = 0;
+  let missingAssets = 0;
+  for (const result of results) {
+    size += result.size;
+    missingAssets += result.missingAssets;
+  }
+
+  if (results.length > 1) {
+    printSummary(results);
+    log(`${failed > 0 ? FG_RED : FG_GREEN}${saved} saved (${formatBytes(size)}, ${missingAssets} missing assets), ${skipped} skipped, ${failed} failed${RESET}`);
+  }
+  emit({
+    event: 'summary',
+    saved,
+    skipped,
+    failed,
+    size,
+    missingAssets
+  });
+  if (failed === 0) {
+    return 0;
   }
+  return failed === results.length ? EXIT_ALL_FAILED : EXIT_SOME_FAILED;
 };
 
 run()
-  .then(() => {
-    process.exit(0);
+  .then((status) => {
+    process.exit(status);
   })
   .catch((err) => {
+    emit(Object.assign({
+      event: 'error',
+      key: null
+    }, describeError(err)));
     console.error(`${RESET}${FG_RED}Something went wrong :(${RESET}`);
     console.error(err);
     process.exit(1);
@@ -1,9 +1,20 @@
 import JSZip from '@turbowarp/jszip';
 import * as ExtendedJSON from '@turbowarp/json';
-import {AbortError, CanNotAccessProjectError, HTTPError} from './errors.js';
-import fetchAsset from './fetch-asset.js';
+import {AbortError, CanNotAccessProjectError, HTTPError, MissingAssetsError, Scratch1ParseError, TimeoutError} from './errors.js';
+import createFetchQueue from './fetch-asset.js';
 import fetchAsArrayBufferWithProgress from './fetch-with-progress.js';
+import createPlaceholderAsset from './placeholder-assets.js';
+import md5 from './md5.js';
 import environment from './environment.js';
+import writeToStream from './write-to-stream.js';
+import {convertSB2ZipToSB3} from './sb2-to-sb3.js';
+import prettyStringify from './pretty-json.js';
+import {validateProjectData, createUnknownTypeReport} from './validate.js';
+import {isJunkFile, cleanupProject} from './cleanup.js';
+import {repairAssetFormats} from './asset-formats.js';
+import {fetchScratchAPI} from './scratch-api.js';
+import {withRecordedFetch} from './warc.js';
+import {readScratch1Info} from './scratch1.js';
 
 /**
  * @typedef {'sb'|'sb2'|'sb3'} ProjectType
@@ -14,26 +25,221 @@ import environment from './environment.js';
  * @property {string} title
  * @property {ProjectType} type
  * @property {ArrayBuffer} arrayBuffer
+ * @property {MissingAsset[]} missingAssets Assets that the project uses but could not be downloaded.
+ * @property {Record<string, string>} assetSources The URL that each downloaded asset was fetched from, keyed by md5ext.
+ * Assets that were already in the project or loaded from assetCache are not included.
+ * @property {ValidationReport} [validation] Problems found in the project. Only set if options.validate is enabled.
+ * @property {AssetFormatRepair[]} [repairedAssets] Assets whose format was fixed. Only set if options.repairAssetFormats is enabled.
+ * @property {string|null} id The project's ID if it was downloaded from an ID, otherwise null.
+ * @property {string|null} url Where the project was downloaded from, otherwise null. Does not include the project token.
+ * @property {ProjectMetadata|null} metadata Metadata from the Scratch API if the project was downloaded from an ID, otherwise null.
+ * @property {ArrayBuffer|null} [thumbnail] The project's thumbnail, or null if it could not be downloaded. Only set if options.thumbnailSize is set.
+ * @property {ArrayBuffer|null} [authorAvatar] The author's profile picture, or null if it could not be downloaded. Only set if options.authorAvatarSize is set.
+ * @property {Scratch1Info} [scratch1Info] For sb projects, the author, notes, and thumbnail stored in the project. Not set if they could not be read.
+ * @property {ConversionWarning[]} [conversionWarnings] Parts of the project that could not be converted exactly. Only set if options.outputFormat is set.
+ * @property {string} [metadataSidecar] JSON describing where the project came from, the same as createMetadataSidecar(). Only set if options.metadataSidecar is enabled.
+ */
+
+/**
+ * @typedef {import('./validate.js').ValidationReport} ValidationReport
+ */
+
+/**
+ * @typedef {import('./scratch1.js').Scratch1Info} Scratch1Info
+ */
+
+/**
+ * @typedef {import('./sb2-to-sb3.js').ConversionWarning} ConversionWarning
+ */
+
+/**
+ * @typedef {import('./asset-formats.js').AssetFormatRepair} AssetFormatRepair
+ */
+
+/**
+ * @typedef {import('./batch.js').BatchProjectResult} BatchProjectResult
+ */
+
+/**
+ * @typedef {Omit<DownloadedProject, 'arrayBuffer'>} StreamedProject
+ */
+
+/**
+ * @typedef {Record<string, Uint8Array>} UnpackedProject Contents of a project, keyed by path.
+ */
+
+/**
+ * @typedef LoadedProject A downloaded project that may not have been compressed yet.
+ * @property {string} title
+ * @property {ProjectType} type
+ * @property {JSZip|null} zip Files that still need to be compressed, or null if arrayBuffer is already the final project.
+ * @property {ArrayBuffer|null} arrayBuffer
+ * @property {MissingAsset[]} missingAssets
+ * @property {Record<string, string>} assetSources
+ * @property {AssetFormatRepair[]} repairedAssets
+ * @property {string|null} id
+ * @property {string|null} url
+ * @property {ProjectMetadata|null} metadata
+ * @property {ArrayBuffer|null} [thumbnail]
+ * @property {ArrayBuffer|null} [authorAvatar]
+ * @property {Scratch1Info} [scratch1Info]
+ * @property {ConversionWarning[]} [conversionWarnings]
+ */
+
+/**
+ * @typedef MissingAsset
+ * @property {string} md5ext The asset's ID (md5ext) eg. "188325c56b79ff3cd58497c970ba87a6.svg"
+ * @property {'missing'|'corrupt'} reason 'missing' if the asset does not exist, 'corrupt' if its checksum did not match.
+ * @property {AssetReference[]} references Every costume or sound that uses the asset.
+ */
+
+/**
+ * @typedef AssetReference
+ * @property {string} target Name of the sprite or stage.
+ * @property {'costume'|'sound'} type
+ * @property {string} name Name of the costume or sound.
+ */
+
+/**
+ * @typedef {'skip'|'error'|'placeholder'} MissingAssetPolicy
+ */
+
+/**
+ * @typedef {string | string[] | ((md5ext: string) => string | string[])} AssetHost
+ * A URL template where $id is replaced with the asset ID (md5ext), a list of templates, or a function
+ * that returns the URL or URLs for an asset.
+ */
+
+/**
+ * @typedef AssetDownloadState Information collected while downloading a project's assets.
+ * @property {ReturnType<typeof createFetchQueue>} fetchAsset Request queue for this download.
+ * @property {Set<string>} corruptAssets md5exts that failed verification and haven't been downloaded correctly since.
+ * @property {Map<string, string>} assetSources md5ext to the URL that it was fetched from.
+ * @property {Map<string, AssetBytes>} assetBytes md5ext to how much of it has been downloaded.
+ * @property {number|null} startTime When the first asset request was sent, from Date.now().
+ */
+
+/**
+ * @typedef AssetBytes
+ * @property {number} loaded Bytes received so far.
+ * @property {number|null} total Expected size in bytes, or null if not known yet.
+ */
+
+/**
+ * @typedef AssetCache Persistent storage for assets, shared between downloads.
+ * @property {(md5ext: string) => Promise<ArrayBuffer|null>} get Resolves with null if the asset is not cached.
+ * @property {(md5ext: string, data: ArrayBuffer) => Promise<void>} put
+ */
+
+/**
+ * @typedef AssetEvent
+ * @property {'asset-started'|'asset-finished'|'asset-retried'|'asset-missing'} type
+ * 'asset-started' when a request for the asset is sent to a host, 'asset-retried' before a failed request is tried again,
+ * 'asset-finished' once the asset has been downloaded, 'asset-missing' if no host had the asset.
+ * @property {string} md5ext
+ * @property {string} url The URL being requested. For 'asset-missing', the last URL that was tried.
+ * @property {string} host The host part of url, eg. "assets.scratch.mit.edu"
+ * @property {number|null} size Size of the asset in bytes. Only known for 'asset-finished'.
+ * @property {number} [attempt] For 'asset-retried', the retry number, starting at 1.
+ * @property {unknown} [error] For 'asset-retried', why the previous attempt failed.
+ * @property {'missing'|'corrupt'} [reason] For 'asset-missing', same as MissingAsset.
+ */
+
+/**
+ * @typedef MetadataEvent
+ * @property {'metadata'} type
+ * @property {ProjectMetadata} metadata
+ */
+
+/**
+ * @typedef CompressEvent
+ * @property {'compress-file'} type
+ * @property {string} path The file that is now being compressed.
+ * @property {number} index How many files were compressed before this one.
+ * @property {number} total Number of files in the project.
+ */
+
+/**
+ * @typedef BytesEvent
+ * @property {'asset-bytes'} type
+ * @property {string} md5ext The asset that received data.
+ * @property {string} url
+ * @property {string} host
+ * @property {number} loaded Bytes of this asset received so far.
+ * @property {number|null} size Expected size of this asset in bytes from Content-Length, or null if not known.
+ * @property {number} downloadedBytes Bytes received for every asset in this download so far.
+ * @property {number} expectedBytes Sum of the sizes of every asset whose size is known.
+ * @property {number} unknownSizes Number of assets that are being downloaded or waiting to be downloaded but whose size isn't known yet.
+ * @property {number} bytesPerSecond Average download speed since the first asset request.
+ * @property {number|null} eta Estimated seconds until every asset is downloaded, or null if it can't be estimated yet.
+ * Assets whose size isn't known are assumed to be the average size of the others.
+ */
+
+/**
+ * @typedef CacheErrorEvent
+ * @property {'asset-cache-error'} type
+ * @property {string} md5ext
+ * @property {'get'|'put'} operation Whether reading the asset from the cache or storing it failed.
+ * @property {unknown} error
+ */
+
+/**
+ * @typedef ImageErrorEvent
+ * @property {'image-error'} type
+ * @property {'thumbnail'|'authorAvatar'} image Which image could not be downloaded.
+ * @property {string} url
+ * @property {unknown} error
+ */
+
+/**
+ * @typedef {AssetEvent|BytesEvent|MetadataEvent|CompressEvent|CacheErrorEvent|ImageErrorEvent} DownloadEvent
  */
 
 /**
  * @typedef Options
  * @property {(type: 'project' | 'assets' | 'compress', loaded: number, total: number) => void} [onProgress] Called periodically with progress updates.
+ * @property {(event: DownloadEvent) => void} [onEvent] Called with detailed information about each step of the download.
  * @property {Date} [date] The date to use for the "last modified" time in generated projects. If not set, defaults to an arbitrary date in the past.
  * @property {boolean} [compress] Whether to compress generated projects or not. Compressed projects take longer to generate but are much smaller. Defaults to true.
  * @property {AbortSignal} [signal] An AbortSignal that can be used to cancel the download.
- * @property {string} [assetHost] The URL from which to download assets from. $id is replaced with the asset ID (md5ext).
+ * @property {number} [timeout] Milliseconds before the whole download is cancelled and rejects with a TimeoutError. Defaults to no timeout.
+ * @property {AssetHost} [assetHost] Where to download assets from. Each host is tried in order until one has the asset.
  * @property {(type: ProjectType, data: unknown) => unknown | Promise<unknown>} [processJSON] Called during the download to access project.json. Return an object to replace project.json.
+ * @property {boolean} [verifyAssets] Whether to compare the md5 checksum of each asset against its ID. Mismatched downloads are retried. Assets that are still corrupt are treated as missing. Defaults to false.
+ * @property {typeof fetch} [fetch] Used instead of the global fetch() for every request.
+ * @property {Record<string, string>} [headers] Extra headers to send with every request.
+ * @property {import('./warc.js').WARCRecorder} [warc] Record every request and response in a WARC file. Create one with createWARCRecorder().
+ * @property {number} [maxConcurrentRequests] Maximum number of asset requests this download can make at once. Defaults to 100.
+ * @property {number} [retries] How many times to retry a failed asset request. Defaults to 3.
+ * @property {(attempt: number) => number} [retryDelay] Milliseconds to wait before retry number `attempt` (starting at 1). Defaults to a randomized linear backoff of about 5 seconds per attempt.
+ * @property {number} [requestTimeout] Milliseconds before an asset request is considered failed and retried. Defaults to no timeout.
+ * @property {number} [maxConcurrentProjects] For functions that download many projects such as downloadStudio() and downloadUserProjects(), how many projects to download at once. Defaults to 4.
+ * @property {(result: BatchProjectResult, finished: number, total: number) => void} [onProjectFinished] For functions that download many projects such as downloadStudio() and downloadUserProjects(), called after each project is downloaded or fails.
+ * @property {AssetCache} [assetCache] Checked before downloading each asset. Downloaded assets are stored in it.
+ * @property {boolean} [cleanup] For compressed sb2 and sb3 projects, remove files that the project doesn't use, such as __MACOSX and .DS_Store. In sb2 projects, costumes and sounds with identical data will share one file. Defaults to false.
+ * @property {boolean} [repairAssetFormats] For sb2 and sb3 projects, detect the real format of each costume and sound from its data. Assets whose dataFormat or file extension is wrong or missing are renamed and project.json is updated to match. Defaults to false.
+ * @property {boolean} [validate] Check the downloaded project for problems and store them in the validation property of the result. Defaults to false.
+ * @property {boolean} [metadataSidecar] Store JSON with the project's ID, source URL, title, type, and metadata in the metadataSidecar property of the result, to be saved next to the project for archival. Defaults to false.
+ * @property {string} [thumbnailSize] For projects downloaded from an ID, also download the thumbnail at this size, eg. '480x360' or one of the sizes in ProjectMetadata's images. By default, the thumbnail is not downloaded.
+ * @property {string} [authorAvatarSize] For projects downloaded from an ID, also download the author's profile picture at this size, eg. '90x90' or one of the sizes in ProjectMetadata's author.profile.images. By default, the profile picture is not downloaded.
+ * @property {'sb3'} [outputFormat] Convert sb2 projects to this format. sb projects are not converted. By default, projects are not converted.
+ * @property {MissingAssetPolicy} [missingAssetPolicy] What to do when assets can't be downloaded. 'skip' leaves them out of the project, 'error' rejects with a MissingAssetsError, 'placeholder' stores a blank asset of the same format instead. Defaults to 'skip'.
  */
 
 /**
  * @param {Options} givenOptions
  * @returns {Options}
  */
-const parseOptions = (givenOptions) => Object.assign({
+const parseOptions = (givenOptions) => withRecordedFetch(Object.assign({
   // Default asset host for scratch.mit.edu
   assetHost: 'https://assets.scratch.mit.edu/internalapi/asset/$id/get/'
-}, givenOptions || {});
+}, givenOptions || {}));
+
+/**
+ * @param {Options} options
+ * @returns {Record<string, string>}
+ */
+const getHeaders = (options) => Object.assign({}, environment.headers, options.headers);
 
 /**
  * @param {Options} options
@@ -45,6 +251,75 @@ const throwIfAborted = (options) => {
   }
 };
 
+/**
+ * Run callback with a signal that is also aborted once options.timeout runs out.
+ * @template T
+ * @param {Options} options
+ * @param {(options: Options) => Promise<T>} callback
+ * @returns {Promise<T>} Rejects with a TimeoutError if the timeout ran out.
+ */
+const withTimeout = async (options, callback) => {
+  if (!options.timeout) {
+    return callback(options);
+  }
+
+  const controller = new AbortController();
+  const outerSignal = options.signal;
+  const onOuterAbort = () => controller.abort();
+  if (outerSignal) {
+    if (outerSignal.aborted) {
+      controller.abort();
+    } else {
+      outerSignal.addEventListener('abort', onOuterAbort);
+    }
+  }
+
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, options.timeout);
+
+  try {
+    return await callback(Object.assign({}, options, {
+      signal: controller.signal
+    }));
+  } catch (e) {
+    // Whatever error we got was caused by aborting, so it isn't interesting
+    if (timedOut) {
+      throw new TimeoutError(options.timeout);
+    }
+    throw e;
+  } finally {
+    clearTimeout(timeoutId);
+    if (outerSignal) {
+      outerSignal.removeEventListener('abort', onOuterAbort);
+    }
+  }
+};
+
+/**
+ * @param {Options} options
+ * @param {DownloadEvent} event
+ */
+const emitEvent = (options, event) => {
+  if (options.onEvent) {
+    options.onEvent(event);
+  }
+};
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+const getHost = (url) => {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return '';
+  }
+};
+
 /**
  * @param {Options} options
  */
@@ -71,8 +346,11 @@ const makeAssetProgressTarget = (options) => {
       timeout = null;
     } else if (!timeout) {
       timeout = setTimeout(() => {
-        throwIfAborted(options);
         timeout = null;
+        // Throwing here would be an uncaught error. The download itself will reject.
+        if (options.signal && options.signal.aborted) {
+          return;
+        }
         if (options.onProgress) {
           options.onProgress('assets', loadedAssets, totalAssets);
         }
@@ -97,7 +375,8 @@ const makeAssetProgressTarget = (options) => {
  * @param {ProjectType} type
  * @param {SB2Project|SB3Project} projectData
  * @param {Options} options
- * @returns {Promise<boolean>} True if the zip was modified
+ * @returns {Promise<{modified: boolean, projectData: SB2Project|SB3Project}>} modified is true if the zip was modified.
+ * projectData is the project's project.json after processJSON.
  */
 const storeProjectJSON = async (zip, type, projectData, options) => {
   if (options.processJSON) {
@@ -106,7 +385,10 @@ const storeProjectJSON = async (zip, type, projectData, options) => {
 
     if (newData) {
       zip.file('project.json', ExtendedJSON.stringify(newData));
-      return true;
+      return {
+        modified: true,
+        projectData: /** @type {SB2Project|SB3Project} */ (newData)
+      };
     }
   }
 
@@ -114,10 +396,75 @@ const storeProjectJSON = async (zip, type, projectData, options) => {
   // possibly interesting data from sb2 projects with comments in the JSON.
   if (!zip.file('project.json')) {
     zip.file('project.json', ExtendedJSON.stringify(projectData));
-    return true;
+    return {
+      modified: true,
+      projectData
+    };
+  }
+
+  return {
+    modified: false,
+    projectData
+  };
+};
+
+const SB2_ASSET_ID_KEYS = ['baseLayerID', 'textLayerID', 'soundID'];
+const SB2_ASSET_ID_REGEX = /"(baseLayerID|textLayerID|soundID)"(\s*:\s*)(-?\d+)/g;
+
+/**
+ * @param {unknown} value Parsed sb2 project.json or part of it.
+ * @param {Array<[string, number]>} [ids]
+ * @returns {Array<[string, number]>} Every asset ID field, in the order they appear in the JSON.
+ */
+const getSB2AssetIDs = (value, ids = []) => {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      getSB2AssetIDs(item, ids);
+    }
+  } else if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) {
+      if (SB2_ASSET_ID_KEYS.includes(key)) {
+        ids.push([key, value[key]]);
+      } else {
+        getSB2AssetIDs(value[key], ids);
+      }
+    }
+  }
+  return ids;
+};
+
+/**
+ * Update the asset IDs in sb2 project.json text by only replacing the numbers, so that comments and
+ * formatting are kept.
+ * @param {string} text The original project.json
+ * @param {SB2Project} projectData The data parsed from text, with changed asset IDs
+ * @returns {string|null} The updated text, or null if the ID fields in the text couldn't be matched up with the data.
+ */
+const patchSB2AssetIDs = (text, projectData) => {
+  const oldIDs = getSB2AssetIDs(ExtendedJSON.parse(text));
+  const newIDs = getSB2AssetIDs(projectData);
+  if (oldIDs.length !== newIDs.length) {
+    return null;
   }
 
-  return false;
+  let index = 0;
+  let matches = true;
+  const patched = text.replace(SB2_ASSET_ID_REGEX, (match, key, separator, id) => {
+    const old = oldIDs[index];
+    const updated = newIDs[index];
+    index++;
+    // Something that looks like an ID field but isn't one, for example inside a comment
+    if (!old || old[0] !== key || old[1] !== +id || updated[0] !== key) {
+      matches = false;
+      return match;
+    }
+    return `"${key}"${separator}${updated[1]}`;
+  });
+
+  if (!matches || index !== oldIDs.length) {
+    return null;
+  }
+  return patched;
 };
 
 const isAbortError = (error) => error && error.name === 'AbortError';
@@ -142,6 +489,344 @@ const flat = (array) => {
   return result;
 };
 
+/**
+ * @param {Map<string, AssetReference[]>} references
+ * @param {string} md5ext
+ * @param {AssetReference} reference
+ */
+const addAssetReference = (references, md5ext, reference) => {
+  const existing = references.get(md5ext);
+  if (existing) {
+    existing.push(reference);
+  } else {
+    references.set(md5ext, [reference]);
+  }
+};
+
+/**
+ * @param {string} md5ext
+ * @returns {string|null} The md5 checksum part of md5ext, or null if it doesn't look like one.
+ */
+const getChecksum = (md5ext) => {
+  const checksum = md5ext.split('.')[0].toLowerCase();
+  return /^[0-9a-f]{32}$/.test(checksum) ? checksum : null;
+};
+
+/**
+ * @param {string} md5ext
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {boolean} false if the data definitely does not match md5ext
+ */
+const isValidAsset = (md5ext, data) => {
+  const checksum = getChecksum(md5ext);
+  return !checksum || md5(data) === checksum;
+};
+
+/**
+ * @param {Options} options
+ * @returns {ReturnType<typeof createFetchQueue>}
+ */
+const createFetchQueueFromOptions = (options) => createFetchQueue({
+  concurrency: options.maxConcurrentRequests,
+  retries: options.retries,
+  retryDelay: options.retryDelay,
+  timeout: options.requestTimeout,
+  fetch: options.fetch
+});
+
+/**
+ * @param {Options} options
+ * @returns {AssetDownloadState}
+ */
+const createAssetDownloadState = (options) => ({
+  fetchAsset: createFetchQueueFromOptions(options),
+  corruptAssets: new Set(),
+  assetSources: new Map(),
+  assetBytes: new Map(),
+  startTime: null
+});
+
+/**
+ * @param {AssetDownloadState} state
+ * @returns {Omit<BytesEvent, 'type' | 'md5ext' | 'url' | 'host' | 'loaded' | 'size'>}
+ */
+const getByteProgress = (state) => {
+  let downloadedBytes = 0;
+  let expectedBytes = 0;
+  let knownSizes = 0;
+  let unknownSizes = 0;
+  for (const {loaded, total} of state.assetBytes.values()) {
+    downloadedBytes += loaded;
+    if (total === null) {
+      unknownSizes++;
+    } else {
+      expectedBytes += total;
+      knownSizes++;
+    }
+  }
+
+  const elapsedSeconds = state.startTime === null ? 0 : (Date.now() - state.startTime) / 1000;
+  const bytesPerSecond = elapsedSeconds > 0 ? downloadedBytes / elapsedSeconds : 0;
+  let eta = null;
+  if (bytesPerSecond > 0 && knownSizes > 0) {
+    const estimatedBytes = expectedBytes + unknownSizes * (expectedBytes / knownSizes);
+    eta = Math.max(0, estimatedBytes - downloadedBytes) / bytesPerSecond;
+  }
+
+  return {
+    downloadedBytes,
+    expectedBytes,
+    unknownSizes,
+    bytesPerSecond,
+    eta
+  };
+};
+
+/**
+ * @param {AssetDownloadState} state
+ * @returns {Record<string, string>} Sorted so that the result is deterministic.
+ */
+const getAssetSources = (state) => {
+  /** @type {Record<string, string>} */
+  const result = {};
+  for (const md5ext of Array.from(state.assetSources.keys()).sort()) {
+    result[md5ext] = state.assetSources.get(md5ext);
+  }
+  return result;
+};
+
+/**
+ * Check if an asset already in the zip can be used as-is. If options.verifyAssets is enabled and the
+ * asset's checksum does not match, it is removed from the zip so that it will be downloaded again.
+ * @param {JSZip} zip
+ * @param {string} path
+ * @param {string} md5ext
+ * @param {AssetDownloadState} state
+ * @param {Options} options
+ * @returns {Promise<boolean>}
+ */
+const checkStoredAsset = async (zip, path, md5ext, state, options) => {
+  const file = zip.file(path);
+  if (!file) {
+    return false;
+  }
+  if (options.verifyAssets && !isValidAsset(md5ext, await file.async('uint8array'))) {
+    zip.remove(path);
+    state.corruptAssets.add(md5ext);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * @param {string} md5ext
+ * @param {Options} options
+ * @returns {string[]}
+ */
+const getAssetURLs = (md5ext, options) => {
+  // assetHost will never be undefined here because of parseOptions()
+  if (typeof options.assetHost === 'function') {
+    const urls = options.assetHost(md5ext);
+    return Array.isArray(urls) ? urls : [urls];
+  }
+  const templates = Array.isArray(options.assetHost) ? options.assetHost : [options.assetHost];
+  return templates.map((template) => template.replace('$id', md5ext));
+};
+
+/**
+ * @param {string} md5ext
+ * @param {RequestInit} init
+ * @param {AssetDownloadState} state
+ * @param {Options} options
+ * @returns {Promise<ArrayBuffer|null>} null if the asset does not exist or is corrupt
+ */
+const downloadAsset = async (md5ext, init, state, options) => {
+  // The cache is only an optimization, so problems with it should not break the download.
+  if (options.assetCache) {
+    try {
+      const cached = await options.assetCache.get(md5ext);
+      if (cached && (!options.verifyAssets || isValidAsset(md5ext, cached))) {
+        state.corruptAssets.delete(md5ext);
+        return cached;
+      }
+    } catch (e) {
+      emitEvent(options, {
+        type: 'asset-cache-error',
+        md5ext,
+        operation: 'get',
+        error: e
+      });
+    }
+    throwIfAborted(options);
+  }
+
+  const validate = options.verifyAssets ? (buffer) => isValidAsset(md5ext, buffer) : undefined;
+  let firstError = null;
+  let corrupt = false;
+  let lastURL = '';
+
+  /**
+   * @param {string} url
+   * @param {number} loaded
+   * @param {number|null} total
+   */
+  const updateBytes = (url, loaded, total) => {
+    state.assetBytes.set(md5ext, {
+      loaded,
+      total
+    });
+    emitEvent(options, Object.assign({
+      type: /** @type {'asset-bytes'} */ ('asset-bytes'),
+      md5ext,
+      url,
+      host: getHost(url),
+      loaded,
+      size: total
+    }, getByteProgress(state)));
+  };
+
+  // Queued assets count towards unknownSizes so that the estimate doesn't jump around as requests start
+  state.assetBytes.set(md5ext, {
+    loaded: 0,
+    total: null
+  });
+
+  // Try each host in order. An error from one host only matters if no other host has the asset.
+  for (const url of getAssetURLs(md5ext, options)) {
+    lastURL = url;
+    /**
+     * @param {AssetEvent['type']} type
+     * @returns {AssetEvent}
+     */
+    const createEvent = (type) => ({
+      type,
+      md5ext,
+      url,
+      host: getHost(url),
+      size: null
+    });
+
+    let arrayBuffer;
+    try {
+      arrayBuffer = await state.fetchAsset(url, init, {
+        validate,
+        onStart: () => {
+          if (state.startTime === null) {
+            state.startTime = Date.now();
+          }
+          emitEvent(options, createEvent('asset-started'));
+        },
+        onRetry: (attempt, error) => {
+          // Data from the failed attempt will be received again
+          state.assetBytes.set(md5ext, {
+            loaded: 0,
+            total: null
+          });
+          emitEvent(options, Object.assign(createEvent('asset-retried'), {
+            attempt,
+            error
+          }));
+        },
+        // Reading the response in chunks is slower, so only do it if someone is listening
+        onProgress: options.onEvent ? (loaded, total) => updateBytes(url, loaded, total) : undefined
+      });
+    } catch (e) {
+      if (isAbortError(e)) {
+        throw e;
+      }
+      if (e && e.name === 'AssetIntegrityError') {
+        corrupt = true;
+      } else if (!firstError) {
+        firstError = e;
+      }
+      continue;
+    }
+
+    if (arrayBuffer) {
+      // A corrupt copy that was already in the project has been replaced
+      state.corruptAssets.delete(md5ext);
+      state.assetSources.set(md5ext, url);
+      state.assetBytes.set(md5ext, {
+        loaded: arrayBuffer.byteLength,
+        total: arrayBuffer.byteLength
+      });
+      emitEvent(options, Object.assign(createEvent('asset-finished'), {
+        size: arrayBuffer.byteLength
+      }));
+      if (options.assetCache) {
+        try {
+          await options.assetCache.put(md5ext, arrayBuffer);
+        } catch (e) {
+          emitEvent(options, {
+            type: 'asset-cache-error',
+            md5ext,
+            operation: 'put',
+            error: e
+          });
+        }
+      }
+      return arrayBuffer;
+    }
+  }
+
+  if (firstError) {
+    throw firstError;
+  }
+  if (corrupt) {
+    state.corruptAssets.add(md5ext);
+  }
+  state.assetBytes.delete(md5ext);
+  emitEvent(options, {
+    type: 'asset-missing',
+    md5ext,
+    url: lastURL,
+    host: getHost(lastURL),
+    size: null,
+    reason: corrupt ? 'corrupt' : 'missing'
+  });
+  return null;
+};
+
+/**
+ * Apply options.missingAssetPolicy to the results of downloading assets.
+ * @param {string[]} md5exts The assets that were fetched.
+ * @param {Array<ArrayBuffer|null>} results The data for each item in md5exts. null if the asset does not exist.
+ * @param {Map<string, AssetReference[]>} references
+ * @param {AssetDownloadState} state
+ * @param {Options} options
+ * @returns {{data: Array<ArrayBuffer|null>, missingAssets: MissingAsset[]}}
+ */
+const resolveMissingAssets = (md5exts, results, references, state, options) => {
+  /** @type {MissingAsset[]} */
+  const missingAssets = [];
+  const data = results.map((arrayBuffer, i) => {
+    if (arrayBuffer) {
+      return arrayBuffer;
+    }
+
+    const md5ext = md5exts[i];
+    missingAssets.push({
+      md5ext,
+      reason: state.corruptAssets.has(md5ext) ? 'corrupt' : 'missing',
+      references: references.get(md5ext) || []
+    });
+
+    if (options.missingAssetPolicy === 'placeholder') {
+      return createPlaceholderAsset(md5ext.split('.')[1] || '');
+    }
+    return null;
+  });
+
+  if (missingAssets.length > 0 && options.missingAssetPolicy === 'error') {
+    throw new MissingAssetsError(missingAssets);
+  }
+
+  return {
+    data,
+    missingAssets
+  };
+};
+
 /**
  * @param {Uint8Array} uint8array
  * @returns {boolean}
@@ -164,6 +849,7 @@ const isProbablyJSON = (uint8array) => uint8array[0] === '{'.charCodeAt(0);
 
 /**
  * @typedef SB2Project
+ * @property {string} objName
  * @property {SB2Costume[]} costumes
  * @property {SB2Sound[]} sounds
  * @property {Array<SB2ListMonitor | SB2VariableMonitor | SB2Sprite>} children
@@ -181,6 +867,7 @@ const isProbablyJSON = (uint8array) => uint8array[0] === '{'.charCodeAt(0);
 
 /**
  * @typedef SB2Sprite
+ * @property {string} objName
  * @property {SB2Costume[]} costumes
  * @property {SB2Sound[]} sounds
  */
@@ -190,6 +877,8 @@ const isProbablyJSON = (uint8array) => uint8array[0] === '{'.charCodeAt(0);
  * @property {string} costumeName
  * @property {number} baseLayerID
  * @property {string} baseLayerMD5
+ * @property {number} [textLayerID]
+ * @property {string} [textLayerMD5]
  * @property {number} bitmapResolution
  * @property {number} rotationCenterX
  * @property {number} rotationCenterY
@@ -209,7 +898,7 @@ const isProbablyJSON = (uint8array) => uint8array[0] === '{'.charCodeAt(0);
  * @param {SB2Project} projectData
  * @param {JSZip|null} zip
  * @param {Options} options
- * @returns {Promise<{zip: JSZip; downloadedAssets: number; modifiedJSON: boolean;}>}
+ * @returns {Promise<{zip: JSZip; projectData: any; downloadedAssets: number; corruptAssets: number; modifiedJSON: boolean; missingAssets: MissingAsset[]; assetSources: Record<string, string>;}>}
  */
 const downloadScratch2 = async (projectData, zip, options) => {
   const progressTarget = makeAssetProgressTarget(options);
@@ -228,35 +917,26 @@ const downloadScratch2 = async (projectData, zip, options) => {
 
   /**
    * @param {string} md5ext
-   * @param {number} id
-   * @returns {Promise<{path: string, data: ArrayBuffer}|null>}
+   * @returns {Promise<ArrayBuffer|null>}
    */
-  const fetchAndStoreAsset = async (md5ext, id) => {
+  const fetchSB2Asset = async (md5ext) => {
     progressTarget.fetching(md5ext);
 
-    // assetHost will never be undefined here because of parseOptions()
-    const arrayBuffer = await fetchAsset(options.assetHost.replace('$id', md5ext), {
-      headers: environment.headers
-    });
+    const arrayBuffer = await downloadAsset(md5ext, {
+      signal: options.signal,
+      headers: getHeaders(options)
+    }, state, options);
 
     progressTarget.fetched(md5ext);
-    if (!arrayBuffer) {
-      return null;
-    }
-
-    const path = `${id}.${getExtension(md5ext)}`;
-    return {
-      path,
-      data: arrayBuffer
-    };
+    return arrayBuffer;
   };
 
   /**
    * @param {SB2Costume[]} costumes
    * @param {SB2Sound[]} sounds
-   * @returns {Promise<Array<{path: string, data: ArrayBuffer}|null>>}
+   * @returns {Promise<{files: Array<{path: string, data: ArrayBuffer}>, missingAssets: MissingAsset[]}>}
    */
-  const downloadAssets = (costumes, sounds) => {
+  const downloadAssets = async (costumes, sounds) => {
     const md5extToId = new Map();
     const needToFetch = [];
 
@@ -266,13 +946,15 @@ const downloadScratch2 = async (projectData, zip, options) => {
     let largestCostumeId = -1;
     for (const costume of costumes) {
       const baseLayerExtension = getExtension(costume.baseLayerMD5) || 'png';
-      if (costume.baseLayerID >= 0 && zip.file(`${costume.baseLayerID}.${baseLayerExtension}`)) {
+      const baseLayerPath = `${costume.baseLayerID}.${baseLayerExtension}`;
+      if (costume.baseLayerID >= 0 && await checkStoredAsset(zip, baseLayerPath, costume.baseLayerMD5, state, options)) {
         md5extToId.set(costume.baseLayerMD5, costume.baseLayerID);
         largestCostumeId = Math.max(largestCostumeId, costume.baseLayerID);
       }
 
       if (costume.textLayerMD5) {
-        if (costume.textLayerID >= 0 && zip.file(`${costume.textLayerID}.png`)) {
+        const textLayerPath = `${costume.textLayerID}.png`;
+        if (costume.textLayerID >= 0 && await checkStoredAsset(zip, textLayerPath, costume.textLayerMD5, state, options)) {
           md5extToId.set(costume.textLayerMD5, costume.textLayerID);
           largestCostumeId = Math.max(largestCostumeId, costume.textLayerID);
         }
@@ -281,7 +963,8 @@ const downloadScratch2 = async (projectData, zip, options) => {
 
     let largestSoundId = -1;
     for (const sound of sounds) {
-      if (sound.soundID >= 0 && zip.file(`${sound.soundID}.${getExtension(sound.md5)}`)) {
+      const soundPath = `${sound.soundID}.${getExtension(sound.md5)}`;
+      if (sound.soundID >= 0 && await checkStoredAsset(zip, soundPath, sound.md5, state, options)) {
         md5extToId.set(sound.md5, sound.soundID);
         largestSoundId = Math.max(largestSoundId, sound.soundID);
       }
@@ -325,20 +1008,80 @@ const downloadScratch2 = async (projectData, zip, options) => {
     }
 
     // Now we know what to download and where to store it.
-    return Promise.all(needToFetch.map(md5ext => fetchAndStoreAsset(md5ext, md5extToId.get(md5ext))));
-  };
+    const results = await Promise.all(needToFetch.map(fetchSB2Asset));
+    const {data, missingAssets} = resolveMissingAssets(needToFetch, results, references, state, options);
+
+    const files = [];
+    for (let i = 0; i < needToFetch.length; i++) {
+      if (data[i]) {
+        const md5ext = needToFetch[i];
+        files.push({
+          path: `${md5extToId.get(md5ext)}.${getExtension(md5ext)}`,
+          data: data[i]
+        });
+      }
+    }
 
-  /** @type {SB2Sprite[]} */
+    return {
+      files,
+      missingAssets
+    };
+  };
+
+  /** @type {SB2Sprite[]} */
   const targets = [
     projectData,
     ...projectData.children.filter((c) => !c.listName && !c.target)
   ];
   const costumes = flat(targets.map((i) => i.costumes || []));
   const sounds = flat(targets.map((i) => i.sounds || []));
-  const filesToAdd = (await downloadAssets(costumes, sounds)).filter(i => i !== null);
+
+  /** @type {Map<string, AssetReference[]>} */
+  const references = new Map();
+  for (const target of targets) {
+    for (const costume of target.costumes || []) {
+      for (const md5ext of [costume.baseLayerMD5, costume.textLayerMD5]) {
+        if (md5ext) {
+          addAssetReference(references, md5ext, {
+            target: target.objName,
+            type: 'costume',
+            name: costume.costumeName
+          });
+        }
+      }
+    }
+    for (const sound of target.sounds || []) {
+      if (sound.md5) {
+        addAssetReference(references, sound.md5, {
+          target: target.objName,
+          type: 'sound',
+          name: sound.soundName
+        });
+      }
+    }
+  }
+
+  const state = createAssetDownloadState(options);
+  const {files: filesToAdd, missingAssets} = await downloadAssets(costumes, sounds);
+
+  // The asset IDs assigned above have to be in the zip's project.json too, otherwise it would refer
+  // to files that don't exist.
+  let patchedJSON = false;
+  const projectDataFile = zip.file('project.json');
+  if (projectDataFile) {
+    const text = await projectDataFile.async('text');
+    const patched = patchSB2AssetIDs(text, projectData);
+    if (patched === null) {
+      zip.file('project.json', ExtendedJSON.stringify(projectData));
+      patchedJSON = true;
+    } else if (patched !== text) {
+      zip.file('project.json', patched);
+      patchedJSON = true;
+    }
+  }
 
   // Project JSON may be mutated during loading, so add it at the end.
-  const modifiedJSON = await storeProjectJSON(zip, 'sb2', projectData, options);
+  const stored = await storeProjectJSON(zip, 'sb2', projectData, options);
 
   // Add files to the zip at the end so the order will be consistent.
   for (const {path, data} of filesToAdd) {
@@ -347,7 +1090,11 @@ const downloadScratch2 = async (projectData, zip, options) => {
 
   return {
     downloadedAssets: filesToAdd.length,
-    modifiedJSON: modifiedJSON,
+    corruptAssets: state.corruptAssets.size,
+    projectData: stored.projectData,
+    modifiedJSON: stored.modified || patchedJSON,
+    missingAssets,
+    assetSources: getAssetSources(state),
     zip
   };
 };
@@ -359,12 +1106,14 @@ const downloadScratch2 = async (projectData, zip, options) => {
 
 /**
  * @typedef SB3Target
+ * @property {string} name
  * @property {SB3Asset[]} sounds
  * @property {SB3Asset[]} costumes
  */
 
 /**
  * @typedef SB3Asset Raw costume or sound data from an sb3 project.json.
+ * @property {string} name
  * @property {string} assetId md5 checksum of the asset (eg. b7b7898cfcd9ba13e89a4e74dd56a1ff)
  * @property {string} dataFormat file extension of the asset (eg. svg, wav)
  * @property {string|undefined} md5ext dataFormat (eg. b7b7898cfcd9ba13e89a4e74dd56a1ff.svg)
@@ -376,28 +1125,36 @@ const downloadScratch2 = async (projectData, zip, options) => {
  * @param {SB3Project} projectData
  * @param {JSZip|null} zip
  * @param {Options} options
- * @returns {Promise<{zip: JSZip; downloadedAssets: number; modifiedJSON: boolean;}>}
+ * @returns {Promise<{zip: JSZip; projectData: any; downloadedAssets: number; corruptAssets: number; modifiedJSON: boolean; missingAssets: MissingAsset[]; assetSources: Record<string, string>;}>}
  */
 const downloadScratch3 = async (projectData, zip, options) => {
   const progressTarget = makeAssetProgressTarget(options);
   zip = zip || new JSZip();
 
+  /**
+   * @param {SB3Asset} asset
+   * @returns {string}
+   */
+  const getMd5ext = (asset) => {
+    // There are some projects with assets with the same assetId but different extension,
+    // we need to include each of those so we use md5ext instead of asset id, eg.
+    // https://scratch.mit.edu/projects/531881458
+
+    // md5ext may not exist, eg. the "Cake" costume of https://projects.scratch.mit.edu/630358355
+    // https://github.com/forkphorus/forkphorus/issues/504
+    return asset.md5ext || `${asset.assetId}.${asset.dataFormat}`;
+  };
+
   /**
    * @param {SB3Asset[]} assets
-   * @returns {string[]}
+   * @returns {Promise<string[]>}
    */
-  const prepareAssets = (assets) => {
+  const prepareAssets = async (assets) => {
     const knownMd5exts = new Set();
     const missing = [];
 
     for (const asset of assets) {
-      // There are some projects with assets with the same assetId but different extension,
-      // we need to include each of those so we use md5ext instead of asset id, eg.
-      // https://scratch.mit.edu/projects/531881458
-
-      // md5ext may not exist, eg. the "Cake" costume of https://projects.scratch.mit.edu/630358355
-      // https://github.com/forkphorus/forkphorus/issues/504
-      const md5ext = asset.md5ext || `${asset.assetId}.${asset.dataFormat}`;
+      const md5ext = getMd5ext(asset);
 
       // Deduplicate assets to avoid unnecessary requests.
       if (knownMd5exts.has(md5ext)) {
@@ -405,7 +1162,7 @@ const downloadScratch3 = async (projectData, zip, options) => {
       }
 
       // Don't download assets that are already in the zip
-      if (zip.file(md5ext)) {
+      if (await checkStoredAsset(zip, md5ext, md5ext, state, options)) {
         continue;
       }
 
@@ -418,36 +1175,59 @@ const downloadScratch3 = async (projectData, zip, options) => {
 
   /**
    * @param {string} md5ext
-   * @returns {Promise<{path: string, data: ArrayBuffer}|null>}
+   * @returns {Promise<ArrayBuffer|null>}
    */
-  const addFile = async (md5ext) => {
+  const fetchSB3Asset = async (md5ext) => {
     progressTarget.fetching(md5ext);
 
-    // assetHost will never be undefined here because of parseOptions()
-    const arrayBuffer = await fetchAsset(options.assetHost.replace('$id', md5ext), {
+    const arrayBuffer = await downloadAsset(md5ext, {
       signal: options.signal,
-      headers: environment.headers
-    });
+      headers: getHeaders(options)
+    }, state, options);
 
     progressTarget.fetched(md5ext);
-
-    if (!arrayBuffer) {
-      return null;
-    }
-
-    return {
-      path: md5ext,
-      data: arrayBuffer
-    };
+    return arrayBuffer;
   };
 
   const targets = projectData.targets;
   const costumes = flat(targets.map((t) => t.costumes || []));
   const sounds = flat(targets.map((t) => t.sounds || []));
-  const assets = prepareAssets([...costumes, ...sounds]);
-  const filesToAdd = (await Promise.all(assets.map(addFile))).filter(file => file !== null);
 
-  const modifiedJSON = await storeProjectJSON(zip, 'sb3', projectData, options);
+  /** @type {Map<string, AssetReference[]>} */
+  const references = new Map();
+  for (const target of targets) {
+    for (const costume of target.costumes || []) {
+      addAssetReference(references, getMd5ext(costume), {
+        target: target.name,
+        type: 'costume',
+        name: costume.name
+      });
+    }
+    for (const sound of target.sounds || []) {
+      addAssetReference(references, getMd5ext(sound), {
+        target: target.name,
+        type: 'sound',
+        name: sound.name
+      });
+    }
+  }
+
+  const state = createAssetDownloadState(options);
+  const assets = await prepareAssets([...costumes, ...sounds]);
+  const results = await Promise.all(assets.map(fetchSB3Asset));
+  const {data, missingAssets} = resolveMissingAssets(assets, results, references, state, options);
+
+  const filesToAdd = [];
+  for (let i = 0; i < assets.length; i++) {
+    if (data[i]) {
+      filesToAdd.push({
+        path: assets[i],
+        data: data[i]
+      });
+    }
+  }
+
+  const stored = await storeProjectJSON(zip, 'sb3', projectData, options);
 
   // Add files to the zip at the end so the order will be consistent.
   for (const {path, data} of filesToAdd) {
@@ -456,8 +1236,12 @@ const downloadScratch3 = async (projectData, zip, options) => {
 
   return {
     zip,
-    modifiedJSON,
-    downloadedAssets: filesToAdd.length
+    projectData: stored.projectData,
+    modifiedJSON: stored.modified,
+    missingAssets,
+    assetSources: getAssetSources(state),
+    downloadedAssets: filesToAdd.length,
+    corruptAssets: state.corruptAssets.size
   };
 };
 
@@ -475,69 +1259,294 @@ const identifyProjectTypeFromJSON = (projectData) => {
 };
 
 /**
+ * Set file dates so that the generated zip is deterministic.
  * @param {JSZip} zip
  * @param {Options} options
- * @returns {Promise<ArrayBuffer>}
+ * @returns {{compression: 'DEFLATE'|'STORE'}} Options for JSZip's generate methods.
  */
-const generateZip = (zip, options) => {
+const prepareZip = (zip, options) => {
   const date = options.date || new Date('Fri, 31 Dec 2021 00:00:00 GMT');
   for (const file of Object.values(zip.files)) {
     file.date = date;
   }
-  return zip.generateAsync({
-    type: 'arraybuffer',
+  return {
     compression: options.compress !== false ? 'DEFLATE' : 'STORE'
-  }, (meta) => {
+  };
+};
+
+/**
+ * @param {JSZip} zip
+ * @param {Options} options
+ * @returns {(meta: {percent: number; currentFile: string|null}) => void} Handles JSZip's progress updates.
+ */
+const makeCompressProgressHandler = (zip, options) => {
+  const total = Object.values(zip.files).length;
+  let index = -1;
+  let currentFile = null;
+  return (meta) => {
     if (options.onProgress) {
       options.onProgress('compress', meta.percent / 100, 1);
     }
-  });
+    if (meta.currentFile && meta.currentFile !== currentFile) {
+      currentFile = meta.currentFile;
+      index++;
+      emitEvent(options, {
+        type: 'compress-file',
+        path: currentFile,
+        index,
+        total
+      });
+    }
+  };
 };
 
 /**
- * @param {object} projectData Parsed project.json or stringified JSON.
- * @param {Options} [options]
+ * @param {JSZip} zip
+ * @param {Options} options
+ * @returns {Promise<ArrayBuffer>}
+ */
+const generateZip = (zip, options) => zip.generateAsync(Object.assign({
+  type: /** @type {'arraybuffer'} */ ('arraybuffer')
+}, prepareZip(zip, options)), makeCompressProgressHandler(zip, options));
+
+/**
+ * @param {LoadedProject} project
+ * @param {Options} options
+ * @returns {Promise<void>}
+ */
+const convertToOutputFormat = async (project, options) => {
+  if (options.outputFormat === 'sb3' && project.type === 'sb2') {
+    const zip = project.zip || await JSZip.loadAsync(project.arrayBuffer);
+    // project.json in the zip already has the IDs of any assets that were downloaded
+    const converted = await convertSB2ZipToSB3(zip);
+    project.zip = converted.zip;
+    project.conversionWarnings = converted.warnings;
+    project.arrayBuffer = null;
+    project.type = 'sb3';
+    throwIfAborted(options);
+  }
+};
+
+/**
+ * @param {JSZip} zip
+ * @returns {Promise<ValidationReport>}
+ */
+const validateZip = async (zip) => {
+  // Files in subdirectories are treated as if they were at the root, like loadProjectFromBuffer() does
+  const files = new Set();
+  for (const path of Object.keys(zip.files)) {
+    if (!zip.files[path].dir) {
+      const parts = path.split('/');
+      files.add(parts[parts.length - 1]);
+    }
+  }
+
+  const projectDataFile = zip.file(/(^|\/)project\.json$/)[0];
+  if (!projectDataFile) {
+    return createUnknownTypeReport('project.json is missing');
+  }
+  let projectData;
+  try {
+    projectData = ExtendedJSON.parse(await projectDataFile.async('text'));
+  } catch (e) {
+    return createUnknownTypeReport('project.json could not be parsed');
+  }
+  if (!projectData || typeof projectData !== 'object') {
+    return createUnknownTypeReport('project.json is not an object');
+  }
+  return validateProjectData(identifyProjectTypeFromJSON(projectData), projectData, files);
+};
+
+/**
+ * @param {LoadedProject} project
+ * @param {Options} options
+ * @returns {Promise<ValidationReport|undefined>}
+ */
+const validateIfEnabled = async (project, options) => {
+  if (!options.validate) {
+    return undefined;
+  }
+  if (project.type === 'sb') {
+    // Scratch 1 projects aren't parsed, so there is nothing to check
+    return {
+      type: 'sb',
+      errors: [],
+      warnings: []
+    };
+  }
+  const report = await validateZip(project.zip || await JSZip.loadAsync(project.arrayBuffer));
+  throwIfAborted(options);
+  return report;
+};
+
+/**
+ * @param {LoadedProject} project
+ * @param {DownloadedProject|StreamedProject} result
+ * @param {Options} options
+ */
+const addImagesToResult = (project, result, options) => {
+  // Projects that weren't downloaded from an ID have no images, but the properties are still set
+  // so that every project downloaded with these options looks the same.
+  if (options.thumbnailSize) {
+    result.thumbnail = project.thumbnail || null;
+  }
+  if (options.authorAvatarSize) {
+    result.authorAvatar = project.authorAvatar || null;
+  }
+};
+
+/**
+ * @param {LoadedProject} project
+ * @param {Options} options
  * @returns {Promise<DownloadedProject>}
  */
-export const downloadProjectFromJSON = async (projectData, options) => {
-  options = parseOptions(options);
+const finishProject = async (project, options) => {
+  await convertToOutputFormat(project, options);
+  const validation = await validateIfEnabled(project, options);
+  let arrayBuffer = project.arrayBuffer;
+  if (project.zip) {
+    arrayBuffer = await generateZip(project.zip, options);
+    throwIfAborted(options);
+  }
+  /** @type {DownloadedProject} */
+  const result = {
+    title: project.title,
+    type: project.type,
+    arrayBuffer,
+    missingAssets: project.missingAssets,
+    assetSources: project.assetSources,
+    id: project.id,
+    url: project.url,
+    metadata: project.metadata
+  };
+  if (validation) {
+    result.validation = validation;
+  }
+  if (options.repairAssetFormats) {
+    result.repairedAssets = project.repairedAssets;
+  }
+  if (project.scratch1Info) {
+    result.scratch1Info = project.scratch1Info;
+  }
+  if (options.outputFormat) {
+    result.conversionWarnings = project.conversionWarnings || [];
+  }
+  addImagesToResult(project, result, options);
+  if (options.metadataSidecar) {
+    result.metadataSidecar = createMetadataSidecar(result);
+  }
+  return result;
+};
 
+/**
+ * Like finishProject(), but the compressed project is written to a stream instead of being returned.
+ * @param {LoadedProject} project
+ * @param {import('./write-to-stream.js').WritableDestination} writable
+ * @param {Options} options
+ * @returns {Promise<StreamedProject>}
+ */
+const finishProjectToStream = async (project, writable, options) => {
+  await convertToOutputFormat(project, options);
+  const validation = await validateIfEnabled(project, options);
+  if (project.zip) {
+    const stream = project.zip.generateInternalStream(Object.assign({
+      type: /** @type {'uint8array'} */ ('uint8array')
+    }, prepareZip(project.zip, options)));
+    const onCompressProgress = makeCompressProgressHandler(project.zip, options);
+    stream.on('data', (chunk, meta) => {
+      onCompressProgress(meta);
+    });
+    await writeToStream(stream, writable, options.signal);
+  } else {
+    await writeToStream(new Uint8Array(project.arrayBuffer), writable, options.signal);
+  }
+  /** @type {StreamedProject} */
+  const result = {
+    title: project.title,
+    type: project.type,
+    missingAssets: project.missingAssets,
+    assetSources: project.assetSources,
+    id: project.id,
+    url: project.url,
+    metadata: project.metadata
+  };
+  if (validation) {
+    result.validation = validation;
+  }
+  if (options.repairAssetFormats) {
+    result.repairedAssets = project.repairedAssets;
+  }
+  if (project.scratch1Info) {
+    result.scratch1Info = project.scratch1Info;
+  }
+  if (options.outputFormat) {
+    result.conversionWarnings = project.conversionWarnings || [];
+  }
+  addImagesToResult(project, result, options);
+  if (options.metadataSidecar) {
+    result.metadataSidecar = createMetadataSidecar(result);
+  }
+  return result;
+};
+
+/**
+ * @param {object} projectData Parsed project.json or stringified JSON.
+ * @param {Options} options
+ * @returns {Promise<LoadedProject>}
+ */
+const loadProjectFromJSON = async (projectData, options) => {
   if (typeof projectData === 'string') {
     projectData = ExtendedJSON.parse(projectData);
   }
 
   const type = identifyProjectTypeFromJSON(projectData);
 
-  /** @type {JSZip} */
-  let downloadedZip;
+  let result;
   if (type === 'sb3') {
-    downloadedZip = (await downloadScratch3(projectData, null, options)).zip;
+    result = await downloadScratch3(projectData, null, options);
   } else if (type === 'sb2') {
-    downloadedZip = (await downloadScratch2(projectData, null, options)).zip;
+    result = await downloadScratch2(projectData, null, options);
   } else {
     throw new Error(`Unknown project type: ${type}`);
   }
 
-  throwIfAborted(options);
+  let repairedAssets = [];
+  if (options.repairAssetFormats) {
+    repairedAssets = await repairAssetFormats(result.zip, type, result.projectData);
+  }
 
-  const zippedProject = await generateZip(downloadedZip, options);
   throwIfAborted(options);
 
   return {
     title: '',
     type,
-    arrayBuffer: zippedProject
+    zip: result.zip,
+    arrayBuffer: null,
+    missingAssets: result.missingAssets,
+    assetSources: result.assetSources,
+    repairedAssets,
+    id: null,
+    url: null,
+    metadata: null
   };
 };
 
 /**
- * @param {ArrayBuffer | ArrayBufferView} data Data of compressed project or project.json
+ * @param {object} projectData Parsed project.json or stringified JSON.
  * @param {Options} [options]
  * @returns {Promise<DownloadedProject>}
  */
-export const downloadProjectFromBuffer = async (data, options) => {
+export const downloadProjectFromJSON = async (projectData, options) => {
   options = parseOptions(options);
+  return withTimeout(options, async (options) => finishProject(await loadProjectFromJSON(projectData, options), options));
+};
 
+/**
+ * @param {ArrayBuffer | ArrayBufferView} data Data of compressed project or project.json
+ * @param {Options} options
+ * @returns {Promise<LoadedProject>}
+ */
+const loadProjectFromBuffer = async (data, options) => {
   throwIfAborted(options);
 
   if (ArrayBuffer.isView(data)) {
@@ -548,16 +1557,33 @@ export const downloadProjectFromBuffer = async (data, options) => {
   if (isProbablyJSON(uint8array)) {
     // JSON project. We must download the assets.
     const text = new TextDecoder().decode(data);
-    return downloadProjectFromJSON(text, options);
+    return loadProjectFromJSON(text, options);
   }
 
   if (isScratch1Project(uint8array)) {
-    // Scratch 1 project. Return as-is.
-    return {
+    // Scratch 1 project. The data is returned as-is.
+    /** @type {LoadedProject} */
+    const project = {
       title: '',
       type: 'sb',
+      zip: null,
       arrayBuffer: data,
+      missingAssets: [],
+      assetSources: {},
+      repairedAssets: [],
+      id: null,
+      url: null,
+      metadata: null
     };
+    try {
+      project.scratch1Info = readScratch1Info(uint8array);
+    } catch (e) {
+      // The project is still usable by programs that can read it even if we can't
+      if (!(e instanceof Scratch1ParseError)) {
+        throw e;
+      }
+    }
+    return project;
   }
 
   // Compressed project. Need to unzip to figure out what type it is.
@@ -571,6 +1597,16 @@ export const downloadProjectFromBuffer = async (data, options) => {
 
   throwIfAborted(options);
 
+  // Remove these first so that they can't cause path conflicts when flattening
+  if (options.cleanup) {
+    for (const path of Object.keys(zip.files)) {
+      if (isJunkFile(path)) {
+        zip.remove(path);
+        needToReZip = true;
+      }
+    }
+  }
+
   // Copy all files in subdirectories to the root. This makes logic much simpler later on
   // when we download assets or process JSON and ensures that makes our outputs more
   // "normalized".
@@ -613,34 +1649,135 @@ export const downloadProjectFromBuffer = async (data, options) => {
 
   throwIfAborted(options);
 
+  let result;
   if (type === 'sb3') {
-    const result = await downloadScratch3(projectData, zip, options);
-    if (result.downloadedAssets > 0 || result.modifiedJSON) {
-      needToReZip = true;
-    }
+    result = await downloadScratch3(projectData, zip, options);
   } else if (type === 'sb2') {
-    const result = await downloadScratch2(projectData, zip, options);
-    if (result.downloadedAssets > 0 || result.modifiedJSON) {
-      needToReZip = true;
-    }
+    result = await downloadScratch2(projectData, zip, options);
   } else {
     throw new Error(`Unknown project type: ${type}`);
   }
+  // Corrupt assets may have been removed from the zip
+  if (result.downloadedAssets > 0 || result.corruptAssets > 0 || result.modifiedJSON) {
+    needToReZip = true;
+  }
 
-  throwIfAborted(options);
+  let repairedAssets = [];
+  if (options.repairAssetFormats) {
+    repairedAssets = await repairAssetFormats(zip, type, result.projectData);
+    if (repairedAssets.length > 0) {
+      needToReZip = true;
+    }
+  }
 
-  if (needToReZip) {
-    data = await generateZip(zip, options);
-    throwIfAborted(options);
+  if (options.cleanup && await cleanupProject(zip, type, result.projectData)) {
+    needToReZip = true;
   }
 
+  throwIfAborted(options);
+
   return {
     title: '',
     type,
-    arrayBuffer: data
+    zip: needToReZip ? zip : null,
+    arrayBuffer: needToReZip ? null : data,
+    missingAssets: result.missingAssets,
+    assetSources: result.assetSources,
+    repairedAssets,
+    id: null,
+    url: null,
+    metadata: null
   };
 };
 
+/**
+ * @param {ArrayBuffer | ArrayBufferView} data Data of compressed project or project.json
+ * @param {Options} [options]
+ * @returns {Promise<DownloadedProject>}
+ */
+export const downloadProjectFromBuffer = async (data, options) => {
+  options = parseOptions(options);
+  return withTimeout(options, async (options) => finishProject(await loadProjectFromBuffer(data, options), options));
+};
+
+/**
+ * Check a project for problems such as missing assets or broken references between blocks.
+ * This only looks at the data it is given; nothing is downloaded.
+ * @param {ArrayBuffer | ArrayBufferView} data Data of compressed project or project.json. If only project.json is given, files are not checked.
+ * @returns {Promise<ValidationReport>}
+ */
+export const validateProject = async (data) => {
+  if (ArrayBuffer.isView(data)) {
+    data = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  }
+  const uint8array = new Uint8Array(data);
+
+  if (isScratch1Project(uint8array)) {
+    return {
+      type: 'sb',
+      errors: [],
+      warnings: []
+    };
+  }
+
+  if (isProbablyJSON(uint8array)) {
+    let projectData;
+    try {
+      projectData = ExtendedJSON.parse(new TextDecoder().decode(data));
+    } catch (e) {
+      return createUnknownTypeReport('project.json could not be parsed');
+    }
+    return validateProjectData(identifyProjectTypeFromJSON(projectData), projectData, null);
+  }
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(data);
+  } catch (e) {
+    return createUnknownTypeReport('Project is not a zip, sb, or project.json');
+  }
+  return validateZip(zip);
+};
+
+/**
+ * Extract the files in an sb2 or sb3 project instead of keeping them in a zip. Files in subdirectories are
+ * moved to the root and project.json is pretty-printed so that changes are easy to read.
+ * Scratch 1 projects are not zips so they can't be unpacked.
+ * @param {ArrayBuffer | ArrayBufferView} data Data of compressed project or project.json, such as the arrayBuffer of a DownloadedProject.
+ * @param {Options} [options]
+ * @returns {Promise<UnpackedProject>}
+ */
+export const unpackProject = async (data, options) => {
+  options = parseOptions(options);
+  return withTimeout(options, (options) => unpackLoadedProject(data, options));
+};
+
+/**
+ * @param {ArrayBuffer | ArrayBufferView} data
+ * @param {Options} options
+ * @returns {Promise<UnpackedProject>}
+ */
+const unpackLoadedProject = async (data, options) => {
+  const project = await loadProjectFromBuffer(data, options);
+  if (project.type === 'sb') {
+    throw new Error('Cannot unpack Scratch 1 projects');
+  }
+  await convertToOutputFormat(project, options);
+  const zip = project.zip || await JSZip.loadAsync(project.arrayBuffer);
+
+  /** @type {UnpackedProject} */
+  const files = {};
+  const projectData = ExtendedJSON.parse(await zip.file('project.json').async('text'));
+  files['project.json'] = new TextEncoder().encode(`${prettyStringify(projectData)}\n`);
+  // Sorted so that the order doesn't depend on how the project was created
+  const paths = Object.keys(zip.files).filter((path) => path !== 'project.json' && !zip.files[path].dir).sort();
+  for (const path of paths) {
+    files[path] = await zip.file(path).async('uint8array');
+    throwIfAborted(options);
+  }
+  return files;
+};
+
 /**
  * @typedef ProjectMetadata
  * @property {number} id
@@ -677,6 +1814,27 @@ export const downloadProjectFromBuffer = async (data, options) => {
  * @property {string} project_token
  */
 
+/**
+ * Create a JSON file describing where a project came from, to be stored next to the project for archival.
+ * The project token is removed from the metadata because it expires soon and gives access to the project.
+ * @param {DownloadedProject|StreamedProject} project
+ * @returns {string}
+ */
+export const createMetadataSidecar = (project) => {
+  let metadata = null;
+  if (project.metadata) {
+    metadata = Object.assign({}, project.metadata);
+    delete metadata.project_token;
+  }
+  return `${prettyStringify({
+    id: project.id,
+    url: project.url,
+    title: project.title,
+    type: project.type,
+    metadata
+  })}\n`;
+};
+
 /**
  * @param {string} id
  * @param {Options} [options]
@@ -684,40 +1842,94 @@ export const downloadProjectFromBuffer = async (data, options) => {
  */
 export const getProjectMetadata = async (id, options) => {
   options = parseOptions(options);
-  const urls = (
-    environment.canAccessScratchAPI ?
-    [
-      `https://api.scratch.mit.edu/projects/${id}`
-    ] :
-    [
-      `https://trampoline.turbowarp.org/api/projects/${id}`,
-      `https://trampoline.turbowarp.xyz/api/projects/${id}`,
-    ]
-  );
-  let firstError = null;
-  for (const url of urls) {
-    try {
-      const response = await fetch(url, {
-        signal: options.signal,
-        headers: environment.headers
-      });
-      if (response.status === 404) {
-        throw new CanNotAccessProjectError(`${id} is unshared or does not exist`);
-      }
-      if (!response.ok) {
-        throw new HTTPError(url, response.status);
-      }
-      const json = await response.json();
-      return json;
-    } catch (e) {
-      if (e instanceof CanNotAccessProjectError || isAbortError(e)) {
-        throw e;
-      } else {
-        firstError = e;
-      }
+  return withTimeout(options, (options) => fetchProjectMetadata(id, options));
+};
+
+/**
+ * @param {string} id
+ * @param {Options} options
+ * @returns {Promise<ProjectMetadata>}
+ */
+const fetchProjectMetadata = async (id, options) => {
+  try {
+    return /** @type {ProjectMetadata} */ (await fetchScratchAPI(`projects/${id}`, options));
+  } catch (e) {
+    if (e instanceof HTTPError && e.status === 404) {
+      throw new CanNotAccessProjectError(`${id} is unshared or does not exist`);
     }
+    throw e;
   }
-  throw firstError;
+};
+
+/**
+ * Find the URL of an image from the Scratch API at a different size.
+ * @param {Record<string, string>|undefined} images Known URLs keyed by size, eg. '90x90'
+ * @param {string|undefined} image Any URL of the image, used to build URLs for sizes that aren't in images
+ * @param {string} size eg. '480x360'
+ * @returns {string|null}
+ */
+const getImageURL = (images, image, size) => {
+  if (images && images[size]) {
+    return images[size];
+  }
+  const template = image || (images && Object.values(images)[0]);
+  // eg. https://cdn2.scratch.mit.edu/get_image/project/60917032_480x360.png
+  if (template && /_\d+x\d+\./.test(template)) {
+    return template.replace(/_\d+x\d+\./, `_${size}.`);
+  }
+  return null;
+};
+
+/**
+ * Download an image such as a thumbnail using the same retries as assets.
+ * Images are not important enough to fail the download, so errors other than aborting are reported as
+ * 'image-error' events instead.
+ * @param {string|null} url
+ * @param {'thumbnail'|'authorAvatar'} image
+ * @param {ReturnType<typeof createFetchQueue>} fetchImage
+ * @param {Options} options
+ * @returns {Promise<ArrayBuffer|null>} null if the image does not exist or could not be downloaded
+ */
+const downloadImage = async (url, image, fetchImage, options) => {
+  if (!url) {
+    return null;
+  }
+  try {
+    return await fetchImage(url, {
+      signal: options.signal,
+      headers: getHeaders(options)
+    });
+  } catch (e) {
+    if (isAbortError(e)) {
+      throw e;
+    }
+    emitEvent(options, {
+      type: 'image-error',
+      image,
+      url,
+      error: e
+    });
+    return null;
+  }
+};
+
+/**
+ * @param {ProjectMetadata} meta
+ * @param {LoadedProject} project
+ * @param {Options} options
+ */
+const downloadProjectImages = async (meta, project, options) => {
+  if (!options.thumbnailSize && !options.authorAvatarSize) {
+    return;
+  }
+  const fetchImage = createFetchQueueFromOptions(options);
+  const profile = meta.author && meta.author.profile;
+  const [thumbnail, authorAvatar] = await Promise.all([
+    options.thumbnailSize ? downloadImage(getImageURL(meta.images, meta.image, options.thumbnailSize), 'thumbnail', fetchImage, options) : null,
+    options.authorAvatarSize ? downloadImage(getImageURL(profile && profile.images, undefined, options.authorAvatarSize), 'authorAvatar', fetchImage, options) : null
+  ]);
+  project.thumbnail = thumbnail;
+  project.authorAvatar = authorAvatar;
 };
 
 /**
@@ -734,53 +1946,77 @@ const getProjectTitleFromURL = (url) => {
 
 /**
  * @param {string} url
- * @param {Options} [options]
- * @returns {Promise<DownloadedProject>}
+ * @param {Options} options
+ * @returns {Promise<LoadedProject>}
  */
-export const downloadProjectFromURL = async (url, options) => {
-  options = parseOptions(options);
+const loadProjectFromURL = async (url, options) => {
   let buffer;
   try {
     buffer = await fetchAsArrayBufferWithProgress(url, (progress) => {
       if (options.onProgress) {
         options.onProgress('project', progress, 1);
       }
-    }, options.signal);
+    }, {
+      signal: options.signal,
+      headers: getHeaders(options),
+      // Recording with options.fetch would stop Node.js from reporting the progress of compressed responses,
+      // so the request is given to the recorder separately.
+      fetch: options.warc ? options.warc.unwrapFetch(options.fetch) : options.fetch,
+      warc: options.warc
+    });
   } catch (e) {
     if (e instanceof HTTPError && e.status === 404) {
       throw new CanNotAccessProjectError(e.message);
     }
     throw e;
   }
-  const project = await downloadProjectFromBuffer(buffer, options);
+  const project = await loadProjectFromBuffer(buffer, options);
   project.title = getProjectTitleFromURL(url);
+  project.url = url;
   return project;
 };
 
+/**
+ * @param {string} url
+ * @param {Options} [options]
+ * @returns {Promise<DownloadedProject>}
+ */
+export const downloadProjectFromURL = async (url, options) => {
+  options = parseOptions(options);
+  return withTimeout(options, async (options) => finishProject(await loadProjectFromURL(url, options), options));
+};
+
 /**
  * @param {string} id
  * @param {string} baseUrl
  * @param {Options} options
- * @returns {Promise<DownloadedProject>}
+ * @returns {Promise<LoadedProject>}
  */
-const downloadFromScratchURLWithToken = async (id, baseUrl, options) => {
-  options = parseOptions(options);
+const loadFromScratchURLWithToken = async (id, baseUrl, options) => {
   if (options.onProgress) {
     options.onProgress('metadata', 0, 1);
   }
-  const meta = await getProjectMetadata(id, options);
+  const meta = await fetchProjectMetadata(id, options);
   if (options.onProgress) {
     options.onProgress('metadata', 1, 1);
   }
+  emitEvent(options, {
+    type: 'metadata',
+    metadata: meta
+  });
   throwIfAborted(options);
   const token = meta.project_token;
   const title = meta.title;
   const tokenPart = token ? `?token=${token}` : '';
   const fullUrl = baseUrl + tokenPart;
-  const project = await downloadProjectFromURL(fullUrl, options);
+  const project = await loadProjectFromURL(fullUrl, options);
   if (title) {
     project.title = title;
   }
+  project.id = id;
+  project.url = baseUrl;
+  project.metadata = meta;
+  await downloadProjectImages(meta, project, options);
   return project;
 };
 
@@ -789,8 +2025,26 @@ const downloadFromScratchURLWithToken = async (id, baseUrl, options) => {
  * @param {Options} [options]
  * @returns {Promise<DownloadedProject>}
  */
-export const downloadProjectFromID = (id, options) => downloadFromScratchURLWithToken(
-  id,
-  `https://projects.scratch.mit.edu/${id}`,
-  options
-);
+export const downloadProjectFromID = async (id, options) => {
+  options = parseOptions(options);
+  return withTimeout(options, async (options) => {
+    const project = await loadFromScratchURLWithToken(id, `https://projects.scratch.mit.edu/${id}`, options);
+    return finishProject(project, options);
+  });
+};
+
+/**
+ * Download a project and write the compressed project to a stream instead of keeping all of it in memory.
+ * The stream is closed once the project has been written, or aborted if the download fails.
+ * @param {string} id
+ * @param {import('./write-to-stream.js').WritableDestination} writable Node.js Writable or WHATWG WritableStream.
+ * @param {Options} [options]
+ * @returns {Promise<StreamedProject>}
+ */
+export const downloadProjectToStream = async (id, writable, options) => {
+  options = parseOptions(options);
+  return withTimeout(options, async (options) => {
+    const project = await loadFromScratchURLWithToken(id, `https://projects.scratch.mit.edu/${id}`, options);
+    return finishProjectToStream(project, writable, options);
+  });
+};
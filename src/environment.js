@@ -8,7 +8,14 @@ const environment = {
   /**
    * Headers used when fetching remote APIs.
    */
-  headers: {}
+  headers: {},
+
+  /**
+   * Used to download projects when XMLHttpRequest is not available and a custom fetch() was not given.
+   * Unlike fetch(), it can report progress for responses that use Content-Encoding.
+   * @type {import('./fetch-with-progress.js').FetchWithProgress|null}
+   */
+  fetchWithProgress: null
 };
 
 export default environment;
@@ -1,4 +1,4 @@
-const sanitizeURL = (url) => url.replace(/\?token=[^&#]+/, '?token=x');
+export const sanitizeURL = (url) => url.replace(/\?token=[^&#]+/, '?token=x');
 
 export class HTTPError extends Error {
   /**
@@ -13,6 +13,17 @@ export class HTTPError extends Error {
   }
 }
 
+export class AssetIntegrityError extends Error {
+  /**
+   * @param {string} url
+   */
+  constructor (url) {
+    super(`Checksum mismatch while fetching ${sanitizeURL(url)}`);
+    this.name = 'AssetIntegrityError';
+    this.url = url;
+  }
+}
+
 export class CanNotAccessProjectError extends Error {
   constructor (message) {
     super(message);
@@ -20,6 +31,20 @@ export class CanNotAccessProjectError extends Error {
   }
 }
 
+export class CanNotAccessStudioError extends Error {
+  constructor (message) {
+    super(message);
+    this.name = 'CanNotAccessStudioError';
+  }
+}
+
+export class CanNotAccessUserError extends Error {
+  constructor (message) {
+    super(message);
+    this.name = 'CanNotAccessUserError';
+  }
+}
+
 /**
  * NOTE: Do NOT use `instanceof AbortError` to detect abort errors.
  * Use `error.name === 'AbortError'` instead.
@@ -30,3 +55,35 @@ export class AbortError extends Error {
     this.name = 'AbortError';
   }
 }
+
+export class TimeoutError extends Error {
+  /**
+   * @param {number} timeout Milliseconds
+   */
+  constructor (timeout) {
+    super(`Timed out after ${timeout}ms`);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+export class Scratch1ParseError extends Error {
+  /**
+   * @param {string} message What is wrong with the project.
+   */
+  constructor (message) {
+    super(`Cannot parse Scratch 1 project: ${message}`);
+    this.name = 'Scratch1ParseError';
+  }
+}
+
+export class MissingAssetsError extends Error {
+  /**
+   * @param {import('./downloader.js').MissingAsset[]} missingAssets
+   */
+  constructor (missingAssets) {
+    super(`Missing ${missingAssets.length} assets: ${missingAssets.map(i => i.md5ext).join(', ')}`);
+    this.name = 'MissingAssetsError';
+    this.missingAssets = missingAssets;
+  }
+}
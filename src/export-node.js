@@ -1,8 +1,18 @@
 import environment from './environment.js';
+import fetchAsArrayBufferWithProgressNode from './fetch-with-progress-node.js';
 
 environment.canAccessScratchAPI = true;
 
 // The version here should be incremented if our traffic pattern ever changes significantly
 environment.headers['user-agent'] = 'SBDL/1.0 (+https://www.npmjs.com/package/@turbowarp/sbdl)';
 
+environment.fetchWithProgress = fetchAsArrayBufferWithProgressNode;
+
 export * from './downloader.js';
+export * from './scratch1.js';
+export * from './lineage.js';
+export * from './studio.js';
+export * from './user-projects.js';
+export {createWARCRecorder} from './warc.js';
+export {createFileSystemAssetCache} from './asset-cache-node.js';
+export * from './unpacked-node.js';
@@ -1 +1,7 @@
 export * from './downloader.js';
+export * from './scratch1.js';
+export * from './lineage.js';
+export * from './studio.js';
+export * from './user-projects.js';
+export {createWARCRecorder} from './warc.js';
+export * from './asset-cache-web.js';
@@ -1,106 +1,296 @@
-import {HTTPError} from './errors.js';
+import {AbortError, AssetIntegrityError, HTTPError} from './errors.js';
+import {readResponseWithProgress} from './fetch-with-progress.js';
 
 // Wrapper around fetch() to make asset downloading more reliable.
 //  - Maximum number of concurrent fetch() is limited and queued. Chrome in particular
 //    tends to throw errors when you start too many fetch() at once.
+//  - Each download gets its own queue. Queues take turns starting requests so that one
+//    large download can't starve other downloads running at the same time.
 //  - Requests are retried with randomized backoff between attempts.
 //  - If an asset is determined to not exist, retries are cancelled.
+//  - Responses can optionally be validated, eg. against a checksum, and are retried if invalid.
 //  - Handles assets.scratch.mit.edu status code quirks.
 
 // Originally based on https://github.com/TurboWarp/scratch-storage/blob/develop/src/safer-fetch.js
 
-let currentFetches = 0;
-const queue = [];
+/**
+ * @typedef FetchQueueOptions
+ * @property {number} [concurrency] Maximum number of requests from this queue at once.
+ * @property {number} [retries] Number of times to retry a failed request.
+ * @property {(attempt: number) => number} [retryDelay] Milliseconds to wait before retry number `attempt` (starting at 1).
+ * @property {number} [timeout] Milliseconds before an individual request is considered failed. 0 to disable.
+ * @property {typeof fetch} [fetch] Used instead of the global fetch().
+ */
+
+/**
+ * @typedef FetchCallbacks
+ * @property {(buffer: ArrayBuffer) => boolean} [validate] Responses that return false are retried.
+ * @property {() => void} [onStart] Called when the request leaves the queue and is sent for the first time.
+ * @property {(attempt: number, error: unknown) => void} [onRetry] Called before retry number `attempt` (starting at 1).
+ * This is the only place that errors from attempts before the last one are reported.
+ * @property {(loaded: number, total: number|null) => void} [onProgress] Called as the response is received. Starts from 0 again on each attempt.
+ */
 
-const MAX_ATTEMPTS = 3;
+/**
+ * @typedef QueuedFetch
+ * @property {(result: Promise<ArrayBuffer|null>) => void} resolve
+ * @property {string} url
+ * @property {RequestInit} options
+ * @property {FetchCallbacks} callbacks
+ */
+
+/**
+ * @typedef FetchQueue
+ * @property {Required<FetchQueueOptions>} config
+ * @property {QueuedFetch[]} pending
+ * @property {number} currentFetches
+ */
+
+// Limit shared by every queue.
 const MAX_CONCURRENT = 100;
-const RETRY_DELAY = 5000;
 
-const finishedFetch = () => {
+/** @type {Required<FetchQueueOptions>} */
+const DEFAULT_OPTIONS = {
+  concurrency: MAX_CONCURRENT,
+  retries: 3,
+  retryDelay: (attempt) => (attempt + Math.random() - 1) * 5000,
+  timeout: 0,
+  // Wrapped so that fetch() is not called with the wrong `this`
+  fetch: (url, options) => fetch(url, options)
+};
+
+let currentFetches = 0;
+
+/**
+ * Queues that have pending or ongoing requests.
+ * @type {FetchQueue[]}
+ */
+const activeQueues = [];
+
+/** Index in activeQueues of the queue that gets to start the next request. */
+let nextQueueIndex = 0;
+
+/**
+ * @param {FetchQueue} queue
+ */
+const finishedFetch = (queue) => {
   currentFetches--;
+  queue.currentFetches--;
   checkStartNextFetch();
 };
 
-const startNextFetch = ([resolve, url, options]) => {
-  let firstError;
-  let attempts = 0;
+/**
+ * @param {typeof fetch} fetchFn
+ * @param {string} url
+ * @param {RequestInit} options
+ * @param {number} timeout
+ * @param {FetchCallbacks['onProgress']} onProgress
+ * @returns {Promise<ArrayBuffer|null>}
+ */
+const fetchWithTimeout = (fetchFn, url, options, timeout, onProgress) => {
+  const readResponse = (res) => {
+    if (res.ok) {
+      return onProgress ? readResponseWithProgress(res, onProgress) : res.arrayBuffer();
+    }
 
-  const attemptToFetch = () => fetch(url, options)
-    .then((res) => {
-      if (res.ok) {
-        return res.arrayBuffer();
-      }
+    // Don't retry if the asset doesn't exist.
+    // assets.scratch.mit.edu returns 503 instead of 404 for unknown assets for unknown reasons.
+    // eg. https://assets.scratch.mit.edu/00000000000000000000000000000000.png
+    if (res.status === 404 || res.status === 503) {
+      return null;
+    }
+
+    throw new HTTPError(url, res.status);
+  };
+
+  if (!timeout) {
+    return fetchFn(url, options).then(readResponse);
+  }
+
+  // Our own AbortController is used to cancel the request when it takes too long.
+  // It also has to follow the caller's AbortSignal.
+  const controller = new AbortController();
+  const outerSignal = options && options.signal;
+  const onOuterAbort = () => controller.abort();
+  if (outerSignal) {
+    if (outerSignal.aborted) {
+      controller.abort();
+    } else {
+      outerSignal.addEventListener('abort', onOuterAbort);
+    }
+  }
+
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
 
-      // Don't retry if the asset doesn't exist.
-      // assets.scratch.mit.edu returns 503 instead of 404 for unknown assets for unknown reasons.
-      // eg. https://assets.scratch.mit.edu/00000000000000000000000000000000.png
-      if (res.status === 404 || res.status === 503) {
-        return null;
+  const cleanup = () => {
+    clearTimeout(timeoutId);
+    if (outerSignal) {
+      outerSignal.removeEventListener('abort', onOuterAbort);
+    }
+  };
+
+  return fetchFn(url, Object.assign({}, options, {
+    signal: controller.signal
+  }))
+    .then(readResponse)
+    .then((buffer) => {
+      cleanup();
+      return buffer;
+    }, (error) => {
+      cleanup();
+      if (timedOut) {
+        // Not an AbortError so that it will be retried.
+        throw new Error(`Timed out after ${timeout}ms`);
       }
+      throw error;
+    });
+};
 
-      throw new HTTPError(url, res.status);
-    })
+/**
+ * @param {FetchQueue} queue
+ * @param {QueuedFetch} queuedFetch
+ */
+const startFetch = (queue, {resolve, url, options, callbacks}) => {
+  const config = queue.config;
+  const validate = callbacks.validate;
+  let firstError;
+  let attempts = 0;
+
+  if (callbacks.onStart) {
+    callbacks.onStart();
+  }
+
+  const attemptToFetch = () => fetchWithTimeout(config.fetch, url, options, config.timeout, callbacks.onProgress)
     .then((buffer) => {
-      finishedFetch();
+      if (buffer && validate && !validate(buffer)) {
+        throw new AssetIntegrityError(url);
+      }
+      finishedFetch(queue);
       return buffer;
     })
     .catch((error) => {
       if (error && error.name === 'AbortError') {
         // The error we throw here must be an AbortError.
-        finishedFetch();
+        finishedFetch(queue);
         throw error;
       }
 
-      console.warn(`Attempt to fetch ${url} failed`, error);
       if (!firstError) {
         firstError = error;
       }
 
-      if (attempts < MAX_ATTEMPTS) {
+      if (attempts < config.retries) {
         attempts++;
-        return new Promise((cb) => setTimeout(cb, (attempts + Math.random() - 1) * RETRY_DELAY))
+        if (callbacks.onRetry) {
+          callbacks.onRetry(attempts, error);
+        }
+        return new Promise((cb) => setTimeout(cb, Math.max(0, config.retryDelay(attempts))))
           .then(attemptToFetch);
       }
 
-      finishedFetch();
+      finishedFetch(queue);
+      if (error && error.name === 'AssetIntegrityError') {
+        // Callers may want to handle this differently from network errors.
+        throw error;
+      }
       throw new Error(`Failed to fetch ${url}: ${firstError}`);
     });
 
   return resolve(attemptToFetch());
 };
 
-const findNextFetch = () => {
-  while (true) {
-    if (queue.length === 0) {
-      return null;
-    }
-    const next = queue.shift();
-    const options = next[2];
-    if (options && options.signal && options.signal.aborted) {
+/**
+ * @param {FetchQueue} queue
+ * @returns {QueuedFetch|null}
+ */
+const findNextFetch = (queue) => {
+  while (queue.pending.length > 0) {
+    const next = queue.pending.shift();
+    if (next.options && next.options.signal && next.options.signal.aborted) {
+      next.resolve(Promise.reject(new AbortError()));
       continue;
     }
     return next;
   }
+  return null;
 };
 
 const checkStartNextFetch = () => {
-  if (currentFetches < MAX_CONCURRENT) {
-    const nextFetch = findNextFetch();
-    if (nextFetch) {
-      currentFetches++;
-      startNextFetch(nextFetch);
+  while (currentFetches < MAX_CONCURRENT && activeQueues.length > 0) {
+    let started = false;
+
+    // Go around the queues at most once looking for one that can start a request.
+    for (let i = 0; i < activeQueues.length && !started; i++) {
+      const index = (nextQueueIndex + i) % activeQueues.length;
+      const queue = activeQueues[index];
+      if (queue.currentFetches >= queue.config.concurrency) {
+        continue;
+      }
+
+      const nextFetch = findNextFetch(queue);
+      if (nextFetch) {
+        currentFetches++;
+        queue.currentFetches++;
+        nextQueueIndex = index + 1;
+        startFetch(queue, nextFetch);
+        started = true;
+      }
+    }
+
+    // Forget about queues that have nothing left to do.
+    for (let i = activeQueues.length - 1; i >= 0; i--) {
+      const queue = activeQueues[i];
+      if (queue.pending.length === 0 && queue.currentFetches === 0) {
+        activeQueues.splice(i, 1);
+        if (i < nextQueueIndex) {
+          nextQueueIndex--;
+        }
+      }
+    }
+
+    if (!started) {
+      break;
     }
   }
 };
 
 /**
- * @param {string} url
- * @param {RequestInit} options 
- * @returns {Promise<ArrayBuffer|null>} ArrayBuffer if loaded. null if does not exist. Rejects if unexpected error.
+ * Create a new queue. All requests from one download should use the same queue.
+ * @param {FetchQueueOptions} [queueOptions]
+ * @returns {(url: string, options: RequestInit, callbacks?: FetchCallbacks) => Promise<ArrayBuffer|null>}
+ * Resolves with an ArrayBuffer if loaded, or null if the asset does not exist. Rejects if unexpected error,
+ * or with an AssetIntegrityError if every response failed validate.
  */
-const fetchAsset = (url, options) => new Promise((resolve) => {
-  queue.push([resolve, url, options]);
-  checkStartNextFetch();
-});
+const createFetchQueue = (queueOptions) => {
+  /** @type {FetchQueue} */
+  const queue = {
+    config: Object.assign({}, DEFAULT_OPTIONS),
+    pending: [],
+    currentFetches: 0
+  };
+  for (const key of Object.keys(DEFAULT_OPTIONS)) {
+    if (queueOptions && typeof queueOptions[key] !== 'undefined') {
+      queue.config[key] = queueOptions[key];
+    }
+  }
+  queue.config.concurrency = Math.max(1, queue.config.concurrency);
+
+  return (url, options, callbacks) => new Promise((resolve) => {
+    queue.pending.push({
+      resolve,
+      url,
+      options,
+      callbacks: callbacks || {}
+    });
+    if (!activeQueues.includes(queue)) {
+      activeQueues.push(queue);
+    }
+    checkStartNextFetch();
+  });
+};
 
-export default fetchAsset;
+export default createFetchQueue;
@@ -0,0 +1,193 @@
+import http from 'node:http';
+import https from 'node:https';
+import zlib from 'node:zlib';
+import {AbortError, HTTPError, sanitizeURL} from './errors.js';
+
+// fetch() in Node.js decompresses responses before we can read them, so the bytes we receive can't be compared
+// with Content-Length, which is the compressed size. Making the request ourselves lets us count bytes as they
+// arrive and decompress them separately.
+
+const MAX_REDIRECTS = 10;
+
+/**
+ * @param {string|undefined} contentEncoding
+ * @returns {import('node:stream').Transform|null}
+ */
+const createDecoder = (contentEncoding) => {
+  const encoding = (contentEncoding || 'identity').trim().toLowerCase();
+  if (encoding === 'identity') {
+    return null;
+  }
+  if (encoding === 'gzip' || encoding === 'x-gzip') {
+    return zlib.createGunzip();
+  }
+  if (encoding === 'deflate') {
+    return zlib.createInflate();
+  }
+  if (encoding === 'br') {
+    return zlib.createBrotliDecompress();
+  }
+  throw new Error(`Unsupported Content-Encoding: ${encoding}`);
+};
+
+/**
+ * @param {Buffer[]} chunks
+ * @returns {ArrayBuffer}
+ */
+const concatChunks = (chunks) => {
+  const buffer = Buffer.concat(chunks);
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+};
+
+/**
+ * @param {string} url
+ * @param {(progress: number) => void} progressCallback Not called with 0 as the caller already does that.
+ * @param {import('./fetch-with-progress.js').FetchWithProgressOptions} options
+ * @returns {Promise<ArrayBuffer>}
+ */
+const fetchAsArrayBufferWithProgressNode = (url, progressCallback, options) => new Promise((resolve, reject) => {
+  const signal = options.signal;
+  const headers = Object.assign({
+    'accept-encoding': 'gzip, deflate, br'
+  }, options.headers);
+
+  /** @type {http.ClientRequest|null} */
+  let request = null;
+  let settled = false;
+
+  const cleanup = () => {
+    settled = true;
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  };
+
+  /**
+   * @param {unknown} error
+   */
+  const fail = (error) => {
+    if (settled) {
+      return;
+    }
+    cleanup();
+    if (request) {
+      request.destroy();
+    }
+    reject(error);
+  };
+
+  const onAbort = () => {
+    fail(new AbortError(`Failed to fetch ${sanitizeURL(url)}: aborted`));
+  };
+
+  /**
+   * @param {string} currentURL
+   * @param {number} redirectsLeft
+   */
+  const start = (currentURL, redirectsLeft) => {
+    const get = currentURL.startsWith('https:') ? https.get : http.get;
+    request = get(currentURL, {
+      headers
+    }, (res) => {
+      const status = res.statusCode || 0;
+      if (status >= 300 && status < 400 && res.headers.location) {
+        res.resume();
+        if (redirectsLeft === 0) {
+          fail(new Error(`Failed to fetch ${sanitizeURL(url)}: too many redirects`));
+        } else {
+          start(new URL(res.headers.location, currentURL).href, redirectsLeft - 1);
+        }
+        return;
+      }
+      if (status !== 200) {
+        res.resume();
+        fail(new HTTPError(url, status));
+        return;
+      }
+
+      let decoder;
+      try {
+        decoder = createDecoder(res.headers['content-encoding']);
+      } catch (e) {
+        res.resume();
+        fail(e);
+        return;
+      }
+
+      if (options.onResponse) {
+        /** @type {[string, string][]} */
+        const responseHeaders = [];
+        for (let i = 0; i < res.rawHeaders.length; i += 2) {
+          responseHeaders.push([res.rawHeaders[i].toLowerCase(), res.rawHeaders[i + 1]]);
+        }
+        options.onResponse({
+          status,
+          statusText: res.statusMessage || '',
+          headers: responseHeaders
+        });
+      }
+
+      // This is the size of the data sent over the network, which is what we count, even if it is compressed.
+      const total = +res.headers['content-length'];
+      let loaded = 0;
+      /** @type {Buffer[]} */
+      const chunks = [];
+
+      const finish = () => {
+        if (settled) {
+          return;
+        }
+        cleanup();
+        progressCallback(1);
+        resolve(concatChunks(chunks));
+      };
+
+      if (decoder) {
+        decoder.on('data', (chunk) => {
+          chunks.push(chunk);
+        });
+        decoder.on('end', finish);
+        decoder.on('error', fail);
+      }
+
+      res.on('data', (chunk) => {
+        loaded += chunk.byteLength;
+        // 100% is reported once the data has been decompressed
+        if (total > 0 && loaded < total) {
+          progressCallback(loaded / total);
+        }
+        if (decoder) {
+          decoder.write(chunk);
+        } else {
+          chunks.push(chunk);
+        }
+      });
+      res.on('end', () => {
+        if (decoder) {
+          decoder.end();
+        } else {
+          finish();
+        }
+      });
+      res.on('error', fail);
+      res.on('close', () => {
+        if (!res.complete) {
+          fail(new Error(`Failed to fetch ${sanitizeURL(url)}: connection closed`));
+        }
+      });
+    });
+    request.on('error', fail);
+  };
+
+  if (signal) {
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort);
+  }
+
+  start(url, MAX_REDIRECTS);
+});
+
+export default fetchAsArrayBufferWithProgressNode;
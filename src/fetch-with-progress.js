@@ -1,17 +1,89 @@
 import {AbortError, HTTPError} from './errors.js';
 import environment from './environment.js';
 
+/**
+ * @typedef FetchWithProgressOptions
+ * @property {AbortSignal} [signal]
+ * @property {Record<string, string>} [headers]
+ * @property {typeof fetch} [fetch] Used instead of the global fetch(). Disables XMLHttpRequest.
+ * @property {import('./warc.js').WARCRecorder} [warc] Record the request in this WARC. Disables XMLHttpRequest.
+ * @property {(response: {status: number, statusText: string, headers: [string, string][]}) => void} [onResponse]
+ * Called by environment.fetchWithProgress with a successful response before its body is read.
+ */
+
+/**
+ * @typedef {(url: string, progressCallback: (progress: number) => void, options: FetchWithProgressOptions) => Promise<ArrayBuffer>} FetchWithProgress
+ */
+
+/**
+ * @param {Response} response
+ * @returns {number|null} The size of the body in bytes, or null if the server didn't say.
+ */
+const getExpectedLength = (response) => {
+  const contentEncoding = response.headers.get('content-encoding');
+  if (contentEncoding && contentEncoding !== 'identity') {
+    // Content-Length is the size before fetch() decompresses the body, so it can't be compared with what we read.
+    return null;
+  }
+  const length = +response.headers.get('content-length');
+  return response.headers.has('content-length') && Number.isFinite(length) && length >= 0 ? length : null;
+};
+
+/**
+ * Read a response's body while reporting how many bytes have been received.
+ * @param {Response} response
+ * @param {(loaded: number, total: number|null) => void} progressCallback total is null if the size is not known.
+ * @returns {Promise<ArrayBuffer>}
+ */
+export const readResponseWithProgress = async (response, progressCallback) => {
+  const total = getExpectedLength(response);
+  progressCallback(0, total);
+
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    // Custom fetch() implementations may not support streaming
+    const buffer = await response.arrayBuffer();
+    progressCallback(buffer.byteLength, total);
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  /** @type {Uint8Array[]} */
+  const chunks = [];
+  let loaded = 0;
+  while (true) {
+    const {done, value} = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.byteLength;
+    progressCallback(loaded, total);
+  }
+
+  const result = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return result.buffer;
+};
+
 /**
  * @param {string} url
  * @param {(progress: number) => void} progressCallback
- * @param {AbortSignal} [abortSignal] 
+ * @param {FetchWithProgressOptions} [options]
  * @returns {Promise<ArrayBuffer>}
  */
-const fetchAsArrayBufferWithProgress = async (url, progressCallback, abortSignal) => {
+const fetchAsArrayBufferWithProgress = async (url, progressCallback, options) => {
+  options = options || {};
+  const abortSignal = options.signal;
+  const headers = options.headers || {};
+
   // We can't always track real progress, but we should still fire explicit 0% and 100% complete events.
   progressCallback(0);
 
-  if (typeof XMLHttpRequest === 'function') {
+  if (typeof XMLHttpRequest === 'function' && !options.fetch && !options.warc) {
     // Running in browsers. Use XHR for progress monitoring as it is more universally supported.
     return new Promise((resolve, reject) => {
       const xhr = new XMLHttpRequest();
@@ -41,19 +113,36 @@ const fetchAsArrayBufferWithProgress = async (url, progressCallback, abortSignal
       }
       xhr.responseType = 'arraybuffer';
       xhr.open('GET', url);
+      for (const name of Object.keys(headers)) {
+        xhr.setRequestHeader(name, headers[name]);
+      }
       xhr.send();
     });
   }
 
-  // Running in Node.js
-  // fetch() still lacks a simple way to monitor download progress that properly accounts for Content-Encoding
-  const response = await fetch(url, {
-    headers: environment.headers
+  if (environment.fetchWithProgress && !options.fetch && /^https?:/.test(url)) {
+    // Running in Node.js
+    const fetchWithProgress = options.warc ? options.warc.wrapFetchWithProgress(environment.fetchWithProgress) : environment.fetchWithProgress;
+    return fetchWithProgress(url, progressCallback, options);
+  }
+
+  // Using a custom fetch(), or somewhere without XMLHttpRequest
+  // fetch() still lacks a simple way to monitor download progress that properly accounts for Content-Encoding,
+  // so we can only report progress if the response isn't compressed.
+  const fetchFn = options.warc ? options.warc.wrapFetch(options.fetch) : (options.fetch || fetch);
+  const response = await fetchFn(url, {
+    signal: abortSignal,
+    headers
   });
   if (response.status !== 200) {
     throw new HTTPError(url, response.status);
   }
-  const buffer = await response.arrayBuffer();
+  const buffer = await readResponseWithProgress(response, (loaded, total) => {
+    // 0% and 100% are reported separately
+    if (total && loaded > 0 && loaded < total) {
+      progressCallback(loaded / total);
+    }
+  });
   progressCallback(1);
   return buffer;
 };
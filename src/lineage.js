@@ -0,0 +1,149 @@
+import {downloadProjectFromID} from './downloader.js';
+
+// Scratch's API tells us the parent of each remix and the root of its whole remix tree.
+// To archive the history behind a project, we walk from the project up through each parent.
+// Parents that were unshared or deleted can't be downloaded, and their own parents are unknown,
+// so the walk jumps straight to the root instead. Parents that fail to download for other reasons,
+// such as network errors, are recorded and skipped the same way.
+
+/**
+ * @typedef LineageNode
+ * @property {string} id
+ * @property {string|null} title null if the project could not be accessed.
+ * @property {string|null} author Username of the project's author, or null if the project could not be accessed.
+ * @property {boolean} shared false if the project is unshared or deleted, so it was not downloaded.
+ * @property {boolean} [failed] true if the project could not be downloaded because of an error, in which case
+ * shared is false but the project may still be shared. Only set when true.
+ */
+
+/**
+ * @typedef LineageEdge
+ * @property {string} parent
+ * @property {string} child
+ * @property {boolean} direct false if parent is the root of the remix tree but the projects between it and child are unknown.
+ */
+
+/**
+ * @typedef LineageManifest
+ * @property {string} id The project that the lineage was downloaded for.
+ * @property {string} root The original project that every project in the lineage was remixed from.
+ * @property {LineageNode[]} nodes Ordered from the project to its root.
+ * @property {LineageEdge[]} edges
+ */
+
+/**
+ * @typedef RemixLineage
+ * @property {LineageManifest} manifest
+ * @property {Record<string, import('./downloader.js').DownloadedProject>} projects Every shared project in the lineage, keyed by ID.
+ * @property {LineageFailure[]} failed Projects in the lineage that could not be downloaded because of an error.
+ */
+
+/**
+ * @typedef LineageFailure
+ * @property {string} id
+ * @property {unknown} error
+ */
+
+/**
+ * @param {number|null|undefined} id
+ * @returns {string|null}
+ */
+const toID = (id) => (typeof id === 'number' || typeof id === 'string') ? `${id}` : null;
+
+/**
+ * Download a project and every shared project it was remixed from, up to the root of its remix tree.
+ * @param {string} id
+ * @param {import('./downloader.js').Options} [options] Used for every project that is downloaded.
+ * @returns {Promise<RemixLineage>} Rejects if the project itself can't be downloaded. Other projects that can't be
+ * downloaded are listed in the result instead.
+ */
+export const downloadRemixLineage = async (id, options) => {
+  id = `${id}`;
+
+  /** @type {LineageNode[]} */
+  const nodes = [];
+  /** @type {LineageEdge[]} */
+  const edges = [];
+  /** @type {RemixLineage['projects']} */
+  const projects = {};
+  /** @type {LineageFailure[]} */
+  const failed = [];
+
+  const first = await downloadProjectFromID(id, options);
+  const root = toID(first.metadata && first.metadata.remix && first.metadata.remix.root) || id;
+
+  /** @type {import('./downloader.js').DownloadedProject|null} */
+  let project = first;
+  let current = id;
+  while (true) {
+    let parent = null;
+    if (project) {
+      const metadata = project.metadata;
+      projects[current] = project;
+      nodes.push({
+        id: current,
+        title: metadata ? metadata.title : project.title,
+        author: metadata && metadata.author ? metadata.author.username : null,
+        shared: true
+      });
+      parent = toID(metadata && metadata.remix && metadata.remix.parent);
+    } else {
+      /** @type {LineageNode} */
+      const node = {
+        id: current,
+        title: null,
+        author: null,
+        shared: false
+      };
+      if (failed.some((failure) => failure.id === current)) {
+        node.failed = true;
+      }
+      nodes.push(node);
+    }
+
+    let direct = true;
+    if (!project && current !== root) {
+      // We don't know the parent of projects we can't access, but we do know where the tree started.
+      parent = root;
+      direct = false;
+    }
+
+    // Checking every node protects against strange API responses creating a loop
+    if (!parent || nodes.some((node) => node.id === parent)) {
+      break;
+    }
+
+    edges.push({
+      parent,
+      child: current,
+      direct
+    });
+
+    current = parent;
+    try {
+      project = await downloadProjectFromID(current, options);
+    } catch (e) {
+      if (e && e.name === 'AbortError') {
+        throw e;
+      }
+      if (!e || e.name !== 'CanNotAccessProjectError') {
+        failed.push({
+          id: current,
+          error: e
+        });
+      }
+      project = null;
+    }
+  }
+
+  return {
+    manifest: {
+      id,
+      root,
+      nodes,
+      edges
+    },
+    projects,
+    failed
+  };
+};
@@ -0,0 +1,88 @@
+// MD5 implementation so that asset checksums can be verified in browsers, where
+// crypto.subtle does not support MD5.
+
+const SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+const K = new Int32Array(64);
+for (let i = 0; i < 64; i++) {
+  K[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000);
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {string} Lowercase hex digest
+ */
+const md5 = (data) => {
+  const input = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+  // Pad to a multiple of 64 bytes: 0x80, zeros, then the length in bits as a 64-bit little endian integer.
+  const paddedLength = (((input.length + 8) >>> 6) + 1) << 6;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(input);
+  padded[input.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, (input.length * 8) >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(input.length / 0x20000000), true);
+
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89 | 0;
+  let c0 = 0x98badcfe | 0;
+  let d0 = 0x10325476;
+  const M = new Int32Array(16);
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      M[i] = view.getInt32(offset + i * 4, true);
+    }
+
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) & 15;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) & 15;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) & 15;
+      }
+
+      const temp = d;
+      d = c;
+      c = b;
+      const sum = (a + f + K[i] + M[g]) | 0;
+      b = (b + ((sum << SHIFTS[i]) | (sum >>> (32 - SHIFTS[i])))) | 0;
+      a = temp;
+    }
+
+    a0 = (a0 + a) | 0;
+    b0 = (b0 + b) | 0;
+    c0 = (c0 + c) | 0;
+    d0 = (d0 + d) | 0;
+  }
+
+  let result = '';
+  for (const word of [a0, b0, c0, d0]) {
+    for (let i = 0; i < 4; i++) {
+      result += ((word >>> (i * 8)) & 0xff).toString(16).padStart(2, '0');
+    }
+  }
+  return result;
+};
+
+export default md5;
@@ -0,0 +1,91 @@
+// Tiny but valid assets used in place of assets that could not be downloaded so that
+// the project can still be opened in Scratch.
+
+/**
+ * @param {string} hex
+ * @returns {Uint8Array}
+ */
+const fromHex = (hex) => {
+  const result = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < result.length; i++) {
+    result[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+  }
+  return result;
+};
+
+// 1x1 transparent image
+const PNG = '89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000b4944415478da636000020000050001e9fadcd80000000049454e44ae426082';
+
+// 1x1 transparent image
+const GIF = '47494638396101000100800000000000ffffff21f90401000000002c000000000100010000020144003b';
+
+// 1x1 white image, 24 bits per pixel
+const BMP = '424d3a0000000000000036000000280000000100000001000000010018000000000004000000130b0000130b00000000000000000000ffffff00';
+
+// 1x1 grayscale image with a single Huffman code for both the DC and AC tables
+const JPEG = (
+  'ffd8' +
+  // Quantization table
+  'ffdb004300' + '01'.repeat(64) +
+  // Start of frame: 8 bit precision, 1x1, one component
+  'ffc0000b080001000101011100' +
+  // DC and AC Huffman tables each containing just the symbol 0
+  'ffc40014000100000000000000000000000000000000' +
+  'ffc40014100100000000000000000000000000000000' +
+  // Start of scan, then the DC difference and end of block codes padded with 1s
+  'ffda000801010000003f00' + '3f' +
+  'ffd9'
+);
+
+// Two samples of silence, mono, 16 bits per sample, 22050 Hz
+const WAV = '524946462800000057415645666d742010000000010001002256000044ac000002001000646174610400000000000000';
+
+/**
+ * @returns {Uint8Array} A single silent MPEG-1 Layer III frame.
+ */
+const createMP3 = () => {
+  // 128 kbps, 44100 Hz, mono, no CRC. All zero side information decodes as silence.
+  const frameLength = Math.floor(144 * 128000 / 44100);
+  const frame = new Uint8Array(frameLength);
+  frame.set([0xff, 0xfb, 0x90, 0xc0]);
+  return frame;
+};
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="2" height="2" viewBox="0 0 2 2"></svg>';
+
+/**
+ * @param {string} dataFormat File extension of the asset eg. "svg"
+ * @returns {ArrayBuffer|null} Placeholder data, or null if the format is not known.
+ */
+const createPlaceholderAsset = (dataFormat) => {
+  let data;
+  switch (dataFormat.toLowerCase()) {
+    case 'svg':
+      data = new TextEncoder().encode(SVG);
+      break;
+    case 'png':
+      data = fromHex(PNG);
+      break;
+    case 'gif':
+      data = fromHex(GIF);
+      break;
+    case 'bmp':
+      data = fromHex(BMP);
+      break;
+    case 'jpg':
+    case 'jpeg':
+      data = fromHex(JPEG);
+      break;
+    case 'wav':
+      data = fromHex(WAV);
+      break;
+    case 'mp3':
+      data = createMP3();
+      break;
+    default:
+      return null;
+  }
+  return data.buffer;
+};
+
+export default createPlaceholderAsset;
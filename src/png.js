@@ -0,0 +1,84 @@
+import pako from 'pako';
+
+// Minimal PNG encoder for images that are decoded from Scratch 1 projects.
+// Compression uses pako, which JSZip already depends on.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+  }
+  CRC_TABLE[n] = c;
+}
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} start
+ * @param {number} end
+ * @returns {number}
+ */
+const crc32 = (data, start, end) => {
+  let crc = 0xffffffff;
+  for (let i = start; i < end; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * @param {string} type
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+const createChunk = (type, data) => {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk, 4, 8 + data.length));
+  return chunk;
+};
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} rgba Non-premultiplied pixels, 4 bytes per pixel, row by row.
+ * @returns {ArrayBuffer}
+ */
+const encodePNG = (width, height, rgba) => {
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  // 8 bits per channel, RGBA, default compression, default filtering, not interlaced
+  header.set([8, 6, 0, 0, 0], 8);
+
+  // Each row starts with the filter type, which is always 0 (none)
+  const rowLength = width * 4;
+  const filtered = new Uint8Array((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    filtered.set(rgba.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+  }
+
+  const chunks = [
+    new Uint8Array(PNG_SIGNATURE),
+    createChunk('IHDR', header),
+    createChunk('IDAT', pako.deflate(filtered)),
+    createChunk('IEND', new Uint8Array(0))
+  ];
+  const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result.buffer;
+};
+
+export default encodePNG;
@@ -0,0 +1,39 @@
+import * as ExtendedJSON from '@turbowarp/json';
+
+/**
+ * Stringify JSON like JSON.stringify(value, null, 2), except NaN and [-]Infinity are kept as-is,
+ * the same way ExtendedJSON.stringify() does.
+ * @param {unknown} value
+ * @param {string} [indentation]
+ * @returns {string}
+ */
+const prettyStringify = (value, indentation) => {
+  indentation = indentation || '';
+  const innerIndentation = `${indentation}  `;
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return '[]';
+    }
+    const items = value.map((item) => `${innerIndentation}${prettyStringify(item, innerIndentation)}`);
+    return `[\n${items.join(',\n')}\n${indentation}]`;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const items = [];
+    for (const key of Object.keys(value)) {
+      const item = value[key];
+      if (typeof item !== 'undefined') {
+        items.push(`${innerIndentation}${JSON.stringify(key)}: ${prettyStringify(item, innerIndentation)}`);
+      }
+    }
+    if (items.length === 0) {
+      return '{}';
+    }
+    return `{\n${items.join(',\n')}\n${indentation}}`;
+  }
+
+  return ExtendedJSON.stringify(value);
+};
+
+export default prettyStringify;
@@ -0,0 +1,1083 @@
+import JSZip from '@turbowarp/jszip';
+import * as ExtendedJSON from '@turbowarp/json';
+import md5 from './md5.js';
+
+// Converts Scratch 2 projects to Scratch 3 projects. Blocks are converted using the same rules
+// as scratch-vm's sb2 deserializer so that the result matches opening the project in Scratch 3.
+// IDs are generated from counters instead of randomly so that the output is deterministic.
+
+/**
+ * @typedef ArgumentSpec How one sb2 block argument maps to an sb3 input or field.
+ * @property {'input'|'menu'|'boolean'|'substack'|'field'|'variable'|'list'|'broadcast'} type
+ * @property {string} name Name of the input or field.
+ * @property {number} [primitive] For 'input', the type of the compressed shadow primitive.
+ * @property {string} [menu] For 'menu', the opcode of the shadow block.
+ * @property {(value: unknown) => string} [transform] For 'field', converts sb2 values to sb3 values.
+ */
+
+/**
+ * @typedef ConversionWarning Something in the sb2 project that could not be converted exactly.
+ * @property {'unknown-block'|'text-layer'} type 'unknown-block' if a block was left out because it has no sb3 equivalent,
+ * 'text-layer' if a costume's text layer was left out.
+ * @property {string} target Name of the sprite or stage.
+ * @property {string} [opcode] For 'unknown-block', the sb2 opcode.
+ * @property {string} [costume] For 'text-layer', the costume's name.
+ * @property {string} message
+ */
+
+/**
+ * @typedef BlockSpec
+ * @property {string} opcode
+ * @property {ArgumentSpec[]} args
+ * @property {Record<string, string>} [fields] Fields that sb3 needs but are implied by the sb2 opcode.
+ */
+
+// Compressed primitive types from the sb3 format
+const MATH_NUMBER = 4;
+const POSITIVE_NUMBER = 5;
+const WHOLE_NUMBER = 6;
+const INTEGER_NUMBER = 7;
+const ANGLE = 8;
+const COLOR = 9;
+const TEXT = 10;
+const BROADCAST_PRIMITIVE = 11;
+
+/** @returns {ArgumentSpec} */
+const number = (name) => ({type: 'input', name, primitive: MATH_NUMBER});
+/** @returns {ArgumentSpec} */
+const positiveNumber = (name) => ({type: 'input', name, primitive: POSITIVE_NUMBER});
+/** @returns {ArgumentSpec} */
+const wholeNumber = (name) => ({type: 'input', name, primitive: WHOLE_NUMBER});
+/** @returns {ArgumentSpec} */
+const integer = (name) => ({type: 'input', name, primitive: INTEGER_NUMBER});
+/** @returns {ArgumentSpec} */
+const angle = (name) => ({type: 'input', name, primitive: ANGLE});
+/** @returns {ArgumentSpec} */
+const color = (name) => ({type: 'input', name, primitive: COLOR});
+/** @returns {ArgumentSpec} */
+const text = (name) => ({type: 'input', name, primitive: TEXT});
+/** @returns {ArgumentSpec} */
+const menu = (menuOpcode, name) => ({type: 'menu', name, menu: menuOpcode});
+/** @returns {ArgumentSpec} */
+const boolean = (name) => ({type: 'boolean', name});
+/** @returns {ArgumentSpec} */
+const substack = (name) => ({type: 'substack', name});
+/** @returns {ArgumentSpec} */
+const field = (name, transform) => ({type: 'field', name, transform});
+/** @returns {ArgumentSpec} */
+const variable = () => ({type: 'variable', name: 'VARIABLE'});
+/** @returns {ArgumentSpec} */
+const list = () => ({type: 'list', name: 'LIST'});
+/** @returns {ArgumentSpec} */
+const broadcast = () => ({type: 'broadcast', name: 'BROADCAST_INPUT'});
+
+/**
+ * @param {string} opcode
+ * @param {ArgumentSpec[]} [args]
+ * @param {Record<string, string>} [fields]
+ * @returns {BlockSpec}
+ */
+const block = (opcode, args, fields) => ({
+  opcode,
+  args: args || [],
+  fields
+});
+
+// 'day of week' becomes 'DAYOFWEEK'
+const currentMenu = (value) => String(value).toUpperCase().replace(/ /g, '');
+
+/** @type {Record<string, BlockSpec>} */
+const SPEC_MAP = {
+  // Motion
+  'forward:': block('motion_movesteps', [number('STEPS')]),
+  'turnRight:': block('motion_turnright', [number('DEGREES')]),
+  'turnLeft:': block('motion_turnleft', [number('DEGREES')]),
+  'heading:': block('motion_pointindirection', [angle('DIRECTION')]),
+  'pointTowards:': block('motion_pointtowards', [menu('motion_pointtowards_menu', 'TOWARDS')]),
+  'gotoX:y:': block('motion_gotoxy', [number('X'), number('Y')]),
+  'gotoSpriteOrMouse:': block('motion_goto', [menu('motion_goto_menu', 'TO')]),
+  'glideSecs:toX:y:elapsed:from:': block('motion_glidesecstoxy', [number('SECS'), number('X'), number('Y')]),
+  'changeXposBy:': block('motion_changexby', [number('DX')]),
+  'xpos:': block('motion_setx', [number('X')]),
+  'changeYposBy:': block('motion_changeyby', [number('DY')]),
+  'ypos:': block('motion_sety', [number('Y')]),
+  'bounceOffEdge': block('motion_ifonedgebounce'),
+  'setRotationStyle': block('motion_setrotationstyle', [field('STYLE')]),
+  'xpos': block('motion_xposition'),
+  'ypos': block('motion_yposition'),
+  'heading': block('motion_direction'),
+  'scrollRight': block('motion_scroll_right', [number('DISTANCE')]),
+  'scrollUp': block('motion_scroll_up', [number('DISTANCE')]),
+  'scrollAlign': block('motion_align_scene', [field('ALIGNMENT')]),
+  'xScroll': block('motion_xscroll'),
+  'yScroll': block('motion_yscroll'),
+
+  // Looks
+  'say:duration:elapsed:from:': block('looks_sayforsecs', [text('MESSAGE'), number('SECS')]),
+  'say:': block('looks_say', [text('MESSAGE')]),
+  'think:duration:elapsed:from:': block('looks_thinkforsecs', [text('MESSAGE'), number('SECS')]),
+  'think:': block('looks_think', [text('MESSAGE')]),
+  'show': block('looks_show'),
+  'hide': block('looks_hide'),
+  'hideAll': block('looks_hideallsprites'),
+  'lookLike:': block('looks_switchcostumeto', [menu('looks_costume', 'COSTUME')]),
+  'nextCostume': block('looks_nextcostume'),
+  'startScene': block('looks_switchbackdropto', [menu('looks_backdrops', 'BACKDROP')]),
+  'startSceneAndWait': block('looks_switchbackdroptoandwait', [menu('looks_backdrops', 'BACKDROP')]),
+  'nextScene': block('looks_nextbackdrop'),
+  'changeGraphicEffect:by:': block('looks_changeeffectby', [field('EFFECT'), number('CHANGE')]),
+  'setGraphicEffect:to:': block('looks_seteffectto', [field('EFFECT'), number('VALUE')]),
+  'filterReset': block('looks_cleargraphiceffects'),
+  'changeSizeBy:': block('looks_changesizeby', [number('CHANGE')]),
+  'setSizeTo:': block('looks_setsizeto', [number('SIZE')]),
+  'changeStretchBy:': block('looks_changestretchby', [number('CHANGE')]),
+  'setStretchTo:': block('looks_setstretchto', [number('STRETCH')]),
+  'comeToFront': block('looks_gotofrontback', [], {FRONT_BACK: 'front'}),
+  'goBackByLayers:': block('looks_goforwardbackwardlayers', [integer('NUM')], {FORWARD_BACKWARD: 'backward'}),
+  'costumeIndex': block('looks_costumenumbername', [], {NUMBER_NAME: 'number'}),
+  'costumeName': block('looks_costumenumbername', [], {NUMBER_NAME: 'name'}),
+  'sceneName': block('looks_backdropnumbername', [], {NUMBER_NAME: 'name'}),
+  'backgroundIndex': block('looks_backdropnumbername', [], {NUMBER_NAME: 'number'}),
+  'scale': block('looks_size'),
+
+  // Sound
+  'playSound:': block('sound_play', [menu('sound_sounds_menu', 'SOUND_MENU')]),
+  'doPlaySoundAndWait': block('sound_playuntildone', [menu('sound_sounds_menu', 'SOUND_MENU')]),
+  'stopAllSounds': block('sound_stopallsounds'),
+  'changeVolumeBy:': block('sound_changevolumeby', [number('VOLUME')]),
+  'setVolumeTo:': block('sound_setvolumeto', [number('VOLUME')]),
+  'volume': block('sound_volume'),
+
+  // Music extension
+  'playDrum': block('music_playDrumForBeats', [menu('music_menu_DRUM', 'DRUM'), number('BEATS')]),
+  'rest:elapsed:from:': block('music_restForBeats', [number('BEATS')]),
+  'noteOn:duration:elapsed:from:': block('music_playNoteForBeats', [menu('note', 'NOTE'), number('BEATS')]),
+  'instrument:': block('music_setInstrument', [menu('music_menu_INSTRUMENT', 'INSTRUMENT')]),
+  'changeTempoBy:': block('music_changeTempo', [number('TEMPO')]),
+  'setTempoTo:': block('music_setTempo', [number('TEMPO')]),
+  'tempo': block('music_getTempo'),
+  'drum:duration:elapsed:from:': block('music_midiPlayDrumForBeats', [number('DRUM'), number('BEATS')]),
+  'midiInstrument:': block('music_midiSetInstrument', [number('INSTRUMENT')]),
+
+  // Pen extension
+  'clearPenTrails': block('pen_clear'),
+  'stampCostume': block('pen_stamp'),
+  'putPenDown': block('pen_penDown'),
+  'putPenUp': block('pen_penUp'),
+  'penColor:': block('pen_setPenColorToColor', [color('COLOR')]),
+  'changePenHueBy:': block('pen_changePenHueBy', [number('HUE')]),
+  'setPenHueTo:': block('pen_setPenHueToNumber', [number('HUE')]),
+  'changePenShadeBy:': block('pen_changePenShadeBy', [number('SHADE')]),
+  'setPenShadeTo:': block('pen_setPenShadeToNumber', [number('SHADE')]),
+  'changePenSizeBy:': block('pen_changePenSizeBy', [number('SIZE')]),
+  'penSize:': block('pen_setPenSizeTo', [number('SIZE')]),
+
+  // Video sensing extension
+  'senseVideoMotion': block('videoSensing_videoOn', [
+    menu('videoSensing_menu_ATTRIBUTE', 'ATTRIBUTE'),
+    menu('videoSensing_menu_SUBJECT', 'SUBJECT')
+  ]),
+  'setVideoState': block('videoSensing_videoToggle', [menu('videoSensing_menu_VIDEO_STATE', 'VIDEO_STATE')]),
+  'setVideoTransparency': block('videoSensing_setVideoTransparency', [number('TRANSPARENCY')]),
+
+  // Events
+  'whenGreenFlag': block('event_whenflagclicked'),
+  'whenKeyPressed': block('event_whenkeypressed', [field('KEY_OPTION')]),
+  'whenClicked': block('event_whenthisspriteclicked'),
+  'whenSceneStarts': block('event_whenbackdropswitchesto', [field('BACKDROP')]),
+  'whenSensorGreaterThan': block('event_whengreaterthan', [field('WHENGREATERTHANMENU'), number('VALUE')]),
+  'whenIReceive': block('event_whenbroadcastreceived', [{type: 'broadcast', name: 'BROADCAST_OPTION'}]),
+  'broadcast:': block('event_broadcast', [broadcast()]),
+  'doBroadcastAndWait': block('event_broadcastandwait', [broadcast()]),
+
+  // Control
+  'wait:elapsed:from:': block('control_wait', [positiveNumber('DURATION')]),
+  'doRepeat': block('control_repeat', [wholeNumber('TIMES'), substack('SUBSTACK')]),
+  'doForever': block('control_forever', [substack('SUBSTACK')]),
+  'doIf': block('control_if', [boolean('CONDITION'), substack('SUBSTACK')]),
+  'doIfElse': block('control_if_else', [boolean('CONDITION'), substack('SUBSTACK'), substack('SUBSTACK2')]),
+  'doWaitUntil': block('control_wait_until', [boolean('CONDITION')]),
+  'doUntil': block('control_repeat_until', [boolean('CONDITION'), substack('SUBSTACK')]),
+  'doWhile': block('control_while', [boolean('CONDITION'), substack('SUBSTACK')]),
+  'doForLoop': block('control_for_each', [variable(), wholeNumber('VALUE'), substack('SUBSTACK')]),
+  'stopScripts': block('control_stop', [field('STOP_OPTION')]),
+  'whenCloned': block('control_start_as_clone'),
+  'createCloneOf': block('control_create_clone_of', [menu('control_create_clone_of_menu', 'CLONE_OPTION')]),
+  'deleteClone': block('control_delete_this_clone'),
+  'COUNT': block('control_get_counter'),
+  'INCR_COUNT': block('control_incr_counter'),
+  'CLR_COUNT': block('control_clear_counter'),
+  'warpSpeed': block('control_all_at_once', [substack('SUBSTACK')]),
+
+  // Sensing
+  'touching:': block('sensing_touchingobject', [menu('sensing_touchingobjectmenu', 'TOUCHINGOBJECTMENU')]),
+  'touchingColor:': block('sensing_touchingcolor', [color('COLOR')]),
+  'color:sees:': block('sensing_coloristouchingcolor', [color('COLOR'), color('COLOR2')]),
+  'distanceTo:': block('sensing_distanceto', [menu('sensing_distancetomenu', 'DISTANCETOMENU')]),
+  'doAsk': block('sensing_askandwait', [text('QUESTION')]),
+  'answer': block('sensing_answer'),
+  'keyPressed:': block('sensing_keypressed', [menu('sensing_keyoptions', 'KEY_OPTION')]),
+  'mousePressed': block('sensing_mousedown'),
+  'mouseX': block('sensing_mousex'),
+  'mouseY': block('sensing_mousey'),
+  'soundLevel': block('sensing_loudness'),
+  'isLoud': block('sensing_loud'),
+  'timerReset': block('sensing_resettimer'),
+  'timer': block('sensing_timer'),
+  'getAttribute:of:': block('sensing_of', [field('PROPERTY'), menu('sensing_of_object_menu', 'OBJECT')]),
+  'timeAndDate': block('sensing_current', [field('CURRENTMENU', currentMenu)]),
+  'timestamp': block('sensing_dayssince2000'),
+  'getUserName': block('sensing_username'),
+
+  // Operators
+  '+': block('operator_add', [number('NUM1'), number('NUM2')]),
+  '-': block('operator_subtract', [number('NUM1'), number('NUM2')]),
+  '*': block('operator_multiply', [number('NUM1'), number('NUM2')]),
+  '/': block('operator_divide', [number('NUM1'), number('NUM2')]),
+  'randomFrom:to:': block('operator_random', [number('FROM'), number('TO')]),
+  '<': block('operator_lt', [text('OPERAND1'), text('OPERAND2')]),
+  '=': block('operator_equals', [text('OPERAND1'), text('OPERAND2')]),
+  '>': block('operator_gt', [text('OPERAND1'), text('OPERAND2')]),
+  '&': block('operator_and', [boolean('OPERAND1'), boolean('OPERAND2')]),
+  '|': block('operator_or', [boolean('OPERAND1'), boolean('OPERAND2')]),
+  'not': block('operator_not', [boolean('OPERAND')]),
+  'concatenate:with:': block('operator_join', [text('STRING1'), text('STRING2')]),
+  'letter:of:': block('operator_letter_of', [wholeNumber('LETTER'), text('STRING')]),
+  'stringLength:': block('operator_length', [text('STRING')]),
+  '%': block('operator_mod', [number('NUM1'), number('NUM2')]),
+  'rounded': block('operator_round', [number('NUM')]),
+  'computeFunction:of:': block('operator_mathop', [field('OPERATOR'), number('NUM')]),
+
+  // Variables and lists
+  'readVariable': block('data_variable', [variable()]),
+  'setVar:to:': block('data_setvariableto', [variable(), text('VALUE')]),
+  'changeVar:by:': block('data_changevariableby', [variable(), number('VALUE')]),
+  'showVariable:': block('data_showvariable', [variable()]),
+  'hideVariable:': block('data_hidevariable', [variable()]),
+  'contentsOfList:': block('data_listcontents', [list()]),
+  'append:toList:': block('data_addtolist', [text('ITEM'), list()]),
+  'deleteLine:ofList:': block('data_deleteoflist', [integer('INDEX'), list()]),
+  'insert:at:ofList:': block('data_insertatlist', [text('ITEM'), integer('INDEX'), list()]),
+  'setLine:ofList:to:': block('data_replaceitemoflist', [integer('INDEX'), list(), text('ITEM')]),
+  'getLine:ofList:': block('data_itemoflist', [integer('INDEX'), list()]),
+  'lineCountOfList:': block('data_lengthoflist', [list()]),
+  'list:contains:': block('data_listcontainsitem', [list(), text('ITEM')]),
+  'showList:': block('data_showlist', [list()]),
+  'hideList:': block('data_hidelist', [list()])
+};
+
+const EXTENSIONS = ['pen', 'music', 'videoSensing'];
+
+// Shadows that are covered by a reporter are given the same values that Scratch 3 would use
+const OBSCURED_MENU_VALUES = {
+  note: 60,
+  sensing_of_object_menu: '_stage_'
+};
+const OBSCURED_PRIMITIVE_VALUES = {
+  [MATH_NUMBER]: 10,
+  [POSITIVE_NUMBER]: 10,
+  [WHOLE_NUMBER]: 10,
+  [INTEGER_NUMBER]: 10,
+  [ANGLE]: 10,
+  [COLOR]: '#990000'
+};
+
+const ROTATION_STYLES = {
+  normal: 'all around',
+  leftRight: 'left-right',
+  none: 'don\'t rotate'
+};
+
+const MONITOR_MODES = {
+  1: 'default',
+  2: 'large',
+  3: 'slider'
+};
+
+// Monitors of these blocks show a value that is different for each sprite
+const SPRITE_SPECIFIC_MONITORS = [
+  'motion_xposition',
+  'motion_yposition',
+  'motion_direction',
+  'looks_size',
+  'looks_costumenumbername',
+  'sound_volume'
+];
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+const toColor = (value) => {
+  const rgb = (typeof value === 'number' ? value : Number(value)) & 0xffffff;
+  return `#${rgb.toString(16).padStart(6, '0')}`;
+};
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isBlock = (value) => Array.isArray(value) && typeof value[0] === 'string';
+
+/**
+ * @param {string} extension
+ * @returns {string}
+ */
+const getExtension = (extension) => extension.split('.').pop().toLowerCase();
+
+/**
+ * Convert a Scratch 2 project to Scratch 3.
+ * @param {any} sb2 Parsed sb2 project.json
+ * @param {(path: string) => Promise<ArrayBuffer|null>} getFile Returns a file from the sb2 project, or null if it does not exist.
+ * @returns {Promise<{project: object; files: Array<{path: string; data: ArrayBuffer}>; warnings: ConversionWarning[]}>}
+ */
+export const convertSB2ToSB3 = async (sb2, getFile) => {
+  /** @type {ConversionWarning[]} */
+  const warnings = [];
+
+  let nextId = 0;
+  /**
+   * @param {string} prefix Makes IDs easier to read. IDs are unique regardless.
+   * @returns {string}
+   */
+  const newId = (prefix) => `${prefix}${(nextId++).toString(36)}`;
+
+  const sprites = (sb2.children || []).filter((c) => c && c.objName && !c.listName && !c.target);
+
+  /** @type {Array<{path: string; data: ArrayBuffer}>} */
+  const files = [];
+  const storedFiles = new Set();
+  /** @type {Set<string>} */
+  const extensions = new Set();
+
+  /**
+   * @param {unknown} id sb2 layer or sound ID, which is also the file name.
+   * @param {string} md5ext Original md5ext of the asset, which may be empty.
+   * @param {string[]} possibleFormats Tried in order if md5ext does not have an extension.
+   * @returns {Promise<{assetId: string; dataFormat: string; md5ext: string}>}
+   */
+  const convertAsset = async (id, md5ext, possibleFormats) => {
+    const knownFormat = typeof md5ext === 'string' && md5ext.includes('.') ? getExtension(md5ext) : null;
+    let dataFormat = knownFormat || possibleFormats[0];
+    let data = await getFile(`${id}.${dataFormat}`);
+    if (!knownFormat) {
+      for (let i = 1; i < possibleFormats.length && !data; i++) {
+        data = await getFile(`${id}.${possibleFormats[i]}`);
+        if (data) {
+          dataFormat = possibleFormats[i];
+        }
+      }
+    }
+    const assetId = data ? md5(data) : String(md5ext || '').split('.')[0];
+    const newMD5ext = `${assetId}.${dataFormat}`;
+    if (data && !storedFiles.has(newMD5ext)) {
+      storedFiles.add(newMD5ext);
+      files.push({
+        path: newMD5ext,
+        data
+      });
+    }
+    return {
+      assetId,
+      dataFormat,
+      md5ext: newMD5ext
+    };
+  };
+
+  const stageVariables = new Map();
+  const stageLists = new Map();
+  const broadcasts = new Map();
+
+  /**
+   * @param {any} target sb2 sprite or stage
+   */
+  const createVariables = (target) => {
+    const variables = new Map();
+    for (const v of target.variables || []) {
+      variables.set(v.name, {
+        id: newId('v'),
+        value: v.value,
+        isCloud: !!v.isPersistent
+      });
+    }
+    const lists = new Map();
+    for (const l of target.lists || []) {
+      lists.set(l.listName, {
+        id: newId('l'),
+        value: l.contents || [],
+        monitor: l
+      });
+    }
+    return {
+      variables,
+      lists
+    };
+  };
+
+  const stageScope = createVariables(sb2);
+  for (const [name, v] of stageScope.variables) {
+    stageVariables.set(name, v);
+  }
+  for (const [name, l] of stageScope.lists) {
+    stageLists.set(name, l);
+  }
+  const spriteScopes = sprites.map(createVariables);
+
+  /**
+   * @param {string} name
+   * @returns {string}
+   */
+  const getBroadcastId = (name) => {
+    if (!broadcasts.has(name)) {
+      broadcasts.set(name, newId('m'));
+    }
+    return broadcasts.get(name);
+  };
+
+  /**
+   * @param {any} scope
+   * @param {'variables'|'lists'} type
+   * @param {string} name
+   * @returns {string}
+   */
+  const getVariableId = (scope, type, name) => {
+    const local = scope[type].get(name);
+    if (local) {
+      return local.id;
+    }
+    const globals = type === 'variables' ? stageVariables : stageLists;
+    if (!globals.has(name)) {
+      // Referenced but never created. Scratch 3 would create it as a global.
+      globals.set(name, {
+        id: newId(type === 'variables' ? 'v' : 'l'),
+        value: type === 'variables' ? 0 : [],
+        isCloud: false
+      });
+    }
+    return globals.get(name).id;
+  };
+
+  /**
+   * @param {any} target sb2 sprite or stage
+   * @param {any} scope
+   * @returns {{blocks: Record<string, object>; comments: Record<string, object>}}
+   */
+  const convertScripts = (target, scope) => {
+    /** @type {Record<string, any>} */
+    const blocks = {};
+    /** @type {Record<string, any>} */
+    const comments = {};
+
+    // Every block is counted in this order so that comments can find the block that they are attached to.
+    /** @type {string[]} */
+    const blockIdsInOrder = [];
+
+    /** @type {Map<string, {argumentIds: string[]}>} */
+    const procedures = new Map();
+    /**
+     * @param {string} proccode
+     */
+    const getProcedure = (proccode) => {
+      if (!procedures.has(proccode)) {
+        const argumentCount = (String(proccode).match(/%[snbm]/g) || []).length;
+        const argumentIds = [];
+        for (let i = 0; i < argumentCount; i++) {
+          argumentIds.push(newId('a'));
+        }
+        procedures.set(proccode, {
+          argumentIds
+        });
+      }
+      return procedures.get(proccode);
+    };
+    // Definitions have to be known before calls can be converted
+    for (const script of target.scripts || []) {
+      const stack = script[2];
+      if (Array.isArray(stack) && isBlock(stack[0]) && stack[0][0] === 'procDef') {
+        getProcedure(stack[0][1]);
+      }
+    }
+
+    /**
+     * @param {string} opcode
+     * @param {string|null} parent
+     * @param {object} [extra]
+     * @returns {[string, any]}
+     */
+    const createBlock = (opcode, parent, extra) => {
+      const id = newId('b');
+      const result = Object.assign({
+        opcode,
+        next: null,
+        parent,
+        inputs: {},
+        fields: {},
+        shadow: false,
+        topLevel: false
+      }, extra);
+      blocks[id] = result;
+      const extensionId = opcode.split('_')[0];
+      if (EXTENSIONS.includes(extensionId)) {
+        extensions.add(extensionId);
+      }
+      return [id, result];
+    };
+
+    /**
+     * @param {string} opcode
+     * @param {string} fieldName
+     * @param {unknown} value
+     * @param {string} parent
+     * @returns {string}
+     */
+    const createMenu = (opcode, fieldName, value, parent) => {
+      const [id] = createBlock(opcode, parent, {
+        shadow: true,
+        fields: {
+          [fieldName]: [value === null || value === undefined ? '' : String(value), null]
+        }
+      });
+      return id;
+    };
+
+    /**
+     * @param {any[]} stack sb2 blocks
+     * @param {string|null} parent
+     * @returns {string|null} ID of the first block
+     */
+    const convertStack = (stack, parent) => {
+      let firstId = null;
+      let previous = null;
+      for (const sb2Block of Array.isArray(stack) ? stack : []) {
+        const converted = convertBlock(sb2Block, previous ? previous[0] : parent);
+        if (!converted) {
+          continue;
+        }
+        if (previous) {
+          previous[1].next = converted[0];
+        } else {
+          firstId = converted[0];
+        }
+        previous = converted;
+      }
+      return firstId;
+    };
+
+    /**
+     * @param {unknown} value
+     * @param {string} parent
+     * @returns {string|null}
+     */
+    const convertReporter = (value, parent) => {
+      const converted = isBlock(value) ? convertBlock(value, parent) : null;
+      return converted ? converted[0] : null;
+    };
+
+    /**
+     * @param {any[]} sb2Block
+     * @param {string|null} parent
+     * @returns {[string, any]|null}
+     */
+    const convertBlock = (sb2Block, parent) => {
+      if (!isBlock(sb2Block)) {
+        return null;
+      }
+      const sb2Opcode = sb2Block[0];
+      const args = sb2Block.slice(1);
+
+      if (sb2Opcode === 'procDef') {
+        return convertProcedureDefinition(args, parent);
+      }
+      if (sb2Opcode === 'call') {
+        return convertProcedureCall(args, parent);
+      }
+      if (sb2Opcode === 'getParam') {
+        const [id, result] = createBlock(args[1] === 'b' ? 'argument_reporter_boolean' : 'argument_reporter_string_number', parent, {
+          fields: {
+            VALUE: [String(args[0]), null]
+          }
+        });
+        blockIdsInOrder.push(id);
+        return [id, result];
+      }
+
+      const spec = SPEC_MAP[sb2Opcode];
+      if (!spec) {
+        warnings.push({
+          type: 'unknown-block',
+          target: String(target.objName),
+          opcode: String(sb2Opcode),
+          message: `Skipping unknown sb2 block ${sb2Opcode}`
+        });
+        return null;
+      }
+
+      const [id, result] = createBlock(spec.opcode, parent);
+      blockIdsInOrder.push(id);
+      if (spec.fields) {
+        for (const name of Object.keys(spec.fields)) {
+          result.fields[name] = [spec.fields[name], null];
+        }
+      }
+
+      for (let i = 0; i < spec.args.length; i++) {
+        const argSpec = spec.args[i];
+        const value = args[i];
+        const name = argSpec.name;
+
+        if (argSpec.type === 'field') {
+          const fieldValue = value === null || value === undefined ? '' : value;
+          result.fields[name] = [argSpec.transform ? argSpec.transform(fieldValue) : String(fieldValue), null];
+        } else if (argSpec.type === 'variable') {
+          result.fields[name] = [String(value), getVariableId(scope, 'variables', String(value))];
+        } else if (argSpec.type === 'list') {
+          result.fields[name] = [String(value), getVariableId(scope, 'lists', String(value))];
+        } else if (argSpec.type === 'boolean') {
+          const reporter = convertReporter(value, id);
+          if (reporter) {
+            result.inputs[name] = [2, reporter];
+          }
+        } else if (argSpec.type === 'substack') {
+          const first = convertStack(value, id);
+          if (first) {
+            result.inputs[name] = [2, first];
+          }
+        } else if (argSpec.type === 'broadcast') {
+          if (name === 'BROADCAST_OPTION') {
+            result.fields[name] = [String(value), getBroadcastId(String(value))];
+          } else {
+            const reporter = convertReporter(value, id);
+            const message = reporter ? 'message1' : String(value);
+            const shadow = [BROADCAST_PRIMITIVE, message, getBroadcastId(message)];
+            result.inputs[name] = reporter ? [3, reporter, shadow] : [1, shadow];
+          }
+        } else if (argSpec.type === 'menu') {
+          const reporter = convertReporter(value, id);
+          let menuValue = reporter ? OBSCURED_MENU_VALUES[argSpec.menu] || '' : value;
+          if (argSpec.menu === 'sensing_of_object_menu' && menuValue === 'Stage') {
+            menuValue = '_stage_';
+          }
+          const shadow = createMenu(argSpec.menu, name, menuValue, id);
+          result.inputs[name] = reporter ? [3, reporter, shadow] : [1, shadow];
+        } else {
+          const reporter = convertReporter(value, id);
+          let primitiveValue;
+          if (reporter) {
+            primitiveValue = OBSCURED_PRIMITIVE_VALUES[argSpec.primitive] || '';
+          } else if (argSpec.primitive === COLOR) {
+            primitiveValue = toColor(value);
+          } else {
+            primitiveValue = value === null || value === undefined ? '' : String(value);
+          }
+          const shadow = [argSpec.primitive, primitiveValue];
+          result.inputs[name] = reporter ? [3, reporter, shadow] : [1, shadow];
+        }
+      }
+
+      if (spec.opcode === 'control_stop') {
+        const option = result.fields.STOP_OPTION[0];
+        result.mutation = {
+          tagName: 'mutation',
+          children: [],
+          hasnext: option.startsWith('other scripts') ? 'true' : 'false'
+        };
+      }
+
+      return [id, result];
+    };
+
+    /**
+     * @param {any[]} args [proccode, argumentNames, argumentDefaults, warp]
+     * @param {string|null} parent
+     * @returns {[string, any]}
+     */
+    const convertProcedureDefinition = (args, parent) => {
+      const proccode = String(args[0]);
+      const argumentNames = Array.isArray(args[1]) ? args[1].map(String) : [];
+      const argumentDefaults = Array.isArray(args[2]) ? args[2] : [];
+      const argumentTypes = String(proccode).match(/%[snbm]/g) || [];
+      const {argumentIds} = getProcedure(proccode);
+
+      const [id, definition] = createBlock('procedures_definition', parent);
+      blockIdsInOrder.push(id);
+      const [prototypeId, prototype] = createBlock('procedures_prototype', id, {
+        shadow: true,
+        mutation: {
+          tagName: 'mutation',
+          children: [],
+          proccode,
+          argumentids: JSON.stringify(argumentIds),
+          argumentnames: JSON.stringify(argumentNames),
+          argumentdefaults: JSON.stringify(argumentDefaults),
+          warp: args[3] ? 'true' : 'false'
+        }
+      });
+      definition.inputs.custom_block = [1, prototypeId];
+
+      for (let i = 0; i < argumentIds.length; i++) {
+        const [reporterId] = createBlock(argumentTypes[i] === '%b' ? 'argument_reporter_boolean' : 'argument_reporter_string_number', prototypeId, {
+          shadow: true,
+          fields: {
+            VALUE: [argumentNames[i] || '', null]
+          }
+        });
+        prototype.inputs[argumentIds[i]] = [1, reporterId];
+      }
+
+      return [id, definition];
+    };
+
+    /**
+     * @param {any[]} args [proccode, ...arguments]
+     * @param {string|null} parent
+     * @returns {[string, any]}
+     */
+    const convertProcedureCall = (args, parent) => {
+      const proccode = String(args[0]);
+      const argumentTypes = proccode.match(/%[snbm]/g) || [];
+      const {argumentIds} = getProcedure(proccode);
+
+      const [id, call] = createBlock('procedures_call', parent, {
+        mutation: {
+          tagName: 'mutation',
+          children: [],
+          proccode,
+          argumentids: JSON.stringify(argumentIds),
+          warp: 'false'
+        }
+      });
+      blockIdsInOrder.push(id);
+
+      for (let i = 0; i < argumentIds.length; i++) {
+        const value = args[i + 1];
+        const reporter = convertReporter(value, id);
+        if (argumentTypes[i] === '%b') {
+          if (reporter) {
+            call.inputs[argumentIds[i]] = [2, reporter];
+          }
+        } else {
+          const shadow = [argumentTypes[i] === '%n' ? MATH_NUMBER : TEXT, reporter || value === null || value === undefined ? '' : String(value)];
+          call.inputs[argumentIds[i]] = reporter ? [3, reporter, shadow] : [1, shadow];
+        }
+      }
+
+      return [id, call];
+    };
+
+    for (const script of target.scripts || []) {
+      if (!Array.isArray(script)) {
+        continue;
+      }
+      const first = convertStack(script[2], null);
+      if (first) {
+        blocks[first].topLevel = true;
+        blocks[first].x = Math.round(Number(script[0]) || 0);
+        blocks[first].y = Math.round(Number(script[1]) || 0);
+      }
+    }
+
+    for (const comment of target.scriptComments || []) {
+      if (!Array.isArray(comment)) {
+        continue;
+      }
+      const [x, y, width, height, open, blockIndex, commentText] = comment;
+      const blockId = typeof blockIndex === 'number' && blockIndex >= 0 ? blockIdsInOrder[blockIndex] || null : null;
+      const commentId = newId('c');
+      comments[commentId] = {
+        blockId,
+        x,
+        y,
+        width,
+        height,
+        minimized: !open,
+        text: String(commentText)
+      };
+      if (blockId) {
+        blocks[blockId].comment = commentId;
+      }
+    }
+
+    return {
+      blocks,
+      comments
+    };
+  };
+
+  /**
+   * @param {any} target sb2 sprite or stage
+   * @param {boolean} isStage
+   * @returns {Promise<object[]>}
+   */
+  const convertCostumes = async (target, isStage) => {
+    const costumes = [];
+    for (const costume of target.costumes || []) {
+      const asset = await convertAsset(costume.baseLayerID, costume.baseLayerMD5, ['png', 'svg', 'jpg']);
+      if (costume.textLayerMD5) {
+        // Merging the layers would require decoding and encoding images.
+        warnings.push({
+          type: 'text-layer',
+          target: String(target.objName),
+          costume: String(costume.costumeName),
+          message: `Text layer of costume ${costume.costumeName} can not be converted`
+        });
+      }
+      const bitmapResolution = costume.bitmapResolution || 1;
+      costumes.push({
+        name: String(costume.costumeName),
+        bitmapResolution,
+        dataFormat: asset.dataFormat,
+        assetId: asset.assetId,
+        md5ext: asset.md5ext,
+        // Backdrops are always centered
+        rotationCenterX: isStage ? 240 * bitmapResolution : costume.rotationCenterX,
+        rotationCenterY: isStage ? 180 * bitmapResolution : costume.rotationCenterY
+      });
+    }
+    return costumes;
+  };
+
+  /**
+   * @param {any} target sb2 sprite or stage
+   * @returns {Promise<object[]>}
+   */
+  const convertSounds = async (target) => {
+    const sounds = [];
+    for (const sound of target.sounds || []) {
+      const asset = await convertAsset(sound.soundID, sound.md5, ['wav', 'mp3']);
+      sounds.push({
+        name: String(sound.soundName),
+        assetId: asset.assetId,
+        dataFormat: asset.dataFormat,
+        format: sound.format || '',
+        rate: sound.rate,
+        sampleCount: sound.sampleCount,
+        md5ext: asset.md5ext
+      });
+    }
+    return sounds;
+  };
+
+  /**
+   * @param {Map<string, any>} variables
+   * @returns {Record<string, unknown[]>}
+   */
+  const serializeVariables = (variables) => {
+    /** @type {Record<string, unknown[]>} */
+    const result = {};
+    for (const [name, v] of variables) {
+      result[v.id] = v.isCloud ? [name, v.value, true] : [name, v.value];
+    }
+    return result;
+  };
+
+  /**
+   * @param {Map<string, any>} lists
+   * @returns {Record<string, unknown[]>}
+   */
+  const serializeLists = (lists) => {
+    /** @type {Record<string, unknown[]>} */
+    const result = {};
+    for (const [name, l] of lists) {
+      result[l.id] = [name, l.value];
+    }
+    return result;
+  };
+
+  const stageScripts = convertScripts(sb2, stageScope);
+  const stageCostumes = await convertCostumes(sb2, true);
+  const stageSounds = await convertSounds(sb2);
+
+  const spriteTargets = [];
+  for (let i = 0; i < sprites.length; i++) {
+    const sprite = sprites[i];
+    const scope = spriteScopes[i];
+    const {blocks, comments} = convertScripts(sprite, scope);
+    spriteTargets.push({
+      isStage: false,
+      name: String(sprite.objName),
+      variables: serializeVariables(scope.variables),
+      lists: serializeLists(scope.lists),
+      broadcasts: {},
+      blocks,
+      comments,
+      currentCostume: sprite.currentCostumeIndex || 0,
+      costumes: await convertCostumes(sprite, false),
+      sounds: await convertSounds(sprite),
+      volume: 100,
+      // Order in stage.children is the order of layers from back to front
+      layerOrder: i + 1,
+      visible: sprite.visible !== false,
+      x: sprite.scratchX || 0,
+      y: sprite.scratchY || 0,
+      size: (typeof sprite.scale === 'number' ? sprite.scale : 1) * 100,
+      direction: typeof sprite.direction === 'number' ? sprite.direction : 90,
+      draggable: !!sprite.isDraggable,
+      rotationStyle: ROTATION_STYLES[sprite.rotationStyle] || 'all around'
+    });
+  }
+  // The sprite list is ordered by indexInLibrary
+  const librarySortedSprites = spriteTargets
+    .map((target, index) => ({
+      target,
+      index,
+      libraryIndex: typeof sprites[index].indexInLibrary === 'number' ? sprites[index].indexInLibrary : Infinity
+    }))
+    .sort((a, b) => (a.libraryIndex - b.libraryIndex) || (a.index - b.index))
+    .map((i) => i.target);
+
+  const stageBroadcasts = {};
+  for (const [name, id] of broadcasts) {
+    stageBroadcasts[id] = name;
+  }
+
+  const stage = {
+    isStage: true,
+    name: 'Stage',
+    variables: serializeVariables(stageVariables),
+    lists: serializeLists(stageLists),
+    broadcasts: stageBroadcasts,
+    blocks: stageScripts.blocks,
+    comments: stageScripts.comments,
+    currentCostume: sb2.currentCostumeIndex || 0,
+    costumes: stageCostumes,
+    sounds: stageSounds,
+    volume: 100,
+    layerOrder: 0,
+    tempo: typeof sb2.tempoBPM === 'number' ? sb2.tempoBPM : 60,
+    videoTransparency: typeof sb2.videoAlpha === 'number' ? (1 - sb2.videoAlpha) * 100 : 50,
+    videoState: sb2.info && sb2.info.videoOn ? 'on' : 'off',
+    textToSpeechLanguage: null
+  };
+
+  const monitors = [];
+  for (const watcher of sb2.children || []) {
+    if (!watcher || !watcher.target || !watcher.cmd) {
+      continue;
+    }
+    const spriteIndex = sprites.findIndex((s) => s.objName === watcher.target);
+    const isStage = spriteIndex === -1;
+    const spriteName = isStage ? null : String(watcher.target);
+    const base = {
+      mode: MONITOR_MODES[watcher.mode] || 'default',
+      spriteName,
+      value: 0,
+      width: 0,
+      height: 0,
+      x: watcher.x || 0,
+      y: watcher.y || 0,
+      visible: !!watcher.visible,
+      sliderMin: typeof watcher.sliderMin === 'number' ? watcher.sliderMin : 0,
+      sliderMax: typeof watcher.sliderMax === 'number' ? watcher.sliderMax : 100,
+      isDiscrete: watcher.isDiscrete !== false
+    };
+
+    if (watcher.cmd === 'getVar:') {
+      const scope = isStage ? stageScope : spriteScopes[spriteIndex];
+      const name = String(watcher.param);
+      const id = getVariableId(scope, 'variables', name);
+      const v = scope.variables.get(name) || stageVariables.get(name);
+      monitors.push(Object.assign({
+        id,
+        opcode: 'data_variable',
+        params: {
+          VARIABLE: name
+        }
+      }, base, {
+        value: v.value
+      }));
+      continue;
+    }
+
+    const spec = SPEC_MAP[watcher.cmd];
+    if (!spec || spec.args.some((i) => i.type !== 'field')) {
+      continue;
+    }
+    const params = Object.assign({}, spec.fields);
+    spec.args.forEach((argSpec, i) => {
+      const value = i === 0 ? watcher.param : '';
+      params[argSpec.name] = argSpec.transform ? argSpec.transform(value) : String(value);
+    });
+    const idParts = [spec.opcode.substring(spec.opcode.indexOf('_') + 1)];
+    for (const name of Object.keys(params)) {
+      idParts.push(params[name].toLowerCase());
+    }
+    // Scratch replaces the sprite's name with its ID when the project is loaded
+    if (SPRITE_SPECIFIC_MONITORS.includes(spec.opcode) && spriteName) {
+      idParts.unshift(spriteName);
+    }
+    monitors.push(Object.assign({
+      id: idParts.join('_'),
+      opcode: spec.opcode,
+      params
+    }, base));
+  }
+
+  /**
+   * @param {any} scope
+   * @param {string|null} spriteName
+   */
+  const addListMonitors = (scope, spriteName) => {
+    for (const [name, l] of scope.lists) {
+      const listMonitor = l.monitor;
+      monitors.push({
+        id: l.id,
+        mode: 'list',
+        opcode: 'data_listcontents',
+        params: {
+          LIST: name
+        },
+        spriteName,
+        value: l.value,
+        width: listMonitor.width || 0,
+        height: listMonitor.height || 0,
+        x: listMonitor.x || 0,
+        y: listMonitor.y || 0,
+        visible: !!listMonitor.visible
+      });
+    }
+  };
+  addListMonitors(stageScope, null);
+  sprites.forEach((sprite, i) => addListMonitors(spriteScopes[i], String(sprite.objName)));
+
+  return {
+    project: {
+      targets: [stage, ...librarySortedSprites],
+      monitors,
+      extensions: EXTENSIONS.filter((i) => extensions.has(i)),
+      meta: {
+        semver: '3.0.0',
+        vm: '0.2.0',
+        agent: ''
+      }
+    },
+    files,
+    warnings
+  };
+};
+
+/**
+ * Replace the contents of an sb2 project with the equivalent sb3 project.
+ * @param {JSZip} zip sb2 project
+ * @returns {Promise<{zip: JSZip; warnings: ConversionWarning[]}>} zip is the sb3 project
+ */
+export const convertSB2ZipToSB3 = async (zip) => {
+  const projectJSON = zip.file('project.json');
+  if (!projectJSON) {
+    throw new Error('project.json is missing');
+  }
+  const sb2 = ExtendedJSON.parse(await projectJSON.async('text'));
+  const {project, files, warnings} = await convertSB2ToSB3(sb2, async (path) => {
+    const file = zip.file(path);
+    return file ? file.async('arraybuffer') : null;
+  });
+
+  const newZip = new JSZip();
+  newZip.file('project.json', ExtendedJSON.stringify(project));
+  for (const {path, data} of files) {
+    newZip.file(path, data);
+  }
+  return {
+    zip: newZip,
+    warnings
+  };
+};
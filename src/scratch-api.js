@@ -0,0 +1,79 @@
+import {HTTPError} from './errors.js';
+import environment from './environment.js';
+
+// api.scratch.mit.edu doesn't allow requests from other websites, so in browsers we go through
+// TurboWarp's trampoline instead, which mirrors the same paths.
+
+/**
+ * @param {string} path eg. 'projects/60917032'
+ * @returns {string[]} URLs to try in order.
+ */
+const getAPIURLs = (path) => (
+  environment.canAccessScratchAPI ?
+  [
+    `https://api.scratch.mit.edu/${path}`
+  ] :
+  [
+    `https://trampoline.turbowarp.org/api/${path}`,
+    `https://trampoline.turbowarp.xyz/api/${path}`,
+  ]
+);
+
+/**
+ * Fetch JSON from the Scratch API. If one URL fails, the next one is tried.
+ * @param {string} path eg. 'projects/60917032'
+ * @param {import('./downloader.js').Options} options
+ * @returns {Promise<unknown>} Rejects with an HTTPError with status 404 if the API says that the resource doesn't exist.
+ */
+export const fetchScratchAPI = async (path, options) => {
+  let firstError = null;
+  for (const url of getAPIURLs(path)) {
+    try {
+      const fetchFn = options.fetch || fetch;
+      const response = await fetchFn(url, {
+        signal: options.signal,
+        headers: Object.assign({}, environment.headers, options.headers)
+      });
+      if (!response.ok) {
+        throw new HTTPError(url, response.status);
+      }
+      const json = await response.json();
+      return json;
+    } catch (e) {
+      // The other URLs would only tell us the same thing
+      if ((e instanceof HTTPError && e.status === 404) || (e && e.name === 'AbortError')) {
+        throw e;
+      } else if (!firstError) {
+        firstError = e;
+      }
+    }
+  }
+  throw firstError;
+};
+
+// The most that the API will return at once
+const PAGE_SIZE = 40;
+
+/**
+ * Fetch every page of a list from the Scratch API.
+ * @template T
+ * @param {string} path eg. 'studios/123/projects'
+ * @param {import('./downloader.js').Options} options
+ * @returns {Promise<T[]>}
+ */
+export const fetchAllPages = async (path, options) => {
+  /** @type {T[]} */
+  const items = [];
+  while (true) {
+    const page = await fetchScratchAPI(`${path}?offset=${items.length}&limit=${PAGE_SIZE}`, options);
+    if (!Array.isArray(page)) {
+      throw new Error(`Expected a list from ${path}`);
+    }
+    for (const item of page) {
+      items.push(item);
+    }
+    if (page.length < PAGE_SIZE) {
+      return items;
+    }
+  }
+};
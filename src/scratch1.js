@@ -0,0 +1,840 @@
+import encodePNG from './png.js';
+import md5 from './md5.js';
+import {Scratch1ParseError} from './errors.js';
+
+// Reader for Scratch 1 projects (.sb). These are Squeak object graphs serialized with Scratch's
+// ObjStream format:
+//  - "ScratchV01" or "ScratchV02"
+//  - Length of the info section as a 32-bit big endian integer
+//  - ObjStream containing the info dictionary (author, notes, thumbnail, ...)
+//  - ObjStream containing the stage, which owns the sprites
+// Each ObjStream is a table of objects. Objects refer to each other using 1-based indexes
+// into the table. Small values such as numbers and booleans are stored inline instead.
+
+/**
+ * @typedef Scratch1Project
+ * @property {string} version eg. "ScratchV02"
+ * @property {Scratch1Info} info
+ * @property {Scratch1Target} stage
+ * @property {Scratch1Target[]} sprites In the order shown in the sprite library.
+ */
+
+/**
+ * @typedef Scratch1Info
+ * @property {string} author
+ * @property {string} notes
+ * @property {ArrayBuffer|null} thumbnail PNG image, or null if the project does not have a thumbnail.
+ */
+
+/**
+ * @typedef Scratch1Target
+ * @property {string} name
+ * @property {boolean} isStage
+ * @property {Scratch1Costume[]} costumes
+ * @property {Scratch1Sound[]} sounds
+ * @property {number} currentCostume Index of the current costume.
+ */
+
+/**
+ * @typedef Scratch1Costume
+ * @property {string} name
+ * @property {number} rotationCenterX
+ * @property {number} rotationCenterY
+ * @property {'png'|'jpg'} dataFormat
+ * @property {string} md5ext md5 checksum of data and dataFormat eg. "188325c56b79ff3cd58497c970ba87a6.png"
+ * @property {ArrayBuffer} data
+ */
+
+/**
+ * @typedef Scratch1Sound
+ * @property {string} name
+ * @property {number} rate Samples per second.
+ * @property {number} sampleCount
+ * @property {'wav'} dataFormat
+ * @property {string} md5ext
+ * @property {ArrayBuffer} data 16-bit mono WAV.
+ */
+
+/**
+ * @typedef Scratch1Object An instance of one of Squeak's classes that does not have a fixed format.
+ * @property {number} classId
+ * @property {number} version
+ * @property {unknown[]} fields
+ */
+
+/**
+ * @typedef Scratch1Form
+ * @property {number} width
+ * @property {number} height
+ * @property {number} depth Bits per pixel.
+ * @property {unknown} bits Uint32Array, or Uint8Array if compressed.
+ * @property {unknown} colors Palette of ColorForms, otherwise null.
+ */
+
+/**
+ * @typedef Scratch1Color
+ * @property {number} r
+ * @property {number} g
+ * @property {number} b
+ * @property {number} a
+ */
+
+const CLASS_SAMPLED_SOUND = 109;
+const CLASS_SPRITE = 124;
+const CLASS_STAGE = 125;
+const CLASS_IMAGE_MEDIA = 162;
+const CLASS_SOUND_MEDIA = 164;
+
+// Fields shared by sprites and the stage
+const FIELD_SUBMORPHS = 2;
+const FIELD_OBJ_NAME = 6;
+const FIELD_MEDIA = 10;
+const FIELD_COSTUME = 11;
+// Stage only
+const FIELD_SPRITE_ORDER = 16;
+
+const FIELD_IMAGE_MEDIA_NAME = 0;
+const FIELD_IMAGE_MEDIA_FORM = 1;
+const FIELD_IMAGE_MEDIA_ROTATION_CENTER = 2;
+const FIELD_IMAGE_MEDIA_JPEG = 4;
+const FIELD_IMAGE_MEDIA_COMPOSITE_FORM = 5;
+
+const FIELD_SOUND_MEDIA_NAME = 0;
+const FIELD_SOUND_MEDIA_ORIGINAL_SOUND = 1;
+const FIELD_SOUND_MEDIA_COMPRESSED_RATE = 4;
+const FIELD_SOUND_MEDIA_COMPRESSED_BITS = 5;
+const FIELD_SOUND_MEDIA_COMPRESSED_DATA = 6;
+
+const FIELD_SAMPLED_SOUND_SAMPLES = 3;
+const FIELD_SAMPLED_SOUND_RATE = 4;
+
+// Sizes of images are read from the file, so they are limited to avoid running out of memory on broken or
+// malicious projects. Scratch 1's stage is 480x360.
+const MAX_IMAGE_SIZE = 8192;
+const MAX_IMAGE_PIXELS = 4096 * 4096;
+
+/**
+ * Placeholder for a reference to another object in the table until every object has been read.
+ */
+class Ref {
+  /**
+   * @param {number} index 1-based
+   */
+  constructor (index) {
+    this.index = index;
+  }
+}
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} start Offset of the ObjStream header.
+ * @returns {unknown} The first object in the stream.
+ */
+const readObjStream = (data, start) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  let offset = start;
+
+  const checkAvailable = (bytes) => {
+    if (offset + bytes > data.length) {
+      throw new Scratch1ParseError('unexpected end of data');
+    }
+  };
+  const u8 = () => {
+    checkAvailable(1);
+    return data[offset++];
+  };
+  const u16 = () => {
+    checkAvailable(2);
+    const value = view.getUint16(offset);
+    offset += 2;
+    return value;
+  };
+  const u32 = () => {
+    checkAvailable(4);
+    const value = view.getUint32(offset);
+    offset += 4;
+    return value;
+  };
+  const bytes = (length) => {
+    checkAvailable(length);
+    const value = data.slice(offset, offset + length);
+    offset += length;
+    return value;
+  };
+
+  const HEADER = 'ObjS\x01Stch\x01';
+  for (let i = 0; i < HEADER.length; i++) {
+    if (u8() !== HEADER.charCodeAt(i)) {
+      throw new Scratch1ParseError('invalid ObjStream header');
+    }
+  }
+
+  /**
+   * Containers and keys that may hold a Ref that needs to be replaced with the real object.
+   * @type {Array<[any, string|number]>}
+   */
+  const slots = [];
+  /** @type {Array<{map: Map<unknown, unknown>, pairs: unknown[]}>} */
+  const dictionaries = [];
+
+  /**
+   * Read a value that is either stored inline or is a reference to an object in the table.
+   * @returns {unknown}
+   */
+  const readField = () => {
+    const classId = u8();
+    switch (classId) {
+      case 1:
+        return null;
+      case 2:
+        return true;
+      case 3:
+        return false;
+      case 4:
+        return (u32() | 0);
+      case 5: {
+        const value = u16();
+        return value >= 0x8000 ? value - 0x10000 : value;
+      }
+      case 6:
+      case 7: {
+        const length = u16();
+        let value = 0;
+        for (let i = 0; i < length; i++) {
+          value += u8() * Math.pow(256, i);
+        }
+        return classId === 7 ? -value : value;
+      }
+      case 8: {
+        checkAvailable(8);
+        const value = view.getFloat64(offset);
+        offset += 8;
+        return value;
+      }
+      case 99:
+        return new Ref((u8() << 16) | (u8() << 8) | u8());
+    }
+    throw new Scratch1ParseError(`unexpected inline class ${classId}`);
+  };
+
+  /**
+   * @param {number} count
+   * @returns {unknown[]}
+   */
+  const readFields = (count) => {
+    const fields = [];
+    for (let i = 0; i < count; i++) {
+      fields.push(readField());
+      slots.push([fields, i]);
+    }
+    return fields;
+  };
+
+  /**
+   * @param {string[]} names
+   * @returns {Record<string, unknown>}
+   */
+  const readNamedFields = (names) => {
+    /** @type {Record<string, unknown>} */
+    const result = {};
+    for (const name of names) {
+      result[name] = readField();
+      slots.push([result, name]);
+    }
+    return result;
+  };
+
+  /**
+   * Read an entry in the object table.
+   * @returns {unknown}
+   */
+  const readObject = () => {
+    const classId = u8();
+    if (classId <= 8) {
+      offset--;
+      return readField();
+    }
+    switch (classId) {
+      case 9:
+        // String
+        return new TextDecoder('macintosh').decode(bytes(u32()));
+      case 10:
+        // Symbol
+        return new TextDecoder('macintosh').decode(bytes(u32()));
+      case 11:
+        // ByteArray
+        return bytes(u32());
+      case 12:
+        // SoundBuffer: 16-bit big endian samples
+        return bytes(u32() * 2);
+      case 13: {
+        // Bitmap: 32-bit big endian words
+        const length = u32();
+        checkAvailable(length * 4);
+        const words = new Uint32Array(length);
+        for (let i = 0; i < length; i++) {
+          words[i] = view.getUint32(offset);
+          offset += 4;
+        }
+        return words;
+      }
+      case 14:
+        // UTF8
+        return new TextDecoder().decode(bytes(u32()));
+      case 20:
+      case 21:
+      case 22:
+      case 23:
+        // Array, OrderedCollection, Set, IdentitySet
+        return readFields(u32());
+      case 24:
+      case 25: {
+        // Dictionary, IdentityDictionary
+        const map = new Map();
+        dictionaries.push({
+          map,
+          pairs: readFields(u32() * 2)
+        });
+        return map;
+      }
+      case 30:
+      case 31: {
+        // Color, TranslucentColor. Components are 10 bits each.
+        const rgb = u32();
+        return {
+          r: (rgb >> 22) & 0xff,
+          g: (rgb >> 12) & 0xff,
+          b: (rgb >> 2) & 0xff,
+          a: classId === 31 ? u8() : 255
+        };
+      }
+      case 32:
+        // Point
+        return readNamedFields(['x', 'y']);
+      case 33:
+        // Rectangle
+        return readNamedFields(['left', 'top', 'right', 'bottom']);
+      case 34:
+        return Object.assign(readNamedFields(['width', 'height', 'depth', 'offset', 'bits']), {
+          colors: null
+        });
+      case 35:
+        // ColorForm
+        return readNamedFields(['width', 'height', 'depth', 'offset', 'bits', 'colors']);
+    }
+    if (classId >= 100) {
+      const version = u8();
+      const fields = readFields(u8());
+      /** @type {Scratch1Object} */
+      const object = {
+        classId,
+        version,
+        fields
+      };
+      return object;
+    }
+    throw new Scratch1ParseError(`unknown class ${classId}`);
+  };
+
+  const objectCount = u32();
+  const table = [];
+  for (let i = 0; i < objectCount; i++) {
+    table.push(readObject());
+  }
+
+  for (const [container, key] of slots) {
+    const value = container[key];
+    if (value instanceof Ref) {
+      if (value.index < 1 || value.index > table.length) {
+        throw new Scratch1ParseError(`invalid reference ${value.index}`);
+      }
+      container[key] = table[value.index - 1];
+    }
+  }
+  for (const {map, pairs} of dictionaries) {
+    for (let i = 0; i < pairs.length; i += 2) {
+      map.set(pairs[i], pairs[i + 1]);
+    }
+  }
+
+  return table[0];
+};
+
+/**
+ * @param {unknown} value
+ * @param {number} classId
+ * @returns {value is Scratch1Object}
+ */
+const isInstance = (value, classId) => (
+  !!value &&
+  typeof value === 'object' &&
+  /** @type {Scratch1Object} */ (value).classId === classId
+);
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+const toString = (value) => typeof value === 'string' ? value : '';
+
+/**
+ * @param {unknown} value
+ * @returns {number}
+ */
+const toNumber = (value) => typeof value === 'number' && Number.isFinite(value) ? value : 0;
+
+/**
+ * Squeak's compressed Bitmap encoding. Runs of words are stored with a variable length
+ * header containing the run length and how the run is encoded.
+ * @param {Uint8Array} data
+ * @param {number} maxLength Most words that the Bitmap can have.
+ * @returns {Uint32Array}
+ */
+const decompressBitmap = (data, maxLength) => {
+  let offset = 0;
+  const readByte = () => data[offset++] || 0;
+  const readInt = () => {
+    const first = readByte();
+    if (first <= 223) {
+      return first;
+    }
+    if (first <= 254) {
+      return (first - 224) * 256 + readByte();
+    }
+    return ((readByte() << 24) | (readByte() << 16) | (readByte() << 8) | readByte()) >>> 0;
+  };
+  const readWord = () => ((readByte() << 24) | (readByte() << 16) | (readByte() << 8) | readByte()) >>> 0;
+
+  const length = readInt();
+  if (length > maxLength) {
+    throw new Scratch1ParseError(`compressed Bitmap has ${length} words, more than the ${maxLength} its image needs`);
+  }
+  const result = new Uint32Array(length);
+  let i = 0;
+  while (i < result.length && offset < data.length) {
+    const header = readInt();
+    const runLength = Math.min(Math.floor(header / 4), result.length - i);
+    const code = header & 3;
+    if (code === 0) {
+      // Words of zero
+      i += runLength;
+    } else if (code === 1) {
+      // One byte repeated in every byte of every word
+      const byte = readByte();
+      result.fill(((byte << 24) | (byte << 16) | (byte << 8) | byte) >>> 0, i, i + runLength);
+      i += runLength;
+    } else if (code === 2) {
+      // One word repeated
+      result.fill(readWord(), i, i + runLength);
+      i += runLength;
+    } else {
+      // Literal words
+      for (let j = 0; j < runLength; j++) {
+        result[i++] = readWord();
+      }
+    }
+  }
+  return result;
+};
+
+/**
+ * Squeak's default palette for Forms with 8 or fewer bits per pixel that don't have their own.
+ * @type {Scratch1Color[]|null}
+ */
+let squeakColors = null;
+const getSqueakColors = () => {
+  if (!squeakColors) {
+    const gray = (value) => Math.round(value * 255);
+    const colors = [
+      [1, 1, 1], [0, 0, 0], [1, 1, 1], [0.5, 0.5, 0.5],
+      [1, 0, 0], [0, 1, 0], [0, 0, 1], [0, 1, 1], [1, 1, 0], [1, 0, 1],
+      [0.125, 0.125, 0.125], [0.25, 0.25, 0.25], [0.375, 0.375, 0.375],
+      [0.625, 0.625, 0.625], [0.75, 0.75, 0.75], [0.875, 0.875, 0.875]
+    ];
+    // Multiples of 1/32 that aren't multiples of 1/8, which are already in the table
+    for (let i = 1; i < 32; i++) {
+      if (i % 4 !== 0) {
+        colors.push([i / 32, i / 32, i / 32]);
+      }
+    }
+    // 6x6x6 color cube
+    for (let r = 0; r < 6; r++) {
+      for (let g = 0; g < 6; g++) {
+        for (let b = 0; b < 6; b++) {
+          colors.push([r / 5, g / 5, b / 5]);
+        }
+      }
+    }
+    squeakColors = colors.map(([r, g, b]) => ({
+      r: gray(r),
+      g: gray(g),
+      b: gray(b),
+      a: 255
+    }));
+  }
+  return squeakColors;
+};
+
+/**
+ * @param {Scratch1Form} form
+ * @returns {ArrayBuffer|null} PNG image, or null if the Form could not be decoded.
+ */
+const formToPNG = (form) => {
+  const width = toNumber(form.width);
+  const height = toNumber(form.height);
+  const depth = toNumber(form.depth);
+  if (width <= 0 || height <= 0 || ![1, 2, 4, 8, 16, 32].includes(depth)) {
+    return null;
+  }
+  if (width > MAX_IMAGE_SIZE || height > MAX_IMAGE_SIZE || width * height > MAX_IMAGE_PIXELS) {
+    throw new Scratch1ParseError(`image is too large: ${width}x${height}`);
+  }
+
+  const pixelsPerWord = 32 / depth;
+  const wordsPerRow = Math.ceil(width / pixelsPerWord);
+  let bits = form.bits;
+  if (bits instanceof Uint8Array) {
+    bits = decompressBitmap(bits, wordsPerRow * height);
+  }
+  if (!(bits instanceof Uint32Array)) {
+    return null;
+  }
+
+  const palette = Array.isArray(form.colors) ? form.colors : getSqueakColors();
+  const rgba = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const word = bits[y * wordsPerRow + Math.floor(x / pixelsPerWord)] || 0;
+      // Pixels are packed starting from the most significant bits
+      const shift = 32 - depth * (x % pixelsPerWord + 1);
+      const pixel = depth === 32 ? word : (word >>> shift) & ((1 << depth) - 1);
+      const i = (y * width + x) * 4;
+
+      if (depth === 32) {
+        if (pixel !== 0) {
+          rgba[i] = (pixel >>> 16) & 0xff;
+          rgba[i + 1] = (pixel >>> 8) & 0xff;
+          rgba[i + 2] = pixel & 0xff;
+          // Older projects don't use the alpha channel, so 0 means opaque
+          rgba[i + 3] = (pixel >>> 24) || 0xff;
+        }
+      } else if (depth === 16) {
+        if (pixel !== 0) {
+          const r = (pixel >> 10) & 0x1f;
+          const g = (pixel >> 5) & 0x1f;
+          const b = pixel & 0x1f;
+          rgba[i] = (r << 3) | (r >> 2);
+          rgba[i + 1] = (g << 3) | (g >> 2);
+          rgba[i + 2] = (b << 3) | (b >> 2);
+          rgba[i + 3] = 0xff;
+        }
+      } else {
+        const color = /** @type {Scratch1Color|null} */ (palette[pixel]);
+        // Without a palette of its own, pixel 0 is transparent, except in 1-bit Forms where it is white
+        if (color && (Array.isArray(form.colors) || pixel !== 0 || depth === 1)) {
+          rgba[i] = color.r;
+          rgba[i + 1] = color.g;
+          rgba[i + 2] = color.b;
+          rgba[i + 3] = color.a;
+        }
+      }
+    }
+  }
+
+  return encodePNG(width, height, rgba);
+};
+
+const ADPCM_STEP_SIZES = [
+  7, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 21, 23, 25, 28, 31, 34, 37, 41, 45, 50, 55, 60, 66, 73, 80,
+  88, 97, 107, 118, 130, 143, 157, 173, 190, 209, 230, 253, 279, 307, 337, 371, 408, 449, 494, 544,
+  598, 658, 724, 796, 876, 963, 1060, 1166, 1282, 1411, 1552, 1707, 1878, 2066, 2272, 2499, 2749,
+  3024, 3327, 3660, 4026, 4428, 4871, 5358, 5894, 6484, 7132, 7845, 8630, 9493, 10442, 11487, 12635,
+  13899, 15289, 16818, 18500, 20350, 22385, 24623, 27086, 29794, 32767
+];
+
+/** @type {Record<number, number[]>} */
+const ADPCM_INDEX_TABLES = {
+  2: [-1, 2],
+  3: [-1, -1, 2, 4],
+  4: [-1, -1, -1, -1, 2, 4, 6, 8],
+  5: [-1, -1, -1, -1, -1, -1, -1, -1, 1, 2, 4, 6, 8, 10, 13, 16]
+};
+
+/**
+ * Decode the ADPCM variant that Scratch 1 uses to compress sounds.
+ * @param {Uint8Array} data
+ * @param {number} bitsPerSample 2 to 5
+ * @returns {Int16Array}
+ */
+const decodeADPCM = (data, bitsPerSample) => {
+  const indexTable = ADPCM_INDEX_TABLES[bitsPerSample];
+  const signMask = 1 << (bitsPerSample - 1);
+  const valueMask = signMask - 1;
+  const valueHighBit = signMask >> 1;
+
+  let bitOffset = 0;
+  const readCode = () => {
+    let code = 0;
+    for (let i = 0; i < bitsPerSample; i++) {
+      const bit = (data[bitOffset >> 3] >> (7 - (bitOffset & 7))) & 1;
+      code = (code << 1) | bit;
+      bitOffset++;
+    }
+    return code;
+  };
+
+  const samples = new Int16Array(Math.floor(data.length * 8 / bitsPerSample));
+  let sample = 0;
+  let index = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const code = readCode();
+    let step = ADPCM_STEP_SIZES[index];
+    let delta = 0;
+    for (let bit = valueHighBit; bit > 0; bit >>= 1) {
+      if (code & bit) {
+        delta += step;
+      }
+      step >>= 1;
+    }
+    delta += step;
+    sample += (code & signMask) ? -delta : delta;
+    sample = Math.max(-32768, Math.min(32767, sample));
+    index = Math.max(0, Math.min(ADPCM_STEP_SIZES.length - 1, index + indexTable[code & valueMask]));
+    samples[i] = sample;
+  }
+  return samples;
+};
+
+/**
+ * @param {Int16Array} samples
+ * @param {number} rate
+ * @returns {ArrayBuffer}
+ */
+const encodeWAV = (samples, rate) => {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  };
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  // PCM, mono
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, rate, true);
+  view.setUint32(28, rate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+  for (let i = 0; i < samples.length; i++) {
+    view.setInt16(44 + i * 2, samples[i], true);
+  }
+  return buffer;
+};
+
+/**
+ * @param {Scratch1Object} media
+ * @returns {Scratch1Costume|null}
+ */
+const readCostume = (media) => {
+  const fields = media.fields;
+  const rotationCenter = /** @type {{x: unknown; y: unknown}|null} */ (fields[FIELD_IMAGE_MEDIA_ROTATION_CENTER]);
+  // The composite form includes the text layer, if any.
+  const compositeForm = /** @type {Scratch1Form|null} */ (fields[FIELD_IMAGE_MEDIA_COMPOSITE_FORM]);
+  const jpeg = fields[FIELD_IMAGE_MEDIA_JPEG];
+
+  /** @type {'png'|'jpg'} */
+  let dataFormat;
+  let data;
+  if (jpeg instanceof Uint8Array && !compositeForm) {
+    dataFormat = 'jpg';
+    data = jpeg.buffer;
+  } else {
+    dataFormat = 'png';
+    data = formToPNG(compositeForm || /** @type {Scratch1Form} */ (fields[FIELD_IMAGE_MEDIA_FORM]) || /** @type {Scratch1Form} */ ({}));
+  }
+  if (!data) {
+    return null;
+  }
+
+  return {
+    name: toString(fields[FIELD_IMAGE_MEDIA_NAME]),
+    rotationCenterX: rotationCenter ? toNumber(rotationCenter.x) : 0,
+    rotationCenterY: rotationCenter ? toNumber(rotationCenter.y) : 0,
+    dataFormat,
+    md5ext: `${md5(data)}.${dataFormat}`,
+    data
+  };
+};
+
+/**
+ * @param {Scratch1Object} media
+ * @returns {Scratch1Sound|null}
+ */
+const readSound = (media) => {
+  const fields = media.fields;
+  const compressedData = fields[FIELD_SOUND_MEDIA_COMPRESSED_DATA];
+  const compressedBits = toNumber(fields[FIELD_SOUND_MEDIA_COMPRESSED_BITS]);
+
+  let samples;
+  let rate;
+  if (compressedData instanceof Uint8Array && ADPCM_INDEX_TABLES[compressedBits]) {
+    samples = decodeADPCM(compressedData, compressedBits);
+    rate = toNumber(fields[FIELD_SOUND_MEDIA_COMPRESSED_RATE]);
+  } else {
+    const originalSound = fields[FIELD_SOUND_MEDIA_ORIGINAL_SOUND];
+    if (!isInstance(originalSound, CLASS_SAMPLED_SOUND)) {
+      return null;
+    }
+    const samplesData = originalSound.fields[FIELD_SAMPLED_SOUND_SAMPLES];
+    if (!(samplesData instanceof Uint8Array)) {
+      return null;
+    }
+    const view = new DataView(samplesData.buffer, samplesData.byteOffset, samplesData.byteLength);
+    samples = new Int16Array(samplesData.byteLength / 2);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = view.getInt16(i * 2);
+    }
+    rate = toNumber(originalSound.fields[FIELD_SAMPLED_SOUND_RATE]);
+  }
+
+  rate = Math.round(rate) || 22050;
+  const data = encodeWAV(samples, rate);
+  return {
+    name: toString(fields[FIELD_SOUND_MEDIA_NAME]),
+    rate,
+    sampleCount: samples.length,
+    dataFormat: 'wav',
+    md5ext: `${md5(data)}.wav`,
+    data
+  };
+};
+
+/**
+ * @param {Scratch1Object} object Sprite or stage
+ * @returns {Scratch1Target}
+ */
+const readTarget = (object) => {
+  const isStage = object.classId === CLASS_STAGE;
+  const media = Array.isArray(object.fields[FIELD_MEDIA]) ? object.fields[FIELD_MEDIA] : [];
+  const currentCostume = object.fields[FIELD_COSTUME];
+
+  /** @type {Scratch1Costume[]} */
+  const costumes = [];
+  /** @type {Scratch1Sound[]} */
+  const sounds = [];
+  let currentCostumeIndex = 0;
+  for (const item of media) {
+    if (isInstance(item, CLASS_IMAGE_MEDIA)) {
+      const costume = readCostume(item);
+      if (costume) {
+        if (item === currentCostume) {
+          currentCostumeIndex = costumes.length;
+        }
+        costumes.push(costume);
+      }
+    } else if (isInstance(item, CLASS_SOUND_MEDIA)) {
+      const sound = readSound(item);
+      if (sound) {
+        sounds.push(sound);
+      }
+    }
+  }
+
+  return {
+    name: isStage ? 'Stage' : toString(object.fields[FIELD_OBJ_NAME]),
+    isStage,
+    costumes,
+    sounds,
+    currentCostume: currentCostumeIndex
+  };
+};
+
+/**
+ * @param {ArrayBuffer | ArrayBufferView} data
+ * @returns {Uint8Array}
+ */
+const toUint8Array = (data) => ArrayBuffer.isView(data) ?
+  new Uint8Array(data.buffer, data.byteOffset, data.byteLength) :
+  new Uint8Array(data);
+
+/**
+ * @param {Uint8Array} uint8array
+ * @returns {{version: string, info: Scratch1Info, infoLength: number}}
+ */
+const readHeaderAndInfo = (uint8array) => {
+  const version = new TextDecoder().decode(uint8array.subarray(0, 10));
+  if (version !== 'ScratchV01' && version !== 'ScratchV02') {
+    throw new Scratch1ParseError('not a Scratch 1 project');
+  }
+  if (uint8array.length < 14) {
+    throw new Scratch1ParseError('unexpected end of data');
+  }
+  const infoLength = new DataView(uint8array.buffer, uint8array.byteOffset, uint8array.byteLength).getUint32(10);
+
+  const info = readObjStream(uint8array, 14);
+  const infoMap = info instanceof Map ? info : new Map();
+  const thumbnail = infoMap.get('thumbnail');
+  return {
+    version,
+    info: {
+      author: toString(infoMap.get('author')),
+      notes: toString(infoMap.get('comment')),
+      thumbnail: thumbnail && typeof thumbnail === 'object' ? formToPNG(/** @type {Scratch1Form} */ (thumbnail)) : null
+    },
+    infoLength
+  };
+};
+
+/**
+ * Read only the info section of a Scratch 1 project, which is much faster than reading the whole project.
+ * @param {ArrayBuffer | ArrayBufferView} data Data of the .sb file
+ * @returns {Scratch1Info} Throws a Scratch1ParseError if data is not a Scratch 1 project or can't be read.
+ */
+export const readScratch1Info = (data) => readHeaderAndInfo(toUint8Array(data)).info;
+
+/**
+ * Read the contents of a Scratch 1 project.
+ * @param {ArrayBuffer | ArrayBufferView} data Data of the .sb file
+ * @returns {Scratch1Project} Throws a Scratch1ParseError if data is not a Scratch 1 project or can't be read.
+ */
+export const readScratch1Project = (data) => {
+  const uint8array = toUint8Array(data);
+  const {version, info, infoLength} = readHeaderAndInfo(uint8array);
+
+  const stage = readObjStream(uint8array, 14 + infoLength);
+  if (!isInstance(stage, CLASS_STAGE)) {
+    throw new Scratch1ParseError('stage is missing');
+  }
+
+  /** @type {Scratch1Object[]} */
+  const sprites = [];
+  const addSprite = (object) => {
+    if (isInstance(object, CLASS_SPRITE) && !sprites.includes(object)) {
+      sprites.push(object);
+    }
+  };
+  const spriteOrder = stage.fields[FIELD_SPRITE_ORDER];
+  if (Array.isArray(spriteOrder)) {
+    spriteOrder.forEach(addSprite);
+  }
+  // Sprites missing from the library order, or projects too old to have one
+  const submorphs = stage.fields[FIELD_SUBMORPHS];
+  if (Array.isArray(submorphs)) {
+    submorphs.forEach(addSprite);
+  }
+
+  return {
+    version,
+    info,
+    stage: readTarget(stage),
+    sprites: sprites.map(readTarget)
+  };
+};
@@ -0,0 +1,56 @@
+import {fetchAllPages} from './scratch-api.js';
+import {withRecordedFetch} from './warc.js';
+import {downloadProjectBatch} from './batch.js';
+import {CanNotAccessStudioError, HTTPError} from './errors.js';
+
+/**
+ * @typedef StudioProject A project as listed by the Scratch API's studios/id/projects.
+ * @property {number} id
+ * @property {string} title
+ * @property {string} username
+ */
+
+/**
+ * @typedef DownloadedStudio
+ * @property {string} id
+ * @property {import('./batch.js').BatchProjectResult[]} projects Every project in the studio, in the same order as the studio lists them.
+ */
+
+/**
+ * List the projects in a studio.
+ * @param {string} studioId
+ * @param {import('./downloader.js').Options} [options]
+ * @returns {Promise<StudioProject[]>}
+ */
+export const getStudioProjects = async (studioId, options) => {
+  options = withRecordedFetch(options || {});
+  try {
+    return await fetchAllPages(`studios/${studioId}/projects`, options);
+  } catch (e) {
+    if (e instanceof HTTPError && e.status === 404) {
+      throw new CanNotAccessStudioError(`Studio ${studioId} does not exist`);
+    }
+    throw e;
+  }
+};
+
+/**
+ * Download every project in a studio. Projects that can't be downloaded are included in the result
+ * with their error instead of stopping the other downloads.
+ * @param {string} studioId
+ * @param {import('./downloader.js').Options} [options] Used for every project. timeout applies to each project separately.
+ * @returns {Promise<DownloadedStudio>} Rejects if the studio's project list can't be fetched or if aborted.
+ */
+export const downloadStudio = async (studioId, options) => {
+  options = withRecordedFetch(options || {});
+  studioId = `${studioId}`;
+  const list = await getStudioProjects(studioId, options);
+  const projects = await downloadProjectBatch(list.map((project) => ({
+    id: `${project.id}`,
+    title: project.title
+  })), options);
+  return {
+    id: studioId,
+    projects
+  };
+};
@@ -0,0 +1,22 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Write the files from unpackProject() into a directory.
+ * Files that are already in the directory are overwritten, but files that aren't part of the project are left alone.
+ * @param {import('./downloader.js').UnpackedProject} files
+ * @param {string} directory Created if it does not exist.
+ * @returns {Promise<void>}
+ */
+export const writeUnpackedProject = async (files, directory) => {
+  await fs.mkdir(directory, {
+    recursive: true
+  });
+  for (const name of Object.keys(files)) {
+    // Paths come from inside the project, so don't let them escape the directory.
+    if (path.basename(name) !== name || name === '.' || name === '..') {
+      throw new Error(`Unsafe path in project: ${name}`);
+    }
+    await fs.writeFile(path.join(directory, name), files[name]);
+  }
+};
@@ -0,0 +1,54 @@
+import {fetchAllPages} from './scratch-api.js';
+import {withRecordedFetch} from './warc.js';
+import {downloadProjectBatch} from './batch.js';
+import {CanNotAccessUserError, HTTPError} from './errors.js';
+
+/**
+ * @typedef UserProject A project as listed by the Scratch API's users/username/projects.
+ * @property {number} id
+ * @property {string} title
+ */
+
+/**
+ * @typedef DownloadedUserProjects
+ * @property {string} username
+ * @property {import('./batch.js').BatchProjectResult[]} projects Every shared project by the user, in the same order as the API lists them.
+ */
+
+/**
+ * List the shared projects by a user.
+ * @param {string} username
+ * @param {import('./downloader.js').Options} [options]
+ * @returns {Promise<UserProject[]>}
+ */
+export const getUserProjects = async (username, options) => {
+  options = withRecordedFetch(options || {});
+  try {
+    return await fetchAllPages(`users/${encodeURIComponent(username)}/projects`, options);
+  } catch (e) {
+    if (e instanceof HTTPError && e.status === 404) {
+      throw new CanNotAccessUserError(`User ${username} does not exist`);
+    }
+    throw e;
+  }
+};
+
+/**
+ * Download every shared project by a user. Projects that can't be downloaded are included in the result
+ * with their error instead of stopping the other downloads.
+ * @param {string} username
+ * @param {import('./downloader.js').Options} [options] Used for every project. timeout applies to each project separately.
+ * @returns {Promise<DownloadedUserProjects>} Rejects if the user's project list can't be fetched or if aborted.
+ */
+export const downloadUserProjects = async (username, options) => {
+  options = withRecordedFetch(options || {});
+  const list = await getUserProjects(username, options);
+  const projects = await downloadProjectBatch(list.map((project) => ({
+    id: `${project.id}`,
+    title: project.title
+  })), options);
+  return {
+    username,
+    projects
+  };
+};
@@ -0,0 +1,397 @@
+// Finds problems in projects that would make them fail to load or behave differently than expected.
+// Problems that Scratch is known to repair by itself while loading are reported as warnings instead of errors.
+
+/**
+ * @typedef {Array<string|number>} JSONPath Keys to follow from the root of project.json, eg. ['targets', 1, 'blocks', 'abc', 'next']
+ */
+
+/**
+ * @typedef ValidationIssue
+ * @property {string} code Stable identifier for the type of problem, eg. 'missing-asset'
+ * @property {string} message Human-readable description.
+ * @property {JSONPath} path Where the problem is in project.json. Empty for problems that aren't in project.json.
+ * @property {string} [file] The file in the project that the problem is about, if any.
+ */
+
+/**
+ * @typedef ValidationReport
+ * @property {'sb'|'sb2'|'sb3'|null} type null if the type of project could not be identified.
+ * @property {ValidationIssue[]} errors
+ * @property {ValidationIssue[]} warnings
+ */
+
+// sb2 opcodes that refer to variables or lists by name, and which argument has the name
+const SB2_VARIABLE_ARGUMENTS = {
+  'readVariable': 0,
+  'setVar:to:': 0,
+  'changeVar:by:': 0,
+  'showVariable:': 0,
+  'hideVariable:': 0,
+  'doForLoop': 0
+};
+const SB2_LIST_ARGUMENTS = {
+  'contentsOfList:': 0,
+  'append:toList:': 1,
+  'deleteLine:ofList:': 1,
+  'insert:at:ofList:': 2,
+  'setLine:ofList:to:': 1,
+  'getLine:ofList:': 1,
+  'lineCountOfList:': 0,
+  'list:contains:': 0,
+  'showList:': 0,
+  'hideList:': 0
+};
+
+// Compressed primitive types from the sb3 format that refer to something by ID
+const SB3_BROADCAST_PRIMITIVE = 11;
+const SB3_VARIABLE_PRIMITIVE = 12;
+const SB3_LIST_PRIMITIVE = 13;
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, any>}
+ */
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {unknown} value
+ * @returns {Record<string, any>}
+ */
+const asObject = (value) => isObject(value) ? value : {};
+
+/**
+ * @param {unknown} value
+ * @returns {any[]}
+ */
+const asArray = (value) => Array.isArray(value) ? value : [];
+
+/**
+ * @returns {ValidationReport & {error: (code: string, message: string, path: JSONPath, file?: string) => void, warning: (code: string, message: string, path: JSONPath, file?: string) => void}}
+ */
+const createReport = () => {
+  /** @type {ValidationIssue[]} */
+  const errors = [];
+  /** @type {ValidationIssue[]} */
+  const warnings = [];
+  /**
+   * @param {ValidationIssue[]} list
+   */
+  const add = (list) => (code, message, path, file) => {
+    /** @type {ValidationIssue} */
+    const issue = {
+      code,
+      message,
+      path
+    };
+    if (file) {
+      issue.file = file;
+    }
+    list.push(issue);
+  };
+  return {
+    type: null,
+    errors,
+    warnings,
+    error: add(errors),
+    warning: add(warnings)
+  };
+};
+
+/**
+ * @param {Array<{name: unknown; path: JSONPath}>} targets
+ * @param {ReturnType<typeof createReport>} report
+ */
+const checkDuplicateNames = (targets, report) => {
+  const seen = new Set();
+  for (const target of targets) {
+    const name = String(target.name);
+    if (seen.has(name)) {
+      report.error('duplicate-target-name', `More than one sprite is named ${name}`, target.path);
+    }
+    seen.add(name);
+  }
+};
+
+/**
+ * @param {Set<string>|null} files
+ * @param {Set<string>} referencedFiles
+ * @param {ReturnType<typeof createReport>} report
+ */
+const checkUnreferencedFiles = (files, referencedFiles, report) => {
+  if (!files) {
+    return;
+  }
+  for (const file of files) {
+    if (file !== 'project.json' && !referencedFiles.has(file)) {
+      report.warning('unreferenced-file', `${file} is not used by the project`, [], file);
+    }
+  }
+};
+
+/**
+ * @param {any} projectData
+ * @param {Set<string>|null} files
+ * @param {ReturnType<typeof createReport>} report
+ */
+const validateSB3 = (projectData, files, report) => {
+  const targets = asArray(projectData.targets);
+  const stage = asObject(targets.find((target) => isObject(target) && target.isStage));
+  const referencedFiles = new Set();
+
+  checkDuplicateNames(targets.map((target, index) => ({
+    name: asObject(target).name,
+    path: ['targets', index, 'name']
+  })), report);
+
+  targets.forEach((target, targetIndex) => {
+    target = asObject(target);
+    const targetPath = ['targets', targetIndex];
+
+    for (const type of ['costumes', 'sounds']) {
+      asArray(target[type]).forEach((asset, assetIndex) => {
+        asset = asObject(asset);
+        const md5ext = asset.md5ext || `${asset.assetId}.${asset.dataFormat}`;
+        referencedFiles.add(md5ext);
+        if (files && !files.has(md5ext)) {
+          report.error('missing-asset', `${md5ext} is used by ${target.name} but is not in the project`, [...targetPath, type, assetIndex], md5ext);
+        }
+      });
+    }
+
+    /**
+     * @param {'variables'|'lists'|'broadcasts'} type
+     * @param {unknown} name
+     * @param {unknown} id
+     * @param {JSONPath} path
+     */
+    const checkReference = (type, name, id, path) => {
+      const scopes = type === 'broadcasts' ? [stage] : [target, stage];
+      const exists = scopes.some((scope) => {
+        const definitions = asObject(scope[type]);
+        if (typeof id === 'string') {
+          return Object.prototype.hasOwnProperty.call(definitions, id);
+        }
+        // Without an ID, Scratch looks up the name instead
+        return Object.values(definitions).some((definition) => (
+          (Array.isArray(definition) ? definition[0] : definition) === name
+        ));
+      });
+      if (!exists) {
+        const kind = {
+          variables: 'variable',
+          lists: 'list',
+          broadcasts: 'broadcast'
+        }[type];
+        report.warning(`broken-${kind}-reference`, `${target.name} uses ${kind} ${name} that does not exist`, path);
+      }
+    };
+
+    /**
+     * @param {any[]} primitive
+     * @param {JSONPath} path
+     */
+    const checkPrimitive = (primitive, path) => {
+      if (primitive[0] === SB3_VARIABLE_PRIMITIVE) {
+        checkReference('variables', primitive[1], primitive[2], path);
+      } else if (primitive[0] === SB3_LIST_PRIMITIVE) {
+        checkReference('lists', primitive[1], primitive[2], path);
+      } else if (primitive[0] === SB3_BROADCAST_PRIMITIVE) {
+        checkReference('broadcasts', primitive[1], primitive[2], path);
+      }
+    };
+
+    const blocks = asObject(target.blocks);
+    for (const blockId of Object.keys(blocks)) {
+      const block = blocks[blockId];
+      const blockPath = [...targetPath, 'blocks', blockId];
+
+      if (Array.isArray(block)) {
+        // Top-level variable or list reporter
+        checkPrimitive(block, blockPath);
+        continue;
+      }
+      if (!isObject(block)) {
+        continue;
+      }
+
+      for (const key of ['parent', 'next']) {
+        const linkedId = block[key];
+        if (linkedId !== null && linkedId !== undefined && !Object.prototype.hasOwnProperty.call(blocks, linkedId)) {
+          report.error('broken-block-reference', `Block ${blockId} in ${target.name} has ${key} ${linkedId} that does not exist`, [...blockPath, key]);
+        }
+      }
+
+      const fields = asObject(block.fields);
+      for (const [fieldName, type] of [['VARIABLE', 'variables'], ['LIST', 'lists'], ['BROADCAST_OPTION', 'broadcasts']]) {
+        const field = fields[fieldName];
+        if (Array.isArray(field)) {
+          checkReference(/** @type {'variables'|'lists'|'broadcasts'} */ (type), field[0], field[1], [...blockPath, 'fields', fieldName]);
+        }
+      }
+
+      const inputs = asObject(block.inputs);
+      for (const inputName of Object.keys(inputs)) {
+        asArray(inputs[inputName]).forEach((value, index) => {
+          if (Array.isArray(value)) {
+            checkPrimitive(value, [...blockPath, 'inputs', inputName, index]);
+          }
+        });
+      }
+    }
+  });
+
+  checkUnreferencedFiles(files, referencedFiles, report);
+};
+
+/**
+ * @param {any} projectData
+ * @param {Set<string>|null} files
+ * @param {ReturnType<typeof createReport>} report
+ */
+const validateSB2 = (projectData, files, report) => {
+  const referencedFiles = new Set();
+
+  /**
+   * @param {unknown} id
+   * @param {unknown} md5ext
+   * @param {string[]} possibleExtensions Used if md5ext doesn't say what type of file it is.
+   * @returns {string|null} Name of the file that is missing, or null if it exists.
+   */
+  const findMissingFile = (id, md5ext, possibleExtensions) => {
+    const extension = typeof md5ext === 'string' && md5ext.includes('.') ? md5ext.split('.').pop().toLowerCase() : null;
+    const candidates = (extension ? [extension] : possibleExtensions).map((i) => `${id}.${i}`);
+    for (const candidate of candidates) {
+      referencedFiles.add(candidate);
+    }
+    if (!files || candidates.some((candidate) => files.has(candidate))) {
+      return null;
+    }
+    return candidates[0];
+  };
+
+  const sprites = [];
+  asArray(projectData.children).forEach((child, index) => {
+    if (isObject(child) && child.objName !== undefined) {
+      sprites.push({
+        sprite: child,
+        path: ['children', index]
+      });
+    }
+  });
+
+  checkDuplicateNames(sprites.map(({sprite, path}) => ({
+    name: sprite.objName,
+    path: [...path, 'objName']
+  })), report);
+
+  if (projectData.penLayerID !== undefined) {
+    referencedFiles.add(`${projectData.penLayerID}.png`);
+  }
+
+  /**
+   * @param {unknown} list
+   * @param {string} key
+   * @returns {Set<string>}
+   */
+  const getNames = (list, key) => new Set(asArray(list).map((i) => asObject(i)[key]));
+  const stageVariables = getNames(projectData.variables, 'name');
+  const stageLists = getNames(projectData.lists, 'listName');
+
+  for (const {sprite, path: targetPath} of [{sprite: projectData, path: []}, ...sprites]) {
+    const name = sprite.objName;
+
+    asArray(sprite.costumes).forEach((costume, index) => {
+      costume = asObject(costume);
+      const costumePath = [...targetPath, 'costumes', index];
+      const missingBaseLayer = findMissingFile(costume.baseLayerID, costume.baseLayerMD5, ['png', 'svg', 'jpg']);
+      if (missingBaseLayer) {
+        report.error('missing-asset', `Costume ${costume.costumeName} of ${name} is not in the project`, costumePath, missingBaseLayer);
+      }
+      const missingTextLayer = costume.textLayerMD5 ? findMissingFile(costume.textLayerID, costume.textLayerMD5, ['png']) : null;
+      if (missingTextLayer) {
+        report.error('missing-asset', `Text layer of costume ${costume.costumeName} of ${name} is not in the project`, costumePath, missingTextLayer);
+      }
+    });
+    asArray(sprite.sounds).forEach((sound, index) => {
+      sound = asObject(sound);
+      const missingSound = findMissingFile(sound.soundID, sound.md5, ['wav', 'mp3']);
+      if (missingSound) {
+        report.error('missing-asset', `Sound ${sound.soundName} of ${name} is not in the project`, [...targetPath, 'sounds', index], missingSound);
+      }
+    });
+
+    const variables = getNames(sprite.variables, 'name');
+    const lists = getNames(sprite.lists, 'listName');
+
+    /**
+     * @param {unknown} value
+     * @param {JSONPath} path
+     */
+    const checkBlocks = (value, path) => {
+      if (!Array.isArray(value)) {
+        return;
+      }
+      if (typeof value[0] === 'string') {
+        const opcode = value[0];
+        if (Object.prototype.hasOwnProperty.call(SB2_VARIABLE_ARGUMENTS, opcode)) {
+          const argumentIndex = SB2_VARIABLE_ARGUMENTS[opcode] + 1;
+          const variableName = value[argumentIndex];
+          if (typeof variableName === 'string' && !variables.has(variableName) && !stageVariables.has(variableName)) {
+            report.warning('broken-variable-reference', `${name} uses variable ${variableName} that does not exist`, [...path, argumentIndex]);
+          }
+        }
+        if (Object.prototype.hasOwnProperty.call(SB2_LIST_ARGUMENTS, opcode)) {
+          const argumentIndex = SB2_LIST_ARGUMENTS[opcode] + 1;
+          const listName = value[argumentIndex];
+          if (typeof listName === 'string' && !lists.has(listName) && !stageLists.has(listName)) {
+            report.warning('broken-list-reference', `${name} uses list ${listName} that does not exist`, [...path, argumentIndex]);
+          }
+        }
+      }
+      value.forEach((item, index) => checkBlocks(item, [...path, index]));
+    };
+    asArray(sprite.scripts).forEach((script, index) => {
+      checkBlocks(asArray(script)[2], [...targetPath, 'scripts', index, 2]);
+    });
+  }
+
+  checkUnreferencedFiles(files, referencedFiles, report);
+};
+
+/**
+ * @param {'sb2'|'sb3'|null} type
+ * @param {unknown} projectData Parsed project.json
+ * @param {Set<string>|null} files Names of the files in the project, or null if only project.json is available,
+ * in which case files are not checked.
+ * @returns {ValidationReport}
+ */
+export const validateProjectData = (type, projectData, files) => {
+  const report = createReport();
+  report.type = type;
+  if (type === 'sb3') {
+    validateSB3(projectData, files, report);
+  } else if (type === 'sb2') {
+    validateSB2(projectData, files, report);
+  } else {
+    report.error('unknown-type', 'project.json is not an sb2 or sb3 project', []);
+  }
+  return {
+    type: report.type,
+    errors: report.errors,
+    warnings: report.warnings
+  };
+};
+
+/**
+ * @param {string} message
+ * @returns {ValidationReport}
+ */
+export const createUnknownTypeReport = (message) => {
+  const report = createReport();
+  report.error('unknown-type', message, []);
+  return {
+    type: null,
+    errors: report.errors,
+    warnings: report.warnings
+  };
+};
@@ -0,0 +1,301 @@
+import {sanitizeURL} from './errors.js';
+
+// WARC is the format that web archives such as the Internet Archive use to store HTTP requests and responses,
+// so downloads recorded in it can be replayed and checked later with standard tools.
+// https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.0/
+//
+// Some details differ from what was sent over the network:
+//  - Project tokens are replaced with "x" in URLs and JSON responses, the same as sanitizeURL(), as they give
+//    access to the project.
+//  - fetch() decompresses responses before we can read them, so bodies are stored decompressed and the
+//    Content-Encoding and Content-Length headers are changed to match.
+
+/**
+ * @typedef {import('./fetch-with-progress.js').FetchWithProgress} FetchWithProgress
+ */
+
+/**
+ * @typedef WARCRecorder
+ * @property {(fetchFn?: typeof fetch) => typeof fetch} wrapFetch Returns a fetch() that records every response in this WARC.
+ * Wrapping a fetch() that this already returned does nothing, so requests are never recorded twice.
+ * @property {(fetchFn?: typeof fetch) => (typeof fetch|undefined)} unwrapFetch Returns the fetch() that a fetch() from
+ * wrapFetch() uses, or fetchFn itself if it isn't from wrapFetch().
+ * @property {(fetchWithProgress: FetchWithProgress) => FetchWithProgress} wrapFetchWithProgress Like wrapFetch(), but for
+ * environment.fetchWithProgress. Only successful responses are recorded as the others are not read.
+ * @property {() => Promise<ArrayBuffer>} generate Waits for responses that are still being received, then creates the WARC file.
+ */
+
+/**
+ * @typedef HTTPExchange
+ * @property {string} url Already sanitized.
+ * @property {Date} date When the request was sent.
+ * @property {string} method
+ * @property {[string, string][]} requestHeaders
+ * @property {number} status
+ * @property {string} statusText
+ * @property {[string, string][]} responseHeaders
+ * @property {Uint8Array} body
+ */
+
+// Response headers that describe the data sent over the network rather than the body we store
+const REMOVED_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+const encoder = new TextEncoder();
+
+/**
+ * @returns {string}
+ */
+const randomUUID = () => {
+  const hex = [];
+  for (let i = 0; i < 32; i++) {
+    hex.push(Math.floor(Math.random() * 16).toString(16));
+  }
+  // Version 4, variant 1
+  hex[12] = '4';
+  hex[16] = (8 + Math.floor(Math.random() * 4)).toString(16);
+  const string = hex.join('');
+  return `${string.substring(0, 8)}-${string.substring(8, 12)}-${string.substring(12, 16)}-${string.substring(16, 20)}-${string.substring(20)}`;
+};
+
+/**
+ * @param {Date} date
+ * @returns {string} eg. 2020-01-01T00:00:00Z
+ */
+const formatDate = (date) => date.toISOString().replace(/\.\d+Z$/, 'Z');
+
+/**
+ * @param {HeadersInit|undefined} headers
+ * @returns {[string, string][]}
+ */
+const headersToList = (headers) => {
+  /** @type {[string, string][]} */
+  const list = [];
+  if (headers) {
+    new Headers(headers).forEach((value, name) => {
+      list.push([name, value]);
+    });
+  }
+  return list;
+};
+
+/**
+ * @param {Uint8Array} body
+ * @param {[string, string][]} headers
+ * @returns {Uint8Array}
+ */
+const redactTokens = (body, headers) => {
+  const contentType = headers.find(([name]) => name === 'content-type');
+  if (!contentType || !contentType[1].includes('json')) {
+    return body;
+  }
+  const text = new TextDecoder().decode(body);
+  const redacted = text.replace(/("project_token"\s*:\s*")[^"]*"/g, '$1x"');
+  return redacted === text ? body : encoder.encode(redacted);
+};
+
+/**
+ * @param {Uint8Array[]} arrays
+ * @returns {Uint8Array}
+ */
+const concat = (arrays) => {
+  let length = 0;
+  for (const array of arrays) {
+    length += array.byteLength;
+  }
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.byteLength;
+  }
+  return result;
+};
+
+/**
+ * @param {string} url
+ * @param {Date} date
+ * @param {RequestInit|undefined} init
+ * @param {{status: number, statusText: string, headers: [string, string][]}} response
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {HTTPExchange}
+ */
+const createExchange = (url, date, init, response, arrayBuffer) => ({
+  url: sanitizeURL(`${url}`),
+  date,
+  method: (init && init.method) || 'GET',
+  requestHeaders: headersToList(init && init.headers),
+  status: response.status,
+  statusText: response.statusText,
+  responseHeaders: response.headers,
+  body: redactTokens(new Uint8Array(arrayBuffer), response.headers)
+});
+
+/**
+ * @param {[string, string][]} headers
+ * @param {Uint8Array} block
+ * @returns {Uint8Array}
+ */
+const createRecord = (headers, block) => concat([
+  encoder.encode(`WARC/1.0\r\n${headers.map(([name, value]) => `${name}: ${value}\r\n`).join('')}Content-Length: ${block.byteLength}\r\n\r\n`),
+  block,
+  encoder.encode('\r\n\r\n')
+]);
+
+/**
+ * @param {HTTPExchange} exchange
+ * @returns {Uint8Array[]}
+ */
+const createExchangeRecords = (exchange) => {
+  const url = new URL(exchange.url);
+  const date = formatDate(exchange.date);
+  const requestID = `<urn:uuid:${randomUUID()}>`;
+  const responseID = `<urn:uuid:${randomUUID()}>`;
+
+  const requestHeaders = [['host', url.host], ...exchange.requestHeaders];
+  const request = encoder.encode(
+    `${exchange.method} ${url.pathname}${url.search} HTTP/1.1\r\n` +
+    `${requestHeaders.map(([name, value]) => `${name}: ${value}\r\n`).join('')}\r\n`
+  );
+
+  const responseHeaders = exchange.responseHeaders
+    .filter(([name]) => !REMOVED_RESPONSE_HEADERS.includes(name))
+    .concat([['content-length', `${exchange.body.byteLength}`]]);
+  const response = concat([
+    encoder.encode(
+      `HTTP/1.1 ${exchange.status} ${exchange.statusText}\r\n` +
+      `${responseHeaders.map(([name, value]) => `${name}: ${value}\r\n`).join('')}\r\n`
+    ),
+    exchange.body
+  ]);
+
+  return [
+    createRecord([
+      ['WARC-Type', 'request'],
+      ['WARC-Record-ID', requestID],
+      ['WARC-Date', date],
+      ['WARC-Target-URI', exchange.url],
+      ['WARC-Concurrent-To', responseID],
+      ['Content-Type', 'application/http;msgtype=request']
+    ], request),
+    createRecord([
+      ['WARC-Type', 'response'],
+      ['WARC-Record-ID', responseID],
+      ['WARC-Date', date],
+      ['WARC-Target-URI', exchange.url],
+      ['Content-Type', 'application/http;msgtype=response']
+    ], response)
+  ];
+};
+
+/**
+ * Create an object that records HTTP requests and responses into a WARC file.
+ * Give it to a download using the warc option.
+ * @returns {WARCRecorder}
+ */
+export const createWARCRecorder = () => {
+  /** @type {Array<HTTPExchange|null>} */
+  const exchanges = [];
+  /** @type {Promise<void>[]} */
+  const pending = [];
+  /** @type {WeakMap<Function, typeof fetch|undefined>} */
+  const wrappers = new WeakMap();
+
+  /**
+   * Reserve a place for a request so that the records are in the order the requests were sent.
+   * @returns {number}
+   */
+  const startExchange = () => {
+    exchanges.push(null);
+    return exchanges.length - 1;
+  };
+
+  return {
+    wrapFetch: (fetchFn) => {
+      if (fetchFn && wrappers.has(fetchFn)) {
+        return fetchFn;
+      }
+      /** @type {typeof fetch} */
+      const wrapper = async (url, init) => {
+        const date = new Date();
+        const index = startExchange();
+
+        const response = await (fetchFn || fetch)(url, init);
+        if (typeof response.clone === 'function') {
+          // The clone is read separately so that the caller can still stream the response
+          const responseInfo = {
+            status: response.status,
+            statusText: response.statusText,
+            headers: headersToList(response.headers)
+          };
+          pending.push(response.clone().arrayBuffer()
+            .then((arrayBuffer) => {
+              exchanges[index] = createExchange(url, date, init, responseInfo, arrayBuffer);
+            })
+            .catch(() => {
+              // Responses that couldn't be fully received, such as when the download was aborted, aren't recorded
+            }));
+        }
+        return response;
+      };
+      wrappers.set(wrapper, fetchFn);
+      return wrapper;
+    },
+
+    unwrapFetch: (fetchFn) => fetchFn && wrappers.has(fetchFn) ? wrappers.get(fetchFn) : fetchFn,
+
+    wrapFetchWithProgress: (fetchWithProgress) => async (url, progressCallback, options) => {
+      const date = new Date();
+      const index = startExchange();
+
+      let responseInfo = null;
+      const arrayBuffer = await fetchWithProgress(url, progressCallback, Object.assign({}, options, {
+        onResponse: (info) => {
+          responseInfo = info;
+        }
+      }));
+      if (responseInfo) {
+        exchanges[index] = createExchange(url, date, {
+          headers: options.headers
+        }, responseInfo, arrayBuffer);
+      }
+      return arrayBuffer;
+    },
+
+    generate: async () => {
+      await Promise.all(pending);
+      const date = formatDate(new Date());
+      const info = encoder.encode('software: SBDL (+https://www.npmjs.com/package/@turbowarp/sbdl)\r\nformat: WARC File Format 1.0\r\n');
+      const records = [
+        createRecord([
+          ['WARC-Type', 'warcinfo'],
+          ['WARC-Record-ID', `<urn:uuid:${randomUUID()}>`],
+          ['WARC-Date', date],
+          ['Content-Type', 'application/warc-fields']
+        ], info)
+      ];
+      for (const exchange of exchanges) {
+        if (exchange) {
+          records.push(...createExchangeRecords(exchange));
+        }
+      }
+      return concat(records).buffer;
+    }
+  };
+};
+
+/**
+ * If options.warc is set, return options whose fetch records into it.
+ * warc is kept so that requests that don't use fetch() can be recorded too. Passing the options on is safe as
+ * wrapFetch() doesn't wrap its own fetch() again.
+ * @template {{fetch?: typeof fetch, warc?: WARCRecorder}} T
+ * @param {T} options
+ * @returns {T}
+ */
+export const withRecordedFetch = (options) => {
+  if (!options.warc) {
+    return options;
+  }
+  return Object.assign({}, options, {
+    fetch: options.warc.wrapFetch(options.fetch)
+  });
+};
@@ -0,0 +1,154 @@
+import {AbortError} from './errors.js';
+
+// Writes generated projects to a stream so that the compressed project never has to be
+// held in memory all at once. Supports both Node.js Writable streams and WHATWG WritableStreams.
+// Backpressure is respected: the source is paused while the destination is full.
+
+/**
+ * @typedef {import('stream').Writable | WritableStream<Uint8Array>} WritableDestination
+ */
+
+/**
+ * @typedef ChunkSource Something that emits chunks, such as JSZip's internal stream.
+ * @property {(event: 'data'|'error'|'end', callback: (value: any) => void) => unknown} on
+ * @property {() => unknown} pause
+ * @property {() => unknown} resume
+ */
+
+/**
+ * @typedef StreamWriter
+ * @property {(chunk: Uint8Array) => boolean} write Returns false if the source should pause until onReady is called.
+ * @property {(onReady: () => void) => void} waitUntilReady
+ * @property {() => Promise<void>} close
+ * @property {(error: unknown) => void} abort
+ */
+
+/**
+ * @param {WritableDestination} writable
+ * @param {(error: unknown) => void} onError
+ * @returns {StreamWriter}
+ */
+const createWriter = (writable, onError) => {
+  if (typeof (/** @type {WritableStream} */ (writable)).getWriter === 'function') {
+    const writer = (/** @type {WritableStream<Uint8Array>} */ (writable)).getWriter();
+    return {
+      write: (chunk) => {
+        writer.write(chunk).catch(onError);
+        return writer.desiredSize === null || writer.desiredSize > 0;
+      },
+      waitUntilReady: (onReady) => {
+        writer.ready.then(onReady, onError);
+      },
+      close: () => writer.close(),
+      abort: (error) => {
+        writer.abort(error).catch(() => {
+          // Already reported by onError
+        });
+      }
+    };
+  }
+
+  const nodeWritable = /** @type {import('stream').Writable} */ (writable);
+  nodeWritable.on('error', onError);
+  return {
+    write: (chunk) => nodeWritable.write(chunk),
+    waitUntilReady: (onReady) => {
+      nodeWritable.once('drain', onReady);
+    },
+    close: () => new Promise((resolve) => {
+      nodeWritable.end(resolve);
+    }),
+    abort: (error) => {
+      nodeWritable.destroy(/** @type {Error} */ (error));
+    }
+  };
+};
+
+/**
+ * Write data to a stream, then close the stream. If writing fails or is aborted, the stream is aborted too.
+ * @param {ChunkSource|Uint8Array} source Chunks to write, or a single chunk.
+ * @param {WritableDestination} writable
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+const writeToStream = (source, writable, signal) => new Promise((resolve, reject) => {
+  let finished = false;
+
+  /** @type {StreamWriter} */
+  let writer;
+
+  const onAbort = () => {
+    fail(new AbortError());
+  };
+
+  const cleanup = () => {
+    finished = true;
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  };
+
+  /** @param {unknown} error */
+  const fail = (error) => {
+    if (finished) {
+      return;
+    }
+    cleanup();
+    if (!(source instanceof Uint8Array)) {
+      source.pause();
+    }
+    writer.abort(error);
+    reject(error);
+  };
+
+  const end = () => {
+    if (finished) {
+      return;
+    }
+    writer.close().then(() => {
+      if (!finished) {
+        cleanup();
+        resolve();
+      }
+    }, fail);
+  };
+
+  writer = createWriter(writable, fail);
+
+  if (signal) {
+    if (signal.aborted) {
+      fail(new AbortError());
+      return;
+    }
+    signal.addEventListener('abort', onAbort);
+  }
+
+  if (source instanceof Uint8Array) {
+    writer.write(source);
+    end();
+    return;
+  }
+
+  // JSZip may emit a few more chunks after being paused, so only wait once.
+  let waiting = false;
+  source.on('data', (chunk) => {
+    if (finished) {
+      return;
+    }
+    if (!writer.write(chunk) && !waiting) {
+      waiting = true;
+      source.pause();
+      writer.waitUntilReady(() => {
+        waiting = false;
+        if (!finished) {
+          source.resume();
+        }
+      });
+    }
+  });
+  source.on('error', fail);
+  source.on('end', end);
+  source.resume();
+});
+
+export default writeToStream;
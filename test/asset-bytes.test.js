@@ -0,0 +1,107 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import {expect, test} from 'vitest';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath, startServer} from './test-utilities.js';
+
+const input = fs.readFileSync(getFixturePath('minimal-sb3.json'));
+
+test('asset-bytes events', async () => {
+  const big = new Uint8Array(200000).fill(1);
+  const small = new Uint8Array(1000).fill(2);
+  const compressed = zlib.gzipSync(new Uint8Array(5000).fill(3));
+  let attempts = 0;
+  const server = await startServer({
+    // Content-Length and sent in several chunks
+    '/cd21514d0531fdffb22204e0ec5ed84a.svg': (req, res) => {
+      res.setHeader('content-length', big.byteLength);
+      for (let i = 0; i < big.byteLength; i += 50000) {
+        res.write(big.subarray(i, i + 50000));
+      }
+      res.end();
+    },
+    // No Content-Length. The first attempt is cut off part way through.
+    '/592bae6f8bb9c8d88401b54ac431f7b6.svg': (req, res) => {
+      attempts++;
+      res.write(small.subarray(0, 500));
+      if (attempts === 1) {
+        setTimeout(() => res.destroy(), 50);
+      } else {
+        res.end(small.subarray(500));
+      }
+    },
+    // Content-Length is the compressed size, so it can't be used
+    '/83a9787d4cb6f3b7632b4ddfebf74367.wav': (req, res) => {
+      res.setHeader('content-encoding', 'gzip');
+      res.setHeader('content-length', compressed.byteLength);
+      res.end(compressed);
+    }
+  });
+
+  try {
+    const events = [];
+    await SBDL.downloadProjectFromBuffer(input, {
+      assetHost: `${server.url}/$id`,
+      retryDelay: () => 0,
+      onEvent: (event) => {
+        if (event.type === 'asset-bytes' || event.type === 'asset-retried') {
+          events.push(event);
+        }
+      }
+    });
+    expect(attempts).toBe(2);
+
+    const forAsset = (md5ext) => events.filter((i) => i.md5ext === md5ext && i.type === 'asset-bytes');
+    const bigEvents = forAsset('cd21514d0531fdffb22204e0ec5ed84a.svg');
+    expect(bigEvents[0].loaded).toBe(0);
+    expect(bigEvents[bigEvents.length - 1].loaded).toBe(200000);
+    expect(bigEvents.every((i) => i.size === 200000)).toBe(true);
+    expect(bigEvents.length).toBeGreaterThan(2);
+    for (let i = 1; i < bigEvents.length; i++) {
+      expect(bigEvents[i].loaded).toBeGreaterThan(bigEvents[i - 1].loaded);
+    }
+
+    const smallEvents = forAsset('592bae6f8bb9c8d88401b54ac431f7b6.svg');
+    expect(smallEvents.every((i) => i.size === null)).toBe(true);
+    expect(smallEvents[smallEvents.length - 1].loaded).toBe(1000);
+    // Restarted from 0 after the retry
+    const retryIndex = events.findIndex((i) => i.type === 'asset-retried');
+    expect(retryIndex).not.toBe(-1);
+    const afterRetry = events.slice(retryIndex + 1).filter((i) => i.md5ext === '592bae6f8bb9c8d88401b54ac431f7b6.svg');
+    expect(afterRetry[0].loaded).toBe(0);
+
+    const compressedEvents = forAsset('83a9787d4cb6f3b7632b4ddfebf74367.wav');
+    expect(compressedEvents.every((i) => i.size === null)).toBe(true);
+    expect(compressedEvents[compressedEvents.length - 1].loaded).toBe(5000);
+
+    expect(events[events.length - 1].downloadedBytes).toBe(206000);
+    for (const event of events.filter((i) => i.type === 'asset-bytes')) {
+      expect(event.downloadedBytes).toBeGreaterThanOrEqual(0);
+      expect(event.bytesPerSecond).toBeGreaterThanOrEqual(0);
+      expect(event.unknownSizes).toBeGreaterThanOrEqual(0);
+      expect(event.unknownSizes).toBeLessThanOrEqual(3);
+      if (event.eta !== null) {
+        expect(event.eta).toBeGreaterThanOrEqual(0);
+      }
+    }
+    expect(events.some((i) => i.type === 'asset-bytes' && i.expectedBytes >= 200000)).toBe(true);
+  } finally {
+    await server.close();
+  }
+});
+
+test('assets are read all at once without onEvent', async () => {
+  const server = await startServer({
+    '/cd21514d0531fdffb22204e0ec5ed84a.svg': 'a',
+    '/592bae6f8bb9c8d88401b54ac431f7b6.svg': 'b',
+    '/83a9787d4cb6f3b7632b4ddfebf74367.wav': 'c'
+  });
+  try {
+    const project = await SBDL.downloadProjectFromBuffer(input, {
+      assetHost: `${server.url}/$id`
+    });
+    expect(project.missingAssets).toStrictEqual([]);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,133 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {expect, test} from 'vitest';
+import JSZip from '@turbowarp/jszip';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath, startServer} from './test-utilities.js';
+
+const MINIMAL_SB3_ASSETS = [
+  'cd21514d0531fdffb22204e0ec5ed84a.svg',
+  '592bae6f8bb9c8d88401b54ac431f7b6.svg',
+  '83a9787d4cb6f3b7632b4ddfebf74367.wav'
+];
+
+const makeRoutes = () => {
+  const routes = {};
+  for (const md5ext of MINIMAL_SB3_ASSETS) {
+    routes[`/${md5ext}`] = `data for ${md5ext}`;
+  }
+  return routes;
+};
+
+test('file system asset cache', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sbdl-cache-'));
+  const assetCache = SBDL.createFileSystemAssetCache(path.join(directory, 'nested'));
+  const input = fs.readFileSync(getFixturePath('minimal-sb3.json'));
+
+  const server = await startServer(makeRoutes());
+  let project1;
+  try {
+    project1 = await SBDL.downloadProjectFromBuffer(input, {
+      assetHost: `${server.url}/$id`,
+      assetCache
+    });
+    expect(server.requests.length).toBe(3);
+  } finally {
+    await server.close();
+  }
+
+  expect(fs.readdirSync(path.join(directory, 'nested')).sort()).toStrictEqual([...MINIMAL_SB3_ASSETS].sort());
+
+  // Everything should now come from the cache
+  const emptyServer = await startServer({});
+  try {
+    const assetEvents = [];
+    const project2 = await SBDL.downloadProjectFromBuffer(input, {
+      assetHost: `${emptyServer.url}/$id`,
+      assetCache,
+      onProgress: (type, loaded, total) => {
+        if (type === 'assets') {
+          assetEvents.push([loaded, total]);
+        }
+      }
+    });
+    expect(emptyServer.requests.length).toBe(0);
+    expect(assetEvents[assetEvents.length - 1]).toStrictEqual([3, 3]);
+    expect(project2.arrayBuffer).toStrictEqual(project1.arrayBuffer);
+    expect(project2.assetSources).toStrictEqual({});
+  } finally {
+    await emptyServer.close();
+  }
+
+  expect(await assetCache.get('../escape.svg')).toBe(null);
+  expect(await assetCache.get('00000000000000000000000000000000.svg')).toBe(null);
+
+  // Files that already exist are not written again
+  const existing = path.join(directory, 'nested', MINIMAL_SB3_ASSETS[0]);
+  const modified = fs.statSync(existing).mtimeMs;
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  await assetCache.put(MINIMAL_SB3_ASSETS[0], new ArrayBuffer(1));
+  expect(fs.statSync(existing).mtimeMs).toBe(modified);
+  expect(fs.readFileSync(existing, 'utf-8')).toBe(`data for ${MINIMAL_SB3_ASSETS[0]}`);
+
+  fs.rmSync(directory, {
+    recursive: true
+  });
+});
+
+test('custom asset cache', async () => {
+  const stored = new Map();
+  const assetCache = {
+    get: async (md5ext) => stored.get(md5ext) || null,
+    put: async (md5ext, data) => {
+      stored.set(md5ext, data);
+    }
+  };
+  stored.set('cd21514d0531fdffb22204e0ec5ed84a.svg', new TextEncoder().encode('cached').buffer);
+
+  const server = await startServer(makeRoutes());
+  try {
+    const project = await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('minimal-sb3.json')), {
+      assetHost: `${server.url}/$id`,
+      assetCache
+    });
+    expect(server.requests.length).toBe(2);
+    expect([...stored.keys()].sort()).toStrictEqual([...MINIMAL_SB3_ASSETS].sort());
+    const zip = await JSZip.loadAsync(project.arrayBuffer);
+    expect(await zip.file('cd21514d0531fdffb22204e0ec5ed84a.svg').async('text')).toBe('cached');
+  } finally {
+    await server.close();
+  }
+});
+
+test('broken asset cache does not break downloads', async () => {
+  const assetCache = {
+    get: async () => {
+      throw new Error('get failed');
+    },
+    put: async () => {
+      throw new Error('put failed');
+    }
+  };
+  const events = [];
+  const server = await startServer(makeRoutes());
+  try {
+    const project = await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('minimal-sb3.json')), {
+      assetHost: `${server.url}/$id`,
+      assetCache,
+      onEvent: (event) => {
+        if (event.type === 'asset-cache-error') {
+          events.push(event);
+        }
+      }
+    });
+    expect(project.missingAssets).toStrictEqual([]);
+    expect(events.length).toBe(6);
+    expect(events.filter((i) => i.operation === 'get').length).toBe(3);
+    expect(events.filter((i) => i.operation === 'put').length).toBe(3);
+    expect(events.find((i) => i.operation === 'put').error.message).toBe('put failed');
+  } finally {
+    await server.close();
+  }
+});
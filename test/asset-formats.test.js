@@ -0,0 +1,201 @@
+import fs from 'fs';
+import {expect, test} from 'vitest';
+import JSZip from '@turbowarp/jszip';
+import * as SBDL from '../src/export-node.js';
+import {detectAssetFormat} from '../src/asset-formats.js';
+import {getFixturePath} from './test-utilities.js';
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+const JPG = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]);
+const WAV = new Uint8Array([...new TextEncoder().encode('RIFF'), 0, 0, 0, 0, ...new TextEncoder().encode('WAVEfmt ')]);
+const MP3 = new Uint8Array([...new TextEncoder().encode('ID3'), 3, 0, 0]);
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="2" height="2"/>';
+
+const makeZip = async (files) => {
+  const zip = new JSZip();
+  for (const [path, data] of Object.entries(files)) {
+    zip.file(path, data);
+  }
+  return zip.generateAsync({
+    type: 'uint8array'
+  });
+};
+
+const readZip = async (arrayBuffer) => {
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  return {
+    paths: Object.keys(zip.files).sort(),
+    projectJSON: JSON.parse(await zip.file('project.json').async('text'))
+  };
+};
+
+test('detectAssetFormat', () => {
+  const encode = (text) => new TextEncoder().encode(text);
+  expect(detectAssetFormat(PNG)).toBe('png');
+  expect(detectAssetFormat(JPG.buffer)).toBe('jpg');
+  expect(detectAssetFormat(encode('GIF89a...'))).toBe('gif');
+  expect(detectAssetFormat(encode('BM....'))).toBe('bmp');
+  expect(detectAssetFormat(WAV)).toBe('wav');
+  expect(detectAssetFormat(MP3)).toBe('mp3');
+  expect(detectAssetFormat(new Uint8Array([0xff, 0xfb, 0x90, 0x00]))).toBe('mp3');
+  expect(detectAssetFormat(encode('OggS'))).toBe('ogg');
+  expect(detectAssetFormat(encode(SVG))).toBe('svg');
+  expect(detectAssetFormat(encode(`\uFEFF<?xml version="1.0"?>\n<!-- comment -->\n${SVG}`))).toBe('svg');
+  expect(detectAssetFormat(encode('<html></html>'))).toBe(null);
+  expect(detectAssetFormat(new Uint8Array([1, 2, 3]))).toBe(null);
+  expect(detectAssetFormat(new Uint8Array([]))).toBe(null);
+});
+
+test('repairs sb3 assets', async () => {
+  const data = await makeZip({
+    'project.json': JSON.stringify({
+      targets: [
+        {
+          isStage: true,
+          name: 'Stage',
+          costumes: [
+            {name: 'backdrop1', assetId: 'aaa', dataFormat: 'png', md5ext: 'aaa.png'},
+            {name: 'backdrop2', assetId: 'bbb', dataFormat: 'svg', md5ext: 'bbb.svg'}
+          ],
+          sounds: [
+            {name: 'sound1', assetId: 'ccc', dataFormat: 'wav', md5ext: 'ccc.wav'}
+          ]
+        },
+        {
+          isStage: false,
+          name: 'Sprite1',
+          costumes: [
+            {name: 'costume1', assetId: 'aaa', dataFormat: 'png', md5ext: 'aaa.png'}
+          ],
+          sounds: []
+        }
+      ],
+      meta: {
+        semver: '3.0.0'
+      }
+    }),
+    'aaa.png': JPG,
+    'bbb.svg': SVG,
+    'ccc.wav': MP3
+  });
+
+  const project = await SBDL.downloadProjectFromBuffer(data, {
+    repairAssetFormats: true
+  });
+  expect(project.repairedAssets).toStrictEqual([
+    {
+      oldMd5ext: 'aaa.png',
+      md5ext: 'aaa.jpg',
+      oldDataFormat: 'png',
+      dataFormat: 'jpg',
+      references: [
+        {target: 'Stage', type: 'costume', name: 'backdrop1'},
+        {target: 'Sprite1', type: 'costume', name: 'costume1'}
+      ]
+    },
+    {
+      oldMd5ext: 'ccc.wav',
+      md5ext: 'ccc.mp3',
+      oldDataFormat: 'wav',
+      dataFormat: 'mp3',
+      references: [
+        {target: 'Stage', type: 'sound', name: 'sound1'}
+      ]
+    }
+  ]);
+
+  const {paths, projectJSON} = await readZip(project.arrayBuffer);
+  expect(paths).toStrictEqual(['aaa.jpg', 'bbb.svg', 'ccc.mp3', 'project.json']);
+  expect(projectJSON.targets[0].costumes[0]).toMatchObject({dataFormat: 'jpg', md5ext: 'aaa.jpg'});
+  expect(projectJSON.targets[0].costumes[1]).toMatchObject({dataFormat: 'svg', md5ext: 'bbb.svg'});
+  expect(projectJSON.targets[0].sounds[0]).toMatchObject({dataFormat: 'mp3', md5ext: 'ccc.mp3'});
+  expect(projectJSON.targets[1].costumes[0]).toMatchObject({dataFormat: 'jpg', md5ext: 'aaa.jpg'});
+});
+
+test('repairs sb2 assets without an extension', async () => {
+  const data = await makeZip({
+    'project.json': JSON.stringify({
+      objName: 'Stage',
+      costumes: [
+        {costumeName: 'backdrop1', baseLayerID: 0, baseLayerMD5: 'abc'},
+        {costumeName: 'backdrop2', baseLayerID: 1, baseLayerMD5: 'def.svg'}
+      ],
+      sounds: [
+        {soundName: 'pop', soundID: 0, md5: 'ghi.mp3'}
+      ],
+      children: []
+    }),
+    '0.png': SVG,
+    '1.svg': SVG,
+    '0.mp3': WAV
+  });
+
+  const project = await SBDL.downloadProjectFromBuffer(data, {
+    repairAssetFormats: true
+  });
+  expect(project.type).toBe('sb2');
+  expect(project.repairedAssets.map((i) => [i.oldMd5ext, i.md5ext])).toStrictEqual([
+    ['abc', 'abc.svg'],
+    ['ghi.mp3', 'ghi.wav']
+  ]);
+
+  const {paths, projectJSON} = await readZip(project.arrayBuffer);
+  expect(paths).toStrictEqual(['0.svg', '0.wav', '1.svg', 'project.json']);
+  expect(projectJSON.costumes.map((i) => i.baseLayerMD5)).toStrictEqual(['abc.svg', 'def.svg']);
+  expect(projectJSON.sounds[0].md5).toBe('ghi.wav');
+});
+
+test('projects are not changed unless repairAssetFormats is enabled', async () => {
+  const data = await makeZip({
+    'project.json': JSON.stringify({
+      objName: 'Stage',
+      costumes: [
+        {costumeName: 'backdrop1', baseLayerID: 0, baseLayerMD5: 'abc.png'}
+      ],
+      sounds: [],
+      children: []
+    }),
+    '0.png': JPG
+  });
+  const project = await SBDL.downloadProjectFromBuffer(data);
+  expect(project).not.toHaveProperty('repairedAssets');
+  expect(new Uint8Array(project.arrayBuffer)).toStrictEqual(data);
+
+  const original = fs.readFileSync(getFixturePath('167118244.sb3'));
+  const repaired = await SBDL.downloadProjectFromBuffer(original, {
+    repairAssetFormats: true
+  });
+  expect(repaired.repairedAssets).toStrictEqual([]);
+  expect(new Uint8Array(repaired.arrayBuffer)).toStrictEqual(new Uint8Array(original.buffer));
+});
+
+test('repairs assets downloaded for sb2 projects', async () => {
+  const data = await makeZip({
+    'project.json': JSON.stringify({
+      objName: 'Stage',
+      costumes: [
+        {costumeName: 'backdrop1', baseLayerID: 0, baseLayerMD5: 'abc.svg'},
+        {costumeName: 'backdrop2', baseLayerID: -1, baseLayerMD5: 'def.svg'}
+      ],
+      sounds: [],
+      children: []
+    }),
+    '0.svg': SVG
+  });
+
+  const project = await SBDL.downloadProjectFromBuffer(data, {
+    repairAssetFormats: true,
+    fetch: async () => new Response(PNG)
+  });
+  expect(project.missingAssets).toStrictEqual([]);
+  expect(project.repairedAssets.map((i) => [i.oldMd5ext, i.md5ext])).toStrictEqual([
+    ['def.svg', 'def.png']
+  ]);
+
+  const {paths, projectJSON} = await readZip(project.arrayBuffer);
+  expect(paths).toStrictEqual(['0.svg', '1.png', 'project.json']);
+  expect(projectJSON.costumes.map((i) => [i.baseLayerID, i.baseLayerMD5])).toStrictEqual([
+    [0, 'abc.svg'],
+    [1, 'def.png']
+  ]);
+});
@@ -0,0 +1,64 @@
+import fs from 'fs';
+import {expect, test} from 'vitest';
+import JSZip from '@turbowarp/jszip';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath, startServer} from './test-utilities.js';
+
+const input = fs.readFileSync(getFixturePath('minimal-sb3.json'));
+
+test('list of asset hosts', async () => {
+  const mirror = await startServer({
+    '/cd21514d0531fdffb22204e0ec5ed84a.svg': 'from mirror'
+  });
+  const fallback = await startServer({
+    '/cd21514d0531fdffb22204e0ec5ed84a.svg': 'from fallback',
+    '/592bae6f8bb9c8d88401b54ac431f7b6.svg': 'from fallback',
+    '/83a9787d4cb6f3b7632b4ddfebf74367.wav': 'from fallback'
+  });
+  try {
+    const project = await SBDL.downloadProjectFromBuffer(input, {
+      assetHost: [`${mirror.url}/$id`, `${fallback.url}/$id`]
+    });
+    expect(project.missingAssets).toStrictEqual([]);
+    expect(project.assetSources).toStrictEqual({
+      '592bae6f8bb9c8d88401b54ac431f7b6.svg': `${fallback.url}/592bae6f8bb9c8d88401b54ac431f7b6.svg`,
+      '83a9787d4cb6f3b7632b4ddfebf74367.wav': `${fallback.url}/83a9787d4cb6f3b7632b4ddfebf74367.wav`,
+      'cd21514d0531fdffb22204e0ec5ed84a.svg': `${mirror.url}/cd21514d0531fdffb22204e0ec5ed84a.svg`
+    });
+    expect(fallback.requests).not.toContain('/cd21514d0531fdffb22204e0ec5ed84a.svg');
+
+    const zip = await JSZip.loadAsync(project.arrayBuffer);
+    expect(await zip.file('cd21514d0531fdffb22204e0ec5ed84a.svg').async('text')).toBe('from mirror');
+    expect(await zip.file('592bae6f8bb9c8d88401b54ac431f7b6.svg').async('text')).toBe('from fallback');
+  } finally {
+    await mirror.close();
+    await fallback.close();
+  }
+});
+
+test('asset host function', async () => {
+  const server = await startServer({
+    '/b/592bae6f8bb9c8d88401b54ac431f7b6.svg': 'b'
+  });
+  try {
+    const project = await SBDL.downloadProjectFromBuffer(input, {
+      assetHost: (md5ext) => md5ext.endsWith('.svg') ? [`${server.url}/a/${md5ext}`, `${server.url}/b/${md5ext}`] : `${server.url}/c/${md5ext}`
+    });
+    expect(project.assetSources).toStrictEqual({
+      '592bae6f8bb9c8d88401b54ac431f7b6.svg': `${server.url}/b/592bae6f8bb9c8d88401b54ac431f7b6.svg`
+    });
+    expect(project.missingAssets.map(i => i.md5ext)).toStrictEqual([
+      'cd21514d0531fdffb22204e0ec5ed84a.svg',
+      '83a9787d4cb6f3b7632b4ddfebf74367.wav'
+    ]);
+    expect([...server.requests].sort()).toStrictEqual([
+      '/a/592bae6f8bb9c8d88401b54ac431f7b6.svg',
+      '/a/cd21514d0531fdffb22204e0ec5ed84a.svg',
+      '/b/592bae6f8bb9c8d88401b54ac431f7b6.svg',
+      '/b/cd21514d0531fdffb22204e0ec5ed84a.svg',
+      '/c/83a9787d4cb6f3b7632b4ddfebf74367.wav'
+    ]);
+  } finally {
+    await server.close();
+  }
+});
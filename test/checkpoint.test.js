@@ -0,0 +1,147 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {expect, test, vi} from 'vitest';
+import * as SBDL from '../src/export-node.js';
+import {openCheckpoint} from '../src/checkpoint-node.js';
+import {getFixturePath} from './test-utilities.js';
+
+const readJSON = (file) => JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+test('records finished and failed projects', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sbdl-checkpoint-'));
+  const file = path.join(directory, 'job.json');
+  try {
+    const checkpoint = await openCheckpoint(file);
+    expect(checkpoint.get('1')).toBe(null);
+    // Nothing is written until something happens
+    expect(fs.existsSync(file)).toBe(false);
+
+    await checkpoint.finish('1', ['/a/1.sb3']);
+    await checkpoint.fail('2', new Error('Something broke'));
+
+    const reopened = await openCheckpoint(file);
+    expect(reopened.get('1')).toMatchObject({
+      status: 'finished',
+      files: ['/a/1.sb3']
+    });
+    expect(reopened.get('2')).toMatchObject({
+      status: 'failed',
+      error: 'Error: Something broke'
+    });
+    expect(typeof reopened.get('2').time).toBe('string');
+
+    // Trying a failed project again and succeeding
+    await reopened.finish('2', ['/a/2.sb3']);
+    expect(readJSON(file).projects['2'].status).toBe('finished');
+  } finally {
+    fs.rmSync(directory, {
+      recursive: true
+    });
+  }
+});
+
+test('keeps assets of unfinished projects', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sbdl-checkpoint-'));
+  const file = path.join(directory, 'job.json');
+  const assetDirectory = `${file}.assets`;
+  try {
+    let requests = 0;
+    const projectData = fs.readFileSync(getFixturePath('minimal-sb3.json'));
+    const checkpoint = await openCheckpoint(file);
+
+    // First attempt fails after downloading some assets
+    await expect(SBDL.downloadProjectFromBuffer(projectData, {
+      assetCache: checkpoint.createAssetCache('1'),
+      retries: 0,
+      missingAssetPolicy: 'error',
+      fetch: async (url) => {
+        requests++;
+        if (url.includes('83a9787d4cb6f3b7632b4ddfebf74367')) {
+          // Fail after the other assets have been stored
+          await new Promise((resolve) => setTimeout(resolve, 100));
+          throw new Error('Network error');
+        }
+        return new Response('asset');
+      }
+    })).rejects.toThrow();
+    await checkpoint.fail('1', 'Missing assets');
+    expect(requests).toBe(3);
+    expect(readJSON(file).inProgress['1'].sort()).toStrictEqual([
+      '592bae6f8bb9c8d88401b54ac431f7b6.svg',
+      'cd21514d0531fdffb22204e0ec5ed84a.svg'
+    ]);
+
+    // Another project is using one of the same assets
+    await checkpoint.createAssetCache('2').put('cd21514d0531fdffb22204e0ec5ed84a.svg', new ArrayBuffer(1));
+    await checkpoint.flush();
+
+    // Second attempt after restarting only downloads the asset that's still missing
+    const reopened = await openCheckpoint(file);
+    requests = 0;
+    await SBDL.downloadProjectFromBuffer(projectData, {
+      assetCache: reopened.createAssetCache('1'),
+      fetch: async () => {
+        requests++;
+        return new Response('asset');
+      }
+    });
+    expect(requests).toBe(1);
+
+    await reopened.finish('1', ['/a/1.sb3']);
+    expect(readJSON(file).inProgress).toStrictEqual({
+      2: ['cd21514d0531fdffb22204e0ec5ed84a.svg']
+    });
+    // Assets that project 2 still needs are kept
+    expect(fs.readdirSync(assetDirectory)).toStrictEqual(['cd21514d0531fdffb22204e0ec5ed84a.svg']);
+  } finally {
+    fs.rmSync(directory, {
+      recursive: true
+    });
+  }
+});
+
+test('assets stored at the same time are saved together', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sbdl-checkpoint-'));
+  const file = path.join(directory, 'job.json');
+  const rename = vi.spyOn(fs.promises, 'rename');
+  try {
+    const checkpoint = await openCheckpoint(file);
+    const cache = checkpoint.createAssetCache('1');
+    const md5exts = [];
+    for (let i = 0; i < 50; i++) {
+      md5exts.push(`${i}.svg`);
+    }
+    await Promise.all(md5exts.map((md5ext) => cache.put(md5ext, new ArrayBuffer(1))));
+    await checkpoint.flush();
+    expect([...readJSON(file).inProgress['1']].sort()).toStrictEqual([...md5exts].sort());
+
+    // The checkpoint isn't rewritten once for each asset
+    const checkpointWrites = rename.mock.calls.filter((call) => call[1] === file).length;
+    expect(checkpointWrites).toBeGreaterThan(0);
+    expect(checkpointWrites).toBeLessThan(md5exts.length / 2);
+
+    // Saved without waiting for more assets
+    await cache.put('50.svg', new ArrayBuffer(1));
+    await checkpoint.flush();
+    expect(readJSON(file).inProgress['1']).toContain('50.svg');
+  } finally {
+    rename.mockRestore();
+    fs.rmSync(directory, {
+      recursive: true
+    });
+  }
+});
+
+test('unknown files are not checkpoints', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sbdl-checkpoint-'));
+  const file = path.join(directory, 'job.json');
+  try {
+    fs.writeFileSync(file, '{"something": "else"}');
+    await expect(openCheckpoint(file)).rejects.toThrow('is not a checkpoint');
+  } finally {
+    fs.rmSync(directory, {
+      recursive: true
+    });
+  }
+});
@@ -0,0 +1,133 @@
+import fs from 'fs';
+import {expect, test} from 'vitest';
+import JSZip from '@turbowarp/jszip';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath} from './test-utilities.js';
+
+const makeZip = async (files) => {
+  const zip = new JSZip();
+  for (const [path, data] of Object.entries(files)) {
+    zip.file(path, data);
+  }
+  return zip.generateAsync({
+    type: 'uint8array'
+  });
+};
+
+const readZip = async (arrayBuffer) => {
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  return {
+    paths: Object.keys(zip.files).sort(),
+    projectJSON: JSON.parse(await zip.file('project.json').async('text')),
+    zip
+  };
+};
+
+test('removes junk and unused files from sb3', async () => {
+  const original = await JSZip.loadAsync(fs.readFileSync(getFixturePath('json-in-subdirectory.sb3')));
+  const files = {};
+  for (const path of Object.keys(original.files)) {
+    if (!original.files[path].dir) {
+      files[path] = await original.file(path).async('uint8array');
+    }
+  }
+  const data = await makeZip(Object.assign(files, {
+    '.DS_Store': 'a',
+    'this is a subdirectory/.DS_Store': 'b',
+    '__MACOSX/this is a subdirectory/._project.json': 'c',
+    'Thumbs.db': 'd',
+    'unused.png': 'e'
+  }));
+
+  // Without cleanup, the two .DS_Store files conflict when flattening
+  await expect(SBDL.downloadProjectFromBuffer(data)).rejects.toThrow('Path conflict');
+
+  const project = await SBDL.downloadProjectFromBuffer(data, {
+    cleanup: true
+  });
+  expect(project.type).toBe('sb3');
+  const {paths} = await readZip(project.arrayBuffer);
+  expect(paths).toStrictEqual(['9838d02002d05f88dc54d96494fbc202.png', 'project.json']);
+});
+
+test('merges duplicate sb2 assets', async () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="2" height="2"/>';
+  const otherSvg = '<svg xmlns="http://www.w3.org/2000/svg" width="3" height="3"/>';
+  const wav = new Uint8Array([1, 2, 3, 4]);
+  const data = await makeZip({
+    'project.json': JSON.stringify({
+      objName: 'Stage',
+      penLayerMD5: 'pen.png',
+      penLayerID: 4,
+      costumes: [
+        {costumeName: 'backdrop1', baseLayerID: 2, baseLayerMD5: 'a.svg'}
+      ],
+      sounds: [
+        {soundName: 'sound1', soundID: 1, md5: 'c.wav'}
+      ],
+      children: [
+        {
+          objName: 'Sprite1',
+          costumes: [
+            {costumeName: 'costume1', baseLayerID: 0, baseLayerMD5: 'b.svg'},
+            {costumeName: 'costume2', baseLayerID: 1, baseLayerMD5: 'd.svg'}
+          ],
+          sounds: [
+            {soundName: 'sound2', soundID: 0, md5: 'e.wav'}
+          ]
+        }
+      ]
+    }),
+    '0.svg': svg,
+    '1.svg': otherSvg,
+    '2.svg': svg,
+    '0.wav': wav,
+    '1.wav': wav,
+    '3.png': 'unused',
+    '4.png': 'pen layer'
+  });
+
+  const project = await SBDL.downloadProjectFromBuffer(data, {
+    cleanup: true
+  });
+  expect(project.type).toBe('sb2');
+  const {paths, projectJSON} = await readZip(project.arrayBuffer);
+  expect(paths).toStrictEqual(['0.svg', '0.wav', '1.svg', '4.png', 'project.json']);
+  expect(projectJSON.costumes[0].baseLayerID).toBe(0);
+  expect(projectJSON.sounds[0].soundID).toBe(0);
+  expect(projectJSON.children[0].costumes.map((i) => i.baseLayerID)).toStrictEqual([0, 1]);
+  expect(projectJSON.children[0].sounds[0].soundID).toBe(0);
+
+  const report = await SBDL.validateProject(project.arrayBuffer);
+  expect(report.errors).toStrictEqual([]);
+  expect(report.warnings).toStrictEqual([]);
+});
+
+test('cleanup does not change projects that are already clean', async () => {
+  const original = fs.readFileSync(getFixturePath('167118244.sb2'));
+  const project = await SBDL.downloadProjectFromBuffer(original, {
+    cleanup: true
+  });
+  expect(new Uint8Array(project.arrayBuffer)).toStrictEqual(new Uint8Array(original.buffer));
+});
+
+test('cleanup keeps assets downloaded for sb2 projects', async () => {
+  const data = fs.readFileSync(getFixturePath('missing-assets.sb2'));
+  const download = async (cleanup) => {
+    const project = await SBDL.downloadProjectFromBuffer(data, {
+      cleanup,
+      // Each URL gets different data so that none of the assets are merged as duplicates
+      fetch: async (url) => new Response(url)
+    });
+    expect(project.missingAssets).toStrictEqual([]);
+    const report = await SBDL.validateProject(project.arrayBuffer);
+    expect(report.errors).toStrictEqual([]);
+    return Object.keys((await JSZip.loadAsync(project.arrayBuffer)).files).sort();
+  };
+  const paths = await download(true);
+  expect(paths).toContain('10.svg');
+  expect(paths).toContain('11.svg');
+  expect(paths).toContain('12.svg');
+  expect(paths).toContain('2.wav');
+  expect(paths).toStrictEqual(await download(false));
+});
@@ -0,0 +1,398 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {execFile} from 'child_process';
+import {expect, test} from 'vitest';
+import {getFixturePath, startServer} from './test-utilities.js';
+
+const CLI = path.join(__dirname, '..', 'src', 'cli.js');
+
+const project = fs.readFileSync(getFixturePath('167118244.sb3'));
+
+/**
+ * Run the CLI in a new process.
+ * @param {string[]} args
+ * @returns {Promise<{status: number, stdout: string, stderr: string}>}
+ */
+const runCLI = (args) => new Promise((resolve) => {
+  execFile(process.execPath, [CLI, ...args], {
+    timeout: 30000
+  }, (error, stdout, stderr) => {
+    resolve({
+      status: error ? error.code : 0,
+      stdout,
+      stderr
+    });
+  });
+});
+
+/**
+ * @param {(directory: string) => Promise<void>} callback
+ */
+const withTemporaryDirectory = async (callback) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sbdl-cli-'));
+  try {
+    await callback(directory);
+  } finally {
+    fs.rmSync(directory, {
+      recursive: true
+    });
+  }
+};
+
+/**
+ * @param {string} directory
+ * @returns {string[]} Every file in the directory and its subdirectories, using / as the separator.
+ */
+const listFiles = (directory) => fs.readdirSync(directory, {
+  recursive: true,
+  withFileTypes: true
+})
+  .filter((i) => i.isFile())
+  .map((i) => path.relative(directory, path.join(i.parentPath, i.name)).split(path.sep).join('/'))
+  .sort();
+
+test('name template', async () => {
+  const server = await startServer({
+    '/a:b*c|d.sb3': project,
+    '/...sb3': project
+  });
+  try {
+    await withTemporaryDirectory(async (directory) => {
+      const result = await runCLI([
+        '--output', directory,
+        '--name-template', '{type}/{title}-{id}',
+        `${server.url}/a:b*c|d.sb3`,
+        `${server.url}/...sb3`
+      ]);
+      expect(result.status).toBe(0);
+      // Values can't contain characters that don't work in file names or refer to other directories
+      expect(listFiles(directory)).toStrictEqual([
+        'sb3/_-unknown.sb3',
+        'sb3/a_b_c_d-unknown.sb3'
+      ]);
+    });
+
+    await withTemporaryDirectory(async (directory) => {
+      const result = await runCLI([
+        '--output', directory,
+        '--name-template', '{title}/{title}.{type}',
+        `${server.url}/...sb3`
+      ]);
+      expect(result.status).toBe(0);
+      // The extension isn't added twice
+      expect(listFiles(directory)).toStrictEqual([
+        '_/_.sb3'
+      ]);
+    });
+
+    await withTemporaryDirectory(async (directory) => {
+      const result = await runCLI([
+        '--output', directory,
+        '--name-template', '{name}',
+        `${server.url}/...sb3`
+      ]);
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain('Unknown placeholder in --name-template: {name}');
+      expect(listFiles(directory)).toStrictEqual([]);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('collision modes', async () => {
+  const server = await startServer({
+    '/a.sb3': project
+  });
+  try {
+    await withTemporaryDirectory(async (directory) => {
+      const existing = path.join(directory, 'a.sb3');
+      const download = (collision) => runCLI([
+        '--output', directory,
+        '--collision', collision,
+        `${server.url}/a.sb3`
+      ]);
+
+      fs.writeFileSync(existing, 'old');
+      expect((await download('skip')).status).toBe(0);
+      expect(fs.readFileSync(existing, 'utf-8')).toBe('old');
+      expect(listFiles(directory)).toStrictEqual(['a.sb3']);
+
+      expect((await download('suffix')).status).toBe(0);
+      expect((await download('suffix')).status).toBe(0);
+      expect(fs.readFileSync(existing, 'utf-8')).toBe('old');
+      expect(listFiles(directory)).toStrictEqual(['a (2).sb3', 'a (3).sb3', 'a.sb3']);
+
+      expect((await download('overwrite')).status).toBe(0);
+      expect(fs.readFileSync(existing).equals(project)).toBe(true);
+      expect(listFiles(directory)).toStrictEqual(['a (2).sb3', 'a (3).sb3', 'a.sb3']);
+
+      expect((await download('something')).status).toBe(1);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('projects in the same run get different suffixes', async () => {
+  const server = await startServer({
+    '/1/a.sb3': project,
+    '/2/a.sb3': project,
+    '/3/a.sb3': project
+  });
+  try {
+    await withTemporaryDirectory(async (directory) => {
+      // Downloading at the same time, so none of them exist yet when the others choose their names
+      const result = await runCLI([
+        '--output', directory,
+        '--collision', 'suffix',
+        '--jobs', '3',
+        `${server.url}/1/a.sb3`,
+        `${server.url}/2/a.sb3`,
+        `${server.url}/3/a.sb3`
+      ]);
+      expect(result.status).toBe(0);
+      expect(listFiles(directory)).toStrictEqual(['a (2).sb3', 'a (3).sb3', 'a.sb3']);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('--metadata saves a sidecar next to the project', async () => {
+  const server = await startServer({
+    '/a.sb3': project
+  });
+  try {
+    await withTemporaryDirectory(async (directory) => {
+      const result = await runCLI([
+        '--output', directory,
+        '--metadata',
+        `${server.url}/a.sb3`
+      ]);
+      expect(result.status).toBe(0);
+      expect(listFiles(directory)).toStrictEqual(['a.json', 'a.sb3']);
+      expect(JSON.parse(fs.readFileSync(path.join(directory, 'a.json'), 'utf-8'))).toStrictEqual({
+        id: null,
+        url: `${server.url}/a.sb3`,
+        title: 'a',
+        type: 'sb3',
+        metadata: null
+      });
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+/**
+ * @param {string} stdout
+ * @returns {object[]}
+ */
+const parseEvents = (stdout) => stdout.trim().split('\n').map((line) => JSON.parse(line));
+
+test('--json events and exit status when some projects fail', async () => {
+  const server = await startServer({
+    '/a.sb3': project
+  });
+  try {
+    await withTemporaryDirectory(async (directory) => {
+      const result = await runCLI([
+        '--json',
+        '--output', directory,
+        `${server.url}/a.sb3`,
+        `${server.url}/missing.sb3`
+      ]);
+      // Different from 1 so that scripts can tell that the other projects were downloaded
+      expect(result.status).toBe(2);
+
+      // Every line is an event
+      const events = parseEvents(result.stdout);
+      const good = `${server.url}/a.sb3`;
+      const bad = `${server.url}/missing.sb3`;
+      expect(events.filter((i) => i.event !== 'progress')).toStrictEqual([
+        {
+          event: 'start',
+          key: good,
+          id: null,
+          url: good
+        },
+        {
+          event: 'saved',
+          key: good,
+          id: null,
+          path: path.join(directory, 'a.sb3'),
+          size: project.byteLength,
+          type: 'sb3',
+          title: 'a',
+          missingAssets: 0,
+          files: [path.join(directory, 'a.sb3')]
+        },
+        {
+          event: 'start',
+          key: bad,
+          id: null,
+          url: bad
+        },
+        {
+          event: 'error',
+          key: bad,
+          name: expect.any(String),
+          message: expect.stringContaining('404')
+        },
+        {
+          event: 'summary',
+          saved: 1,
+          skipped: 0,
+          failed: 1,
+          size: project.byteLength,
+          missingAssets: 0
+        }
+      ]);
+
+      const progress = events.filter((i) => i.event === 'progress');
+      expect(progress.length).toBeGreaterThan(0);
+      for (const event of progress) {
+        expect(event).toStrictEqual({
+          event: 'progress',
+          key: expect.any(String),
+          type: expect.any(String),
+          loaded: expect.any(Number),
+          total: expect.any(Number)
+        });
+      }
+      expect(progress).toContainEqual({
+        event: 'progress',
+        key: good,
+        type: 'project',
+        loaded: 1,
+        total: 1
+      });
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('exit status when every project fails', async () => {
+  const server = await startServer({});
+  try {
+    await withTemporaryDirectory(async (directory) => {
+      const result = await runCLI([
+        '--output', directory,
+        `${server.url}/a.sb3`,
+        `${server.url}/b.sb3`
+      ]);
+      // Different from when only some of the projects fail
+      expect(result.status).toBe(3);
+      expect(listFiles(directory)).toStrictEqual([]);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('--json events for skipped projects', async () => {
+  const server = await startServer({
+    '/a.sb3': project,
+    '/b.sb3': project
+  });
+  try {
+    await withTemporaryDirectory(async (directory) => {
+      const checkpoint = path.join(directory, 'job.json');
+      const output = path.join(directory, 'output');
+      const download = (...args) => runCLI([
+        '--json',
+        '--output', output,
+        '--checkpoint', checkpoint,
+        ...args
+      ]);
+
+      expect((await download(`${server.url}/a.sb3`)).status).toBe(0);
+
+      const result = await download('--collision', 'skip', `${server.url}/a.sb3`, `${server.url}/b.sb3`);
+      expect(result.status).toBe(0);
+      const events = parseEvents(result.stdout).filter((i) => i.event !== 'progress');
+      expect(events[0]).toStrictEqual({
+        event: 'skipped',
+        key: `${server.url}/a.sb3`,
+        reason: 'checkpoint'
+      });
+      expect(events).toContainEqual({
+        event: 'saved',
+        key: `${server.url}/b.sb3`,
+        id: null,
+        path: path.join(output, 'b.sb3'),
+        size: project.byteLength,
+        type: 'sb3',
+        title: 'b',
+        missingAssets: 0,
+        files: [path.join(output, 'b.sb3')]
+      });
+      expect(events[events.length - 1]).toMatchObject({
+        event: 'summary',
+        saved: 1,
+        skipped: 1,
+        failed: 0
+      });
+
+      // Not in the checkpoint anymore, but the file exists
+      fs.rmSync(checkpoint);
+      const skipped = await download('--collision', 'skip', `${server.url}/b.sb3`);
+      expect(skipped.status).toBe(0);
+      expect(parseEvents(skipped.stdout)).toContainEqual({
+        event: 'skipped',
+        key: `${server.url}/b.sb3`,
+        id: null,
+        path: path.join(output, 'b.sb3'),
+        reason: 'exists'
+      });
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('--jobs limits how many projects are downloaded at once', async () => {
+  let active = 0;
+  let mostActive = 0;
+  const routes = {};
+  const inputs = [];
+  for (let i = 0; i < 6; i++) {
+    routes[`/${i}.sb3`] = (req, res) => {
+      active++;
+      mostActive = Math.max(mostActive, active);
+      setTimeout(() => {
+        active--;
+        res.end(project);
+      }, 200);
+    };
+  }
+  const server = await startServer(routes);
+  for (let i = 0; i < 6; i++) {
+    inputs.push(`${server.url}/${i}.sb3`);
+  }
+  try {
+    await withTemporaryDirectory(async (directory) => {
+      expect((await runCLI(['--output', directory, '--jobs', '2', ...inputs])).status).toBe(0);
+      expect(mostActive).toBe(2);
+      expect(listFiles(directory).length).toBe(6);
+    });
+
+    mostActive = 0;
+    await withTemporaryDirectory(async (directory) => {
+      // One at a time by default
+      expect((await runCLI(['--output', directory, ...inputs])).status).toBe(0);
+      expect(mostActive).toBe(1);
+    });
+
+    await withTemporaryDirectory(async (directory) => {
+      const result = await runCLI(['--output', directory, '--jobs', '0', ...inputs]);
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain('--jobs must be a positive whole number');
+    });
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,81 @@
+import fs from 'fs';
+import {expect, test} from 'vitest';
+import JSZip from '@turbowarp/jszip';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath} from './test-utilities.js';
+
+/**
+ * A fetch() that serves a fake Scratch API without touching the network.
+ */
+const makeFakeScratch = () => {
+  const requests = [];
+  const fakeFetch = async (url, init) => {
+    requests.push({
+      url,
+      headers: Object.assign({}, init && init.headers)
+    });
+    if (url === 'https://api.scratch.mit.edu/projects/1234') {
+      return new Response(JSON.stringify({
+        id: 1234,
+        title: 'Fake project',
+        project_token: 'secret'
+      }));
+    }
+    if (url === 'https://projects.scratch.mit.edu/1234?token=secret') {
+      return new Response(fs.readFileSync(getFixturePath('minimal-sb3.json')));
+    }
+    const assetMatch = url.match(/^https:\/\/assets\.scratch\.mit\.edu\/internalapi\/asset\/(.+)\/get\/$/);
+    if (assetMatch) {
+      return new Response(`asset ${assetMatch[1]}`);
+    }
+    return new Response('not found', {
+      status: 404
+    });
+  };
+  return {
+    fakeFetch,
+    requests
+  };
+};
+
+test('fetch and headers are used for every request', async () => {
+  const {fakeFetch, requests} = makeFakeScratch();
+  const project = await SBDL.downloadProjectFromID('1234', {
+    fetch: fakeFetch,
+    headers: {
+      authorization: 'Bearer abc'
+    }
+  });
+
+  expect(project.title).toBe('Fake project');
+  expect(project.type).toBe('sb3');
+  expect(project.missingAssets).toStrictEqual([]);
+
+  const zip = await JSZip.loadAsync(project.arrayBuffer);
+  expect(await zip.file('592bae6f8bb9c8d88401b54ac431f7b6.svg').async('text')).toBe('asset 592bae6f8bb9c8d88401b54ac431f7b6.svg');
+
+  expect(requests.map(i => i.url).slice(0, 2)).toStrictEqual([
+    'https://api.scratch.mit.edu/projects/1234',
+    'https://projects.scratch.mit.edu/1234?token=secret'
+  ]);
+  expect(requests.length).toBe(5);
+  for (const request of requests) {
+    expect(request.headers.authorization).toBe('Bearer abc');
+    // Merged with the default headers
+    expect(request.headers['user-agent']).toMatch(/^SBDL\//);
+  }
+});
+
+test('fetch is used for metadata', async () => {
+  const {fakeFetch} = makeFakeScratch();
+  const metadata = await SBDL.getProjectMetadata('1234', {
+    fetch: fakeFetch
+  });
+  expect(metadata.title).toBe('Fake project');
+
+  await expect(SBDL.getProjectMetadata('5678', {
+    fetch: fakeFetch
+  })).rejects.toMatchObject({
+    name: 'CanNotAccessProjectError'
+  });
+});
@@ -0,0 +1,183 @@
+import fs from 'fs';
+import {expect, test} from 'vitest';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath} from './test-utilities.js';
+
+/**
+ * @param {Record<string, {parent: number|null, root: number|null}|null>} projects null for unshared projects
+ */
+const makeFakeScratch = (projects) => async (url) => {
+  let match = url.match(/^https:\/\/api\.scratch\.mit\.edu\/projects\/(\d+)$/);
+  if (match) {
+    const remix = projects[match[1]];
+    if (!remix) {
+      return new Response('', {
+        status: 404
+      });
+    }
+    return new Response(JSON.stringify({
+      id: +match[1],
+      title: `Project ${match[1]}`,
+      author: {
+        username: `user${match[1]}`
+      },
+      remix,
+      project_token: 'secret'
+    }));
+  }
+  match = url.match(/^https:\/\/projects\.scratch\.mit\.edu\/(\d+)\?token=secret$/);
+  if (match) {
+    return new Response(fs.readFileSync(getFixturePath('minimal-sb3.json')));
+  }
+  return new Response('asset');
+};
+
+test('walks parents up to the root', async () => {
+  const fetch = makeFakeScratch({
+    3: {parent: 2, root: 1},
+    2: {parent: 1, root: 1},
+    1: {parent: null, root: null}
+  });
+  const lineage = await SBDL.downloadRemixLineage('3', {
+    fetch
+  });
+  expect(lineage.manifest).toStrictEqual({
+    id: '3',
+    root: '1',
+    nodes: [
+      {id: '3', title: 'Project 3', author: 'user3', shared: true},
+      {id: '2', title: 'Project 2', author: 'user2', shared: true},
+      {id: '1', title: 'Project 1', author: 'user1', shared: true}
+    ],
+    edges: [
+      {parent: '2', child: '3', direct: true},
+      {parent: '1', child: '2', direct: true}
+    ]
+  });
+  expect(Object.keys(lineage.projects).sort()).toStrictEqual(['1', '2', '3']);
+  expect(lineage.failed).toStrictEqual([]);
+  expect(lineage.projects['2'].title).toBe('Project 2');
+  expect(lineage.projects['2'].type).toBe('sb3');
+});
+
+test('project that is not a remix', async () => {
+  const fetch = makeFakeScratch({
+    1: {parent: null, root: null}
+  });
+  const lineage = await SBDL.downloadRemixLineage('1', {
+    fetch
+  });
+  expect(lineage.manifest).toStrictEqual({
+    id: '1',
+    root: '1',
+    nodes: [
+      {id: '1', title: 'Project 1', author: 'user1', shared: true}
+    ],
+    edges: []
+  });
+  expect(Object.keys(lineage.projects)).toStrictEqual(['1']);
+});
+
+test('unshared parent jumps to the root', async () => {
+  const fetch = makeFakeScratch({
+    4: {parent: 3, root: 1},
+    3: null,
+    2: {parent: 1, root: 1},
+    1: {parent: null, root: null}
+  });
+  const lineage = await SBDL.downloadRemixLineage('4', {
+    fetch
+  });
+  expect(lineage.manifest.nodes).toStrictEqual([
+    {id: '4', title: 'Project 4', author: 'user4', shared: true},
+    {id: '3', title: null, author: null, shared: false},
+    {id: '1', title: 'Project 1', author: 'user1', shared: true}
+  ]);
+  expect(lineage.manifest.edges).toStrictEqual([
+    {parent: '3', child: '4', direct: true},
+    {parent: '1', child: '3', direct: false}
+  ]);
+  expect(Object.keys(lineage.projects).sort()).toStrictEqual(['1', '4']);
+});
+
+test('unshared root', async () => {
+  const fetch = makeFakeScratch({
+    2: {parent: 1, root: 1},
+    1: null
+  });
+  const lineage = await SBDL.downloadRemixLineage('2', {
+    fetch
+  });
+  expect(lineage.manifest.nodes).toStrictEqual([
+    {id: '2', title: 'Project 2', author: 'user2', shared: true},
+    {id: '1', title: null, author: null, shared: false}
+  ]);
+  expect(lineage.manifest.edges).toStrictEqual([
+    {parent: '1', child: '2', direct: true}
+  ]);
+});
+
+test('loops are not followed forever', async () => {
+  const fetch = makeFakeScratch({
+    2: {parent: 1, root: 1},
+    1: {parent: 2, root: 1}
+  });
+  const lineage = await SBDL.downloadRemixLineage('2', {
+    fetch
+  });
+  expect(lineage.manifest.nodes.map((i) => i.id)).toStrictEqual(['2', '1']);
+  expect(lineage.manifest.edges).toStrictEqual([
+    {parent: '1', child: '2', direct: true}
+  ]);
+});
+
+test('errors', async () => {
+  // The project itself must be shared
+  const fetch = makeFakeScratch({
+    1: null
+  });
+  await expect(SBDL.downloadRemixLineage('1', {
+    fetch
+  })).rejects.toMatchObject({
+    name: 'CanNotAccessProjectError'
+  });
+
+});
+
+test('ancestor that fails to download', async () => {
+  const scratchFetch = makeFakeScratch({
+    4: {parent: 3, root: 1},
+    3: {parent: 2, root: 1},
+    2: {parent: 1, root: 1},
+    1: {parent: null, root: null}
+  });
+  const lineage = await SBDL.downloadRemixLineage('4', {
+    fetch: (url, init) => {
+      if (url === 'https://api.scratch.mit.edu/projects/3') {
+        return Promise.resolve(new Response('', {
+          status: 500
+        }));
+      }
+      return scratchFetch(url, init);
+    }
+  });
+  // Its parent is unknown, so the rest of the lineage is found the same way as for unshared projects
+  expect(lineage.manifest.nodes).toStrictEqual([
+    {id: '4', title: 'Project 4', author: 'user4', shared: true},
+    {id: '3', title: null, author: null, shared: false, failed: true},
+    {id: '1', title: 'Project 1', author: 'user1', shared: true}
+  ]);
+  expect(lineage.manifest.edges).toStrictEqual([
+    {parent: '3', child: '4', direct: true},
+    {parent: '1', child: '3', direct: false}
+  ]);
+  expect(Object.keys(lineage.projects).sort()).toStrictEqual(['1', '4']);
+  expect(lineage.failed).toStrictEqual([
+    {
+      id: '3',
+      error: expect.objectContaining({
+        name: 'HTTPError'
+      })
+    }
+  ]);
+});
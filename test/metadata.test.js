@@ -0,0 +1,126 @@
+import fs from 'fs';
+import {Writable} from 'stream';
+import {expect, test} from 'vitest';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath} from './test-utilities.js';
+
+const METADATA = {
+  id: 1234,
+  title: 'Fake project',
+  description: 'Notes and credits',
+  instructions: 'Press the green flag',
+  author: {
+    id: 5,
+    username: 'someone'
+  },
+  history: {
+    created: '2020-01-01T00:00:00.000Z',
+    modified: '2020-01-02T00:00:00.000Z',
+    shared: '2020-01-03T00:00:00.000Z'
+  },
+  stats: {
+    views: 10,
+    loves: 2,
+    favorites: 1,
+    remixes: 0
+  },
+  remix: {
+    parent: null,
+    root: null
+  },
+  project_token: 'secret'
+};
+
+const fakeFetch = async (url) => {
+  if (url === 'https://api.scratch.mit.edu/projects/1234') {
+    return new Response(JSON.stringify(METADATA));
+  }
+  if (url === 'https://projects.scratch.mit.edu/1234?token=secret' || url === 'https://example.com/project.sb3') {
+    return new Response(fs.readFileSync(getFixturePath('minimal-sb3.json')));
+  }
+  return new Response('asset');
+};
+
+test('projects downloaded from ID have metadata', async () => {
+  const project = await SBDL.downloadProjectFromID('1234', {
+    fetch: fakeFetch
+  });
+  expect(project.id).toBe('1234');
+  expect(project.url).toBe('https://projects.scratch.mit.edu/1234');
+  expect(project.metadata).toStrictEqual(METADATA);
+
+  const sidecar = SBDL.createMetadataSidecar(project);
+  expect(sidecar.endsWith('\n')).toBe(true);
+  expect(sidecar).not.toContain('secret');
+  const metadataWithoutToken = Object.assign({}, METADATA);
+  delete metadataWithoutToken.project_token;
+  expect(JSON.parse(sidecar)).toStrictEqual({
+    id: '1234',
+    url: 'https://projects.scratch.mit.edu/1234',
+    title: 'Fake project',
+    type: 'sb3',
+    metadata: metadataWithoutToken
+  });
+  // Sidecar didn't modify the project
+  expect(project.metadata.project_token).toBe('secret');
+});
+
+test('projects downloaded from URL have a url', async () => {
+  const project = await SBDL.downloadProjectFromURL('https://example.com/project.sb3', {
+    fetch: fakeFetch
+  });
+  expect(project.id).toBe(null);
+  expect(project.url).toBe('https://example.com/project.sb3');
+  expect(project.metadata).toBe(null);
+  expect(JSON.parse(SBDL.createMetadataSidecar(project))).toStrictEqual({
+    id: null,
+    url: 'https://example.com/project.sb3',
+    title: 'project',
+    type: 'sb3',
+    metadata: null
+  });
+});
+
+test('metadataSidecar option', async () => {
+  const project = await SBDL.downloadProjectFromID('1234', {
+    fetch: fakeFetch,
+    metadataSidecar: true
+  });
+  expect(project.metadataSidecar).toBe(SBDL.createMetadataSidecar(project));
+  expect(project.metadataSidecar).not.toContain('secret');
+  expect(JSON.parse(project.metadataSidecar).metadata.author).toStrictEqual(METADATA.author);
+
+  // Also for projects that aren't from an ID
+  const fromURL = await SBDL.downloadProjectFromURL('https://example.com/project.sb3', {
+    fetch: fakeFetch,
+    metadataSidecar: true
+  });
+  expect(JSON.parse(fromURL.metadataSidecar)).toStrictEqual({
+    id: null,
+    url: 'https://example.com/project.sb3',
+    title: 'project',
+    type: 'sb3',
+    metadata: null
+  });
+
+  const streamed = await SBDL.downloadProjectToStream('1234', new Writable({
+    write: (chunk, encoding, callback) => callback()
+  }), {
+    fetch: fakeFetch,
+    metadataSidecar: true
+  });
+  expect(streamed.metadataSidecar).toBe(project.metadataSidecar);
+
+  // Not set unless enabled
+  const withoutSidecar = await SBDL.downloadProjectFromID('1234', {
+    fetch: fakeFetch
+  });
+  expect(withoutSidecar).not.toHaveProperty('metadataSidecar');
+});
+
+test('projects from data have no source', async () => {
+  const project = await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('167118244.sb3')));
+  expect(project.id).toBe(null);
+  expect(project.url).toBe(null);
+  expect(project.metadata).toBe(null);
+});
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import {expect, test} from 'vitest';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath, startServer} from './test-utilities.js';
+
+const input = fs.readFileSync(getFixturePath('minimal-sb3.json'));
+
+const MINIMAL_SB3_ASSETS = [
+  'cd21514d0531fdffb22204e0ec5ed84a.svg',
+  '592bae6f8bb9c8d88401b54ac431f7b6.svg',
+  '83a9787d4cb6f3b7632b4ddfebf74367.wav'
+];
+
+test('retries and retryDelay', async () => {
+  let requests = 0;
+  const delays = [];
+  const server = await startServer({
+    '/cd21514d0531fdffb22204e0ec5ed84a.svg': (req, res) => {
+      requests++;
+      res.statusCode = requests <= 2 ? 500 : 200;
+      res.end('data');
+    }
+  });
+  try {
+    const project = await SBDL.downloadProjectFromBuffer(input, {
+      assetHost: `${server.url}/$id`,
+      retries: 2,
+      retryDelay: (attempt) => {
+        delays.push(attempt);
+        return 0;
+      }
+    });
+    expect(requests).toBe(3);
+    expect(delays).toStrictEqual([1, 2]);
+    expect(project.assetSources).toHaveProperty('cd21514d0531fdffb22204e0ec5ed84a.svg');
+
+    requests = 0;
+    await expect(SBDL.downloadProjectFromBuffer(input, {
+      assetHost: `${server.url}/$id`,
+      retries: 0
+    })).rejects.toThrow(/Failed to fetch/);
+    expect(requests).toBe(1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('requestTimeout', async () => {
+  const server = await startServer({
+    '/cd21514d0531fdffb22204e0ec5ed84a.svg': () => {
+      // Never respond
+    }
+  });
+  try {
+    await expect(SBDL.downloadProjectFromBuffer(input, {
+      assetHost: `${server.url}/$id`,
+      requestTimeout: 100,
+      retries: 1,
+      retryDelay: () => 0
+    })).rejects.toThrow(/Timed out after 100ms/);
+    expect(server.requests.filter(i => i === '/cd21514d0531fdffb22204e0ec5ed84a.svg').length).toBe(2);
+  } finally {
+    // The server is still holding the unanswered requests, so don't wait for it to close
+    server.close();
+  }
+});
+
+test('maxConcurrentRequests is per download', async () => {
+  let current = 0;
+  let maximum = 0;
+  const routes = {};
+  for (const md5ext of MINIMAL_SB3_ASSETS) {
+    routes[`/${md5ext}`] = (req, res) => {
+      current++;
+      maximum = Math.max(maximum, current);
+      setTimeout(() => {
+        current--;
+        res.end('data');
+      }, 50);
+    };
+  }
+  const server = await startServer(routes);
+  try {
+    await SBDL.downloadProjectFromBuffer(input, {
+      assetHost: `${server.url}/$id`,
+      maxConcurrentRequests: 1
+    });
+    expect(maximum).toBe(1);
+
+    // Two downloads with their own limits run side by side
+    maximum = 0;
+    await Promise.all([
+      SBDL.downloadProjectFromBuffer(input, {
+        assetHost: `${server.url}/$id`,
+        maxConcurrentRequests: 1
+      }),
+      SBDL.downloadProjectFromBuffer(input, {
+        assetHost: `${server.url}/$id`,
+        maxConcurrentRequests: 1
+      })
+    ]);
+    expect(maximum).toBe(2);
+  } finally {
+    await server.close();
+  }
+});
@@ -2,7 +2,7 @@ import * as fs from 'fs';
 import {expect, test, vi} from 'vitest';
 import * as JSZip from '@turbowarp/jszip';
 import * as SBDL from '../src/export-node.js';
-import {arrayBufferSerializer, getFixturePath} from './test-utilities';
+import {arrayBufferSerializer, getFixturePath, startServer} from './test-utilities';
 
 expect.addSnapshotSerializer(arrayBufferSerializer);
 
@@ -31,3 +31,89 @@ test('sb3 referencing non-existent assets', async () => {
   const zip = await JSZip.loadAsync(project.arrayBuffer);
   expect(Object.keys(zip.files)).toStrictEqual(['project.json']);
 }, 30000);
+
+test('missing assets are reported', async () => {
+  const server = await startServer({});
+  try {
+    const sb3 = await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('non-existent-assets.sb3')), {
+      assetHost: `${server.url}/$id`
+    });
+    expect(sb3.missingAssets).toStrictEqual([
+      {
+        md5ext: 'ffffffffffffffffffffffffffffffff.svg',
+        reason: 'missing',
+        references: [
+          {
+            target: 'Stage',
+            type: 'costume',
+            name: 'backdrop2'
+          }
+        ]
+      }
+    ]);
+
+    const sb2 = await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('non-existent-assets.sb2')), {
+      assetHost: `${server.url}/$id`
+    });
+    expect(sb2.missingAssets).toStrictEqual([
+      {
+        md5ext: 'ffffffffffffffffffffffffffffffff.png',
+        reason: 'missing',
+        references: [
+          {
+            target: 'Stage',
+            type: 'costume',
+            name: 'backdrop1'
+          }
+        ]
+      }
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('missingAssetPolicy error', async () => {
+  const server = await startServer({});
+  try {
+    await expect(SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('non-existent-assets.sb3')), {
+      assetHost: `${server.url}/$id`,
+      missingAssetPolicy: 'error'
+    })).rejects.toMatchObject({
+      name: 'MissingAssetsError',
+      missingAssets: [
+        {
+          md5ext: 'ffffffffffffffffffffffffffffffff.svg'
+        }
+      ]
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('missingAssetPolicy placeholder', async () => {
+  const server = await startServer({});
+  try {
+    const sb3 = await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('non-existent-assets.sb3')), {
+      assetHost: `${server.url}/$id`,
+      missingAssetPolicy: 'placeholder'
+    });
+    expect(sb3.missingAssets.length).toBe(1);
+    const sb3Zip = await JSZip.loadAsync(sb3.arrayBuffer);
+    expect(Object.keys(sb3Zip.files)).toStrictEqual(['project.json', 'ffffffffffffffffffffffffffffffff.svg']);
+    expect(await sb3Zip.file('ffffffffffffffffffffffffffffffff.svg').async('text')).toMatch(/^<svg/);
+
+    const sb2 = await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('non-existent-assets.sb2')), {
+      assetHost: `${server.url}/$id`,
+      missingAssetPolicy: 'placeholder'
+    });
+    expect(sb2.missingAssets.length).toBe(1);
+    const sb2Zip = await JSZip.loadAsync(sb2.arrayBuffer);
+    expect(Object.keys(sb2Zip.files)).toStrictEqual(['project.json', '0.png']);
+    const png = await sb2Zip.file('0.png').async('uint8array');
+    expect(Array.from(png.slice(1, 4))).toStrictEqual([0x50, 0x4e, 0x47]);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import {expect, test, vi} from 'vitest';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath} from './test-utilities.js';
+
+const makeFakeScratch = () => {
+  let failures = 0;
+  return async (url) => {
+    if (url === 'https://api.scratch.mit.edu/projects/1234') {
+      return new Response(JSON.stringify({
+        id: 1234,
+        title: 'Fake project',
+        project_token: 'secret'
+      }));
+    }
+    if (url === 'https://projects.scratch.mit.edu/1234?token=secret') {
+      return new Response(fs.readFileSync(getFixturePath('minimal-sb3.json')));
+    }
+    if (url === 'https://assets.example.com/592bae6f8bb9c8d88401b54ac431f7b6.svg') {
+      failures++;
+      if (failures === 1) {
+        return new Response('', {
+          status: 500
+        });
+      }
+      return new Response('abcd');
+    }
+    if (url === 'https://assets.example.com/cd21514d0531fdffb22204e0ec5ed84a.svg') {
+      return new Response('abcdefgh');
+    }
+    return new Response('not found', {
+      status: 404
+    });
+  };
+};
+
+test('events', async () => {
+  const warn = vi.spyOn(console, 'warn');
+  const events = [];
+  const project = await SBDL.downloadProjectFromID('1234', {
+    fetch: makeFakeScratch(),
+    assetHost: 'https://assets.example.com/$id',
+    retryDelay: () => 0,
+    onEvent: (event) => {
+      // Tested separately
+      if (event.type !== 'asset-bytes') {
+        events.push(event);
+      }
+    }
+  });
+  expect(project.missingAssets.map((i) => i.md5ext)).toStrictEqual(['83a9787d4cb6f3b7632b4ddfebf74367.wav']);
+
+  expect(events[0]).toStrictEqual({
+    type: 'metadata',
+    metadata: {
+      id: 1234,
+      title: 'Fake project',
+      project_token: 'secret'
+    }
+  });
+
+  const assetEvents = (md5ext) => events.filter((i) => i.md5ext === md5ext);
+  const url = (md5ext) => `https://assets.example.com/${md5ext}`;
+  expect(assetEvents('cd21514d0531fdffb22204e0ec5ed84a.svg')).toStrictEqual([
+    {
+      type: 'asset-started',
+      md5ext: 'cd21514d0531fdffb22204e0ec5ed84a.svg',
+      url: url('cd21514d0531fdffb22204e0ec5ed84a.svg'),
+      host: 'assets.example.com',
+      size: null
+    },
+    {
+      type: 'asset-finished',
+      md5ext: 'cd21514d0531fdffb22204e0ec5ed84a.svg',
+      url: url('cd21514d0531fdffb22204e0ec5ed84a.svg'),
+      host: 'assets.example.com',
+      size: 8
+    }
+  ]);
+
+  const retried = assetEvents('592bae6f8bb9c8d88401b54ac431f7b6.svg');
+  expect(retried.map((i) => i.type)).toStrictEqual(['asset-started', 'asset-retried', 'asset-finished']);
+  expect(retried[1].attempt).toBe(1);
+  expect(retried[1].error.message).toMatch(/Unexpected status 500/);
+  expect(retried[2].size).toBe(4);
+  // Failed attempts are only reported through events
+  expect(warn).not.toHaveBeenCalled();
+  warn.mockRestore();
+
+  expect(assetEvents('83a9787d4cb6f3b7632b4ddfebf74367.wav')).toStrictEqual([
+    {
+      type: 'asset-started',
+      md5ext: '83a9787d4cb6f3b7632b4ddfebf74367.wav',
+      url: url('83a9787d4cb6f3b7632b4ddfebf74367.wav'),
+      host: 'assets.example.com',
+      size: null
+    },
+    {
+      type: 'asset-missing',
+      md5ext: '83a9787d4cb6f3b7632b4ddfebf74367.wav',
+      url: url('83a9787d4cb6f3b7632b4ddfebf74367.wav'),
+      host: 'assets.example.com',
+      size: null,
+      reason: 'missing'
+    }
+  ]);
+
+  const compressEvents = events.filter((i) => i.type === 'compress-file');
+  expect(compressEvents.map((i) => i.path).sort()).toStrictEqual([
+    '592bae6f8bb9c8d88401b54ac431f7b6.svg',
+    'cd21514d0531fdffb22204e0ec5ed84a.svg',
+    'project.json'
+  ]);
+  expect(compressEvents.map((i) => [i.index, i.total])).toStrictEqual([[0, 3], [1, 3], [2, 3]]);
+  // Compression is always last
+  expect(events.slice(-3)).toStrictEqual(compressEvents);
+});
+
+test('corrupt assets are reported as missing', async () => {
+  const events = [];
+  await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('minimal-sb3.json')), {
+    fetch: async () => new Response('wrong data'),
+    assetHost: ['https://a.example.com/$id', 'https://b.example.com/$id'],
+    verifyAssets: true,
+    retries: 0,
+    onEvent: (event) => {
+      // Tested separately
+      if (event.type !== 'asset-bytes') {
+        events.push(event);
+      }
+    }
+  });
+  const wav = events.filter((i) => i.md5ext === '83a9787d4cb6f3b7632b4ddfebf74367.wav');
+  expect(wav.map((i) => [i.type, i.host])).toStrictEqual([
+    ['asset-started', 'a.example.com'],
+    ['asset-started', 'b.example.com'],
+    ['asset-missing', 'b.example.com']
+  ]);
+  expect(wav[2].reason).toBe('corrupt');
+});
@@ -0,0 +1,220 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import {expect, test, vi} from 'vitest';
+import JSZip from '@turbowarp/jszip';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath} from './test-utilities.js';
+
+const readProject = async (arrayBuffer) => {
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  const projectJSON = JSON.parse(await zip.file('project.json').async('string'));
+  return {
+    zip,
+    projectJSON
+  };
+};
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="2" height="2"/>';
+
+const makeSB2 = async (sprite) => {
+  const zip = new JSZip();
+  zip.file('0.svg', SVG);
+  zip.file('project.json', JSON.stringify({
+    objName: 'Stage',
+    penLayerMD5: '5c81a336fab8be57adc039a8a2b33ca9.png',
+    penLayerID: -1,
+    variables: [{name: 'global', value: 5, isPersistent: false}, {name: '☁ cloud', value: 1, isPersistent: true}],
+    lists: [],
+    scripts: [],
+    costumes: [{costumeName: 'backdrop1', baseLayerID: 0, baseLayerMD5: 'abc.svg', rotationCenterX: 1, rotationCenterY: 1, bitmapResolution: 1}],
+    sounds: [],
+    currentCostumeIndex: 0,
+    tempoBPM: 60,
+    videoAlpha: 0.5,
+    info: {},
+    children: [Object.assign({
+      objName: 'Sprite1',
+      variables: [],
+      lists: [],
+      scripts: [],
+      scriptComments: [],
+      costumes: [{costumeName: 'costume1', baseLayerID: 0, baseLayerMD5: 'abc.svg', rotationCenterX: 5, rotationCenterY: 6, bitmapResolution: 1}],
+      sounds: [],
+      currentCostumeIndex: 0,
+      scratchX: 10,
+      scratchY: -20,
+      scale: 1.5,
+      direction: -45,
+      rotationStyle: 'leftRight',
+      isDraggable: true,
+      indexInLibrary: 1,
+      visible: false,
+      spriteInfo: {}
+    }, sprite)]
+  }));
+  return zip.generateAsync({
+    type: 'uint8array'
+  });
+};
+
+test('converts sb2 to sb3', async () => {
+  const project = await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('167118244.sb2')), {
+    outputFormat: 'sb3'
+  });
+  expect(project.type).toBe('sb3');
+  const {zip, projectJSON} = await readProject(project.arrayBuffer);
+  expect(projectJSON.meta.semver).toBe('3.0.0');
+  expect(projectJSON.targets[0].isStage).toBe(true);
+  expect(projectJSON.targets.length).toBeGreaterThan(1);
+  for (const target of projectJSON.targets) {
+    for (const asset of [...target.costumes, ...target.sounds]) {
+      expect(asset.md5ext).toBe(`${asset.assetId}.${asset.dataFormat}`);
+      const data = await zip.file(asset.md5ext).async('uint8array');
+      expect(crypto.createHash('md5').update(data).digest('hex')).toBe(asset.assetId);
+    }
+  }
+
+  // Conversion is deterministic
+  const project2 = await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('167118244.sb2')), {
+    outputFormat: 'sb3'
+  });
+  expect(new Uint8Array(project2.arrayBuffer)).toStrictEqual(new Uint8Array(project.arrayBuffer));
+});
+
+test('converts sb2 with downloaded assets', async () => {
+  const project = await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('missing-assets.sb2')), {
+    outputFormat: 'sb3',
+    // Each URL gets different data so that every downloaded asset is different
+    fetch: async (url) => new Response(url)
+  });
+  expect(project.type).toBe('sb3');
+  expect(project.missingAssets).toStrictEqual([]);
+  const report = await SBDL.validateProject(project.arrayBuffer);
+  expect(report.errors).toStrictEqual([]);
+
+  const {zip, projectJSON} = await readProject(project.arrayBuffer);
+  const stageCostumes = projectJSON.targets[0].costumes;
+  // Downloaded, not from the sb2
+  const data = await zip.file(stageCostumes[0].md5ext).async('string');
+  expect(data).toBe('https://assets.scratch.mit.edu/internalapi/asset/52726ebfecbed4ba0b798fd883b675fe.svg/get/');
+});
+
+test('converts blocks, variables, and sprite properties', async () => {
+  const processJSON = vi.fn();
+  const project = await SBDL.downloadProjectFromBuffer(await makeSB2({
+    variables: [{name: 'local', value: 'x', isPersistent: false}],
+    lists: [{listName: 'items', contents: ['a', 1], isPersistent: false, x: 5, y: 6, width: 100, height: 200, visible: true}],
+    scripts: [
+      [10, 20, [
+        ['whenIReceive', 'go'],
+        ['goBackByLayers:', 2],
+        ['setVar:to:', 'local', ['readVariable', 'global']],
+        ['append:toList:', 'thing', 'items'],
+        ['call', 'say %s', ['answer']]
+      ]],
+      [30, 40, [
+        ['procDef', 'say %s', ['message'], [''], false],
+        ['say:', ['getParam', 'message', 'r']],
+        ['notARealBlock', 1]
+      ]]
+    ],
+    costumes: [{costumeName: 'costume1', baseLayerID: 0, baseLayerMD5: 'abc.svg', textLayerID: 0, textLayerMD5: 'abc.svg', rotationCenterX: 5, rotationCenterY: 6, bitmapResolution: 1}],
+    scriptComments: [[1, 2, 150, 100, true, 1, 'on goBackByLayers']]
+  }), {
+    outputFormat: 'sb3',
+    processJSON
+  });
+  // processJSON runs before conversion
+  expect(processJSON.mock.calls[0][0]).toBe('sb2');
+  expect(project.conversionWarnings).toStrictEqual([
+    {
+      type: 'unknown-block',
+      target: 'Sprite1',
+      opcode: 'notARealBlock',
+      message: 'Skipping unknown sb2 block notARealBlock'
+    },
+    {
+      type: 'text-layer',
+      target: 'Sprite1',
+      costume: 'costume1',
+      message: 'Text layer of costume costume1 can not be converted'
+    }
+  ]);
+
+  const {projectJSON} = await readProject(project.arrayBuffer);
+  const [stage, sprite] = projectJSON.targets;
+  expect(Object.values(stage.variables).sort()).toStrictEqual([['global', 5], ['☁ cloud', 1, true]]);
+  expect(Object.values(stage.broadcasts)).toStrictEqual(['go']);
+  expect(stage.costumes[0].rotationCenterX).toBe(240);
+  expect(stage.costumes[0].rotationCenterY).toBe(180);
+
+  expect(sprite).toMatchObject({
+    name: 'Sprite1',
+    x: 10,
+    y: -20,
+    size: 150,
+    direction: -45,
+    rotationStyle: 'left-right',
+    draggable: true,
+    visible: false
+  });
+  expect(sprite.costumes[0].rotationCenterX).toBe(5);
+  expect(Object.values(sprite.lists)).toStrictEqual([['items', ['a', 1]]]);
+
+  const blocks = Object.values(sprite.blocks);
+  const byOpcode = (opcode) => blocks.filter((b) => b.opcode === opcode);
+  const hat = byOpcode('event_whenbroadcastreceived')[0];
+  expect(hat.topLevel).toBe(true);
+  expect(hat.fields.BROADCAST_OPTION[0]).toBe('go');
+
+  const layers = byOpcode('looks_goforwardbackwardlayers')[0];
+  expect(layers.fields.FORWARD_BACKWARD[0]).toBe('backward');
+  expect(layers.inputs.NUM).toStrictEqual([1, [7, '2']]);
+  expect(sprite.blocks[hat.next]).toBe(layers);
+  expect(Object.values(sprite.comments)[0]).toMatchObject({
+    blockId: hat.next,
+    text: 'on goBackByLayers'
+  });
+
+  const setVariable = byOpcode('data_setvariableto')[0];
+  const localId = Object.keys(sprite.variables)[0];
+  expect(setVariable.fields.VARIABLE).toStrictEqual(['local', localId]);
+  const reporter = sprite.blocks[setVariable.inputs.VALUE[1]];
+  expect(reporter.opcode).toBe('data_variable');
+  expect(stage.variables[reporter.fields.VARIABLE[1]][0]).toBe('global');
+
+  const definition = byOpcode('procedures_definition')[0];
+  const prototype = sprite.blocks[definition.inputs.custom_block[1]];
+  const call = byOpcode('procedures_call')[0];
+  expect(prototype.mutation.proccode).toBe('say %s');
+  expect(call.mutation.argumentids).toBe(prototype.mutation.argumentids);
+  const [argumentId] = JSON.parse(call.mutation.argumentids);
+  expect(sprite.blocks[call.inputs[argumentId][1]].opcode).toBe('sensing_answer');
+  expect(byOpcode('argument_reporter_string_number').map((b) => b.fields.VALUE[0])).toStrictEqual(['message', 'message']);
+});
+
+test('finds assets with unknown format', async () => {
+  const project = await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('tosh-default.sb2')), {
+    outputFormat: 'sb3'
+  });
+  const {zip, projectJSON} = await readProject(project.arrayBuffer);
+  for (const target of projectJSON.targets) {
+    expect(target.costumes[0].dataFormat).toBe('svg');
+    expect(zip.file(target.costumes[0].md5ext)).not.toBe(null);
+  }
+});
+
+test('sb and sb3 are not converted', async () => {
+  const sb = await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('scratch1.sb')), {
+    outputFormat: 'sb3'
+  });
+  expect(sb.type).toBe('sb');
+
+  const original = fs.readFileSync(getFixturePath('167118244.sb3'));
+  const sb3 = await SBDL.downloadProjectFromBuffer(original, {
+    outputFormat: 'sb3'
+  });
+  expect(sb3.type).toBe('sb3');
+  expect(sb3.conversionWarnings).toStrictEqual([]);
+  expect(new Uint8Array(sb3.arrayBuffer)).toStrictEqual(new Uint8Array(original.buffer));
+});
@@ -0,0 +1,209 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import {expect, test} from 'vitest';
+import JSZip from '@turbowarp/jszip';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath, startServer} from './test-utilities.js';
+
+const projectJSON = fs.readFileSync(getFixturePath('minimal-sb3.json'));
+
+const assetRoutes = {
+  '/cd21514d0531fdffb22204e0ec5ed84a.svg': 'a',
+  '/592bae6f8bb9c8d88401b54ac431f7b6.svg': 'b',
+  '/83a9787d4cb6f3b7632b4ddfebf74367.wav': 'c'
+};
+
+/**
+ * Send data in several pieces so that progress can be seen.
+ */
+const sendInChunks = (res, data) => {
+  res.setHeader('content-length', data.byteLength);
+  const chunkSize = Math.ceil(data.byteLength / 4);
+  let offset = 0;
+  const next = () => {
+    res.write(data.subarray(offset, offset + chunkSize));
+    offset += chunkSize;
+    if (offset < data.byteLength) {
+      setTimeout(next, 10);
+    } else {
+      res.end();
+    }
+  };
+  next();
+};
+
+test('progress for compressed responses', async () => {
+  const gzipped = zlib.gzipSync(projectJSON);
+  const brotli = zlib.brotliCompressSync(projectJSON);
+  const server = await startServer(Object.assign({
+    '/gzip.sb3': (req, res) => {
+      expect(req.headers['accept-encoding']).toMatch(/gzip/);
+      res.setHeader('content-encoding', 'gzip');
+      sendInChunks(res, gzipped);
+    },
+    '/br.sb3': (req, res) => {
+      res.setHeader('content-encoding', 'br');
+      sendInChunks(res, brotli);
+    },
+    '/plain.sb3': (req, res) => {
+      sendInChunks(res, projectJSON);
+    },
+    '/redirect.sb3': (req, res) => {
+      res.statusCode = 302;
+      res.setHeader('location', '/plain.sb3');
+      res.end();
+    }
+  }, assetRoutes));
+
+  try {
+    for (const name of ['gzip', 'br', 'plain', 'redirect']) {
+      const progress = [];
+      const project = await SBDL.downloadProjectFromURL(`${server.url}/${name}.sb3`, {
+        assetHost: `${server.url}/$id`,
+        onProgress: (type, loaded) => {
+          if (type === 'project') {
+            progress.push(loaded);
+          }
+        }
+      });
+      expect(project.title).toBe(name);
+      expect(project.type).toBe('sb3');
+      const zip = await JSZip.loadAsync(project.arrayBuffer);
+      expect(JSON.parse(await zip.file('project.json').async('text'))).toStrictEqual(JSON.parse(projectJSON));
+
+      expect(progress[0]).toBe(0);
+      expect(progress[progress.length - 1]).toBe(1);
+      // Some progress in between
+      expect(progress.some((i) => i > 0 && i < 1)).toBe(true);
+      for (let i = 1; i < progress.length; i++) {
+        expect(progress[i]).toBeGreaterThanOrEqual(progress[i - 1]);
+      }
+    }
+  } finally {
+    await server.close();
+  }
+});
+
+test('errors', async () => {
+  const server = await startServer({
+    '/unsupported.sb3': (req, res) => {
+      res.setHeader('content-encoding', 'something');
+      res.end('abc');
+    },
+    '/loop.sb3': (req, res) => {
+      res.statusCode = 301;
+      res.setHeader('location', '/loop.sb3');
+      res.end();
+    },
+    '/disconnect.sb3': (req, res) => {
+      res.setHeader('content-length', 1000);
+      res.write('abc');
+      setTimeout(() => res.destroy(), 10);
+    }
+  });
+  try {
+    await expect(SBDL.downloadProjectFromURL(`${server.url}/unsupported.sb3`)).rejects.toThrow('Unsupported Content-Encoding: something');
+    await expect(SBDL.downloadProjectFromURL(`${server.url}/loop.sb3`)).rejects.toThrow('too many redirects');
+    await expect(SBDL.downloadProjectFromURL(`${server.url}/missing.sb3`)).rejects.toMatchObject({
+      name: 'CanNotAccessProjectError'
+    });
+    await expect(SBDL.downloadProjectFromURL(`${server.url}/disconnect.sb3`)).rejects.toThrow();
+  } finally {
+    await server.close();
+  }
+});
+
+test('abort while downloading project', async () => {
+  const server = await startServer({
+    '/slow.sb3': (req, res) => {
+      res.write('{');
+      // Never finish
+    }
+  });
+  try {
+    const controller = new AbortController();
+    const promise = SBDL.downloadProjectFromURL(`${server.url}/slow.sb3`, {
+      signal: controller.signal
+    });
+    setTimeout(() => controller.abort(), 50);
+    await expect(promise).rejects.toMatchObject({
+      name: 'AbortError'
+    });
+  } finally {
+    server.close();
+  }
+});
+
+test('timeout', async () => {
+  const server = await startServer({
+    '/slow.sb3': () => {
+      // Never respond
+    }
+  });
+  try {
+    const error = await SBDL.downloadProjectFromURL(`${server.url}/slow.sb3`, {
+      timeout: 100
+    }).catch((e) => e);
+    expect(error.name).toBe('TimeoutError');
+    expect(error.message).toBe('Timed out after 100ms');
+
+    // Aborting is still reported as aborting
+    const controller = new AbortController();
+    const promise = SBDL.downloadProjectFromURL(`${server.url}/slow.sb3`, {
+      timeout: 10000,
+      signal: controller.signal
+    });
+    controller.abort();
+    await expect(promise).rejects.toMatchObject({
+      name: 'AbortError'
+    });
+  } finally {
+    server.close();
+  }
+});
+
+test('timeout for metadata', async () => {
+  const neverRespond = (url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => {
+      reject(new DOMException('aborted', 'AbortError'));
+    });
+  });
+  await expect(SBDL.getProjectMetadata('1234', {
+    fetch: neverRespond,
+    timeout: 50
+  })).rejects.toMatchObject({
+    name: 'TimeoutError'
+  });
+  await expect(SBDL.downloadProjectFromID('1234', {
+    fetch: neverRespond,
+    timeout: 50
+  })).rejects.toMatchObject({
+    name: 'TimeoutError'
+  });
+});
+
+test('sb2 asset requests can be aborted', async () => {
+  const signals = [];
+  const controller = new AbortController();
+  const promise = SBDL.downloadProjectFromJSON({
+    objName: 'Stage',
+    costumes: [
+      {costumeName: 'backdrop1', baseLayerID: -1, baseLayerMD5: 'abc.svg'}
+    ],
+    sounds: [],
+    children: []
+  }, {
+    signal: controller.signal,
+    fetch: (url, init) => new Promise((resolve, reject) => {
+      signals.push(init.signal);
+      init.signal.addEventListener('abort', () => {
+        reject(new DOMException('aborted', 'AbortError'));
+      });
+      controller.abort();
+    })
+  });
+  await expect(promise).rejects.toMatchObject({
+    name: 'AbortError'
+  });
+  expect(signals).toStrictEqual([controller.signal]);
+});
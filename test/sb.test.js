@@ -10,4 +10,6 @@ test('sb project from sb', async () => {
   expect(project.type).toBe('sb');
   expect(project.title).toBe('');
   expect(new Uint8Array(project.arrayBuffer)).toStrictEqual(new Uint8Array(originalData));
+  expect(project.scratch1Info).toStrictEqual(SBDL.readScratch1Project(originalData).info);
+  expect(new DataView(project.scratch1Info.thumbnail).getUint32(16)).toBe(160);
 });
@@ -1,5 +1,6 @@
 import fs from 'fs';
 import JSZip from '@turbowarp/jszip';
+import * as ExtendedJSON from '@turbowarp/json';
 import {expect, test, vi} from 'vitest';
 import * as SBDL from '../src/export-node.js';
 import {getFixturePath, arrayBufferSerializer} from './test-utilities.js';
@@ -65,12 +66,29 @@ test('sb2 with missing assets', async () => {
   expect(totalAssets).toBe(5);
   expect(project.arrayBuffer).toMatchSnapshot();
 
-  // Even though it was rezipped, project.json should not change
+  // Even though it was rezipped and asset IDs changed, comments in project.json should not be removed
   const zip = await JSZip.loadAsync(project.arrayBuffer);
   const text = await zip.file('project.json').async('text');
   expect(text.includes('// Comment that shouldn\'t be removed :)\n')).toBe(true);
 });
 
+test('sb2 project.json refers to the IDs of downloaded assets', async () => {
+  const data = fs.readFileSync(getFixturePath('missing-assets.sb2'));
+  const project = await SBDL.downloadProjectFromBuffer(data, {
+    fetch: async (url) => new Response(url)
+  });
+  const zip = await JSZip.loadAsync(project.arrayBuffer);
+  const text = await zip.file('project.json').async('text');
+  expect(text.includes('// Comment that shouldn\'t be removed :)\n')).toBe(true);
+
+  const json = ExtendedJSON.parse(text);
+  expect(json.costumes.map((i) => i.baseLayerID)).toStrictEqual([9, 1, 2, 3, 4, 10]);
+  expect(json.sounds.map((i) => i.soundID)).toStrictEqual([2]);
+  for (const costume of json.costumes) {
+    expect(zip.file(`${costume.baseLayerID}.svg`)).not.toBe(null);
+  }
+});
+
 test('sb2 generated by tosh', async () => {
   const data = fs.readFileSync(getFixturePath('tosh-default.sb2'));
   const progressEvents = [];
@@ -0,0 +1,196 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import {expect, test} from 'vitest';
+import * as SBDL from '../src/export-node.js';
+import {Scratch1ParseError} from '../src/errors.js';
+import {getFixturePath} from './test-utilities.js';
+
+const u32 = (n) => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+
+// Inline fields
+const nil = [1];
+const int16 = (n) => [5, (n >> 8) & 0xff, n & 0xff];
+const int32 = (n) => [4, ...u32(n)];
+const ref = (index) => [99, (index >> 16) & 0xff, (index >> 8) & 0xff, index & 0xff];
+
+// Objects in the table
+const string = (text) => [9, ...u32(text.length), ...Array.from(text, (i) => i.charCodeAt(0))];
+const byteArray = (bytes) => [11, ...u32(bytes.length), ...bytes];
+const array = (...fields) => [20, ...u32(fields.length), ...fields.flat()];
+const dictionary = (...fields) => [24, ...u32(fields.length / 2), ...fields.flat()];
+const point = (x, y) => [32, ...x, ...y];
+const form = (width, height, depth, bits) => [34, ...width, ...height, ...depth, ...nil, ...bits];
+const object = (classId, fields) => [classId, 1, fields.length, ...fields.flat()];
+
+const objStream = (...objects) => [
+  ...Array.from('ObjS\x01Stch\x01', (i) => i.charCodeAt(0)),
+  ...u32(objects.length),
+  ...objects.flat()
+];
+
+/**
+ * @param {number} count
+ * @param {Record<number, number[]>} values
+ */
+const fields = (count, values) => {
+  const result = [];
+  for (let i = 0; i < count; i++) {
+    result.push(values[i] || nil);
+  }
+  return result;
+};
+
+const JPEG = [0xff, 0xd8, 0xff, 0xd9];
+
+const createProject = () => {
+  const info = objStream(
+    dictionary(ref(2), ref(3), ref(4), ref(5)),
+    string('author'),
+    string('someone'),
+    string('comment'),
+    string('Notes \x8e')
+  );
+  const stage = objStream(
+    object(125, fields(21, {2: ref(2)})),
+    array(ref(3)),
+    object(124, fields(21, {6: ref(4), 10: ref(5), 11: ref(6)})),
+    string('Cat'),
+    array(ref(6), ref(9)),
+    object(162, fields(6, {0: ref(7), 2: ref(8), 4: ref(10)})),
+    string('photo'),
+    point(int16(3), int16(-4)),
+    object(164, fields(7, {0: ref(11), 2: int16(100), 4: int16(11025), 5: int16(4), 6: ref(12)})),
+    byteArray(JPEG),
+    string('beep'),
+    byteArray([0x00, 0xff])
+  );
+  return new Uint8Array([
+    ...Array.from('ScratchV02', (i) => i.charCodeAt(0)),
+    ...u32(info.length),
+    ...info,
+    ...stage
+  ]);
+};
+
+const md5 = (data) => crypto.createHash('md5').update(new Uint8Array(data)).digest('hex');
+
+test('reads info, sprites, costumes, and sounds', () => {
+  const project = SBDL.readScratch1Project(createProject());
+  expect(project.version).toBe('ScratchV02');
+  expect(project.info).toStrictEqual({
+    author: 'someone',
+    notes: 'Notes é',
+    thumbnail: null
+  });
+
+  expect(project.stage.name).toBe('Stage');
+  expect(project.stage.isStage).toBe(true);
+  expect(project.stage.costumes).toStrictEqual([]);
+  expect(project.sprites.length).toBe(1);
+
+  const sprite = project.sprites[0];
+  expect(sprite.name).toBe('Cat');
+  expect(sprite.isStage).toBe(false);
+  expect(sprite.currentCostume).toBe(0);
+
+  expect(sprite.costumes.length).toBe(1);
+  const costume = sprite.costumes[0];
+  expect(costume.name).toBe('photo');
+  expect(costume.rotationCenterX).toBe(3);
+  expect(costume.rotationCenterY).toBe(-4);
+  expect(costume.dataFormat).toBe('jpg');
+  expect(new Uint8Array(costume.data)).toStrictEqual(new Uint8Array(JPEG));
+  expect(costume.md5ext).toBe(`${md5(JPEG)}.jpg`);
+
+  expect(sprite.sounds.length).toBe(1);
+  const sound = sprite.sounds[0];
+  expect(sound.name).toBe('beep');
+  expect(sound.rate).toBe(11025);
+  expect(sound.sampleCount).toBe(4);
+  expect(sound.dataFormat).toBe('wav');
+  expect(sound.md5ext).toBe(`${md5(sound.data)}.wav`);
+  const wav = new DataView(sound.data);
+  expect(new TextDecoder().decode(new Uint8Array(sound.data, 0, 4))).toBe('RIFF');
+  expect(wav.getUint32(24, true)).toBe(11025);
+  // Decoded from 4-bit ADPCM codes 0, 0, 15, 15
+  expect([0, 1, 2, 3].map((i) => wav.getInt16(44 + i * 2, true))).toStrictEqual([0, 0, -11, -41]);
+});
+
+test('decodes images to PNG', () => {
+  const project = SBDL.readScratch1Project(fs.readFileSync(getFixturePath('scratch1.sb')));
+  expect(project.version).toBe('ScratchV02');
+
+  const thumbnail = new DataView(project.info.thumbnail);
+  expect(thumbnail.getUint32(0)).toBe(0x89504e47);
+  expect(thumbnail.getUint32(16)).toBe(160);
+  expect(thumbnail.getUint32(20)).toBe(120);
+
+  expect(project.stage.costumes.length).toBe(1);
+  const background = project.stage.costumes[0];
+  expect(background.name).toBe('background1');
+  expect(background.dataFormat).toBe('png');
+  expect(background.rotationCenterX).toBe(240);
+  expect(background.rotationCenterY).toBe(180);
+  expect(background.md5ext).toBe(`${md5(background.data)}.png`);
+  expect(new DataView(background.data).getUint32(16)).toBe(480);
+  expect(new DataView(background.data).getUint32(20)).toBe(360);
+
+  // A mostly blank stage should compress well
+  expect(background.data.byteLength).toBeLessThan(20000);
+  const png = Buffer.from(background.data);
+  const idatStart = png.indexOf('IDAT') + 4;
+  const idatLength = png.readUInt32BE(idatStart - 8);
+  const pixels = zlib.inflateSync(png.subarray(idatStart, idatStart + idatLength));
+  // Filter type byte and 4 bytes per pixel for each row
+  expect(pixels.length).toBe((1 + 480 * 4) * 360);
+
+  expect(project.sprites.map((i) => i.name)).toStrictEqual(['Sprite1']);
+  expect(project.sprites[0].costumes.map((i) => i.name)).toStrictEqual(['costume3']);
+});
+
+test('rejects other data', () => {
+  expect(() => SBDL.readScratch1Project(new TextEncoder().encode('{}'))).toThrow(/not a Scratch 1 project/);
+  expect(() => SBDL.readScratch1Project(createProject().slice(0, 100))).toThrow(/unexpected end of data/);
+});
+
+/**
+ * @param {number[]} thumbnail Form for the thumbnail, which can refer to the object at index 3.
+ * @param {number[]} bits Object at index 3.
+ * @returns {Uint8Array} Project with only an info section.
+ */
+const createProjectWithThumbnail = (thumbnail, bits) => {
+  const info = objStream(
+    dictionary(ref(2), ref(3)),
+    string('thumbnail'),
+    thumbnail,
+    bits
+  );
+  return new Uint8Array([
+    ...Array.from('ScratchV02', (i) => i.charCodeAt(0)),
+    ...u32(info.length),
+    ...info
+  ]);
+};
+
+test('rejects images with impossible sizes', () => {
+  // Bitmap that is much longer than the rest of the data
+  const longBitmap = createProjectWithThumbnail(form(int16(10), int16(10), int16(32), ref(4)), [13, ...u32(0x40000000)]);
+  expect(() => SBDL.readScratch1Info(longBitmap)).toThrow(/unexpected end of data/);
+
+  // Compressed Bitmap that is much longer than the 10x10 image needs
+  const longCompressedBitmap = createProjectWithThumbnail(form(int16(10), int16(10), int16(32), ref(4)), byteArray([0xff, 0x7f, 0xff, 0xff, 0xff]));
+  expect(() => SBDL.readScratch1Info(longCompressedBitmap)).toThrow(/compressed Bitmap has 2147483647 words, more than the 100 its image needs/);
+
+  const largeImage = createProjectWithThumbnail(form(int32(100000), int32(100000), int16(32), ref(4)), byteArray([0]));
+  expect(() => SBDL.readScratch1Info(largeImage)).toThrow(/image is too large: 100000x100000/);
+  expect(() => SBDL.readScratch1Info(largeImage)).toThrow(Scratch1ParseError);
+});
+
+test('sb projects that can not be read are still downloaded', async () => {
+  const data = createProjectWithThumbnail(form(int32(100000), int32(100000), int16(32), ref(4)), byteArray([0]));
+  const project = await SBDL.downloadProjectFromBuffer(data);
+  expect(project.type).toBe('sb');
+  expect(new Uint8Array(project.arrayBuffer)).toStrictEqual(data);
+  expect(project).not.toHaveProperty('scratch1Info');
+});
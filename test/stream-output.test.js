@@ -0,0 +1,161 @@
+import fs from 'fs';
+import {Writable} from 'stream';
+import {expect, test} from 'vitest';
+import JSZip from '@turbowarp/jszip';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath} from './test-utilities.js';
+
+/**
+ * Serve a fake Scratch API with projects 1 (sb3 JSON with assets) and 2 (Scratch 1).
+ */
+const makeFakeFetch = async () => {
+  const zip = await JSZip.loadAsync(fs.readFileSync(getFixturePath('167118244.sb3')));
+  const files = {};
+  for (const path of Object.keys(zip.files)) {
+    files[path] = await zip.file(path).async('uint8array');
+  }
+
+  return async (url) => {
+    const apiMatch = url.match(/^https:\/\/api\.scratch\.mit\.edu\/projects\/(\d+)$/);
+    if (apiMatch) {
+      return new Response(JSON.stringify({
+        title: `Project ${apiMatch[1]}`,
+        project_token: 'abc'
+      }));
+    }
+    if (url === 'https://projects.scratch.mit.edu/1?token=abc') {
+      return new Response(files['project.json']);
+    }
+    if (url === 'https://projects.scratch.mit.edu/2?token=abc') {
+      return new Response(fs.readFileSync(getFixturePath('scratch1.sb')));
+    }
+    const assetMatch = url.match(/^https:\/\/assets\.scratch\.mit\.edu\/internalapi\/asset\/(.+)\/get\/$/);
+    if (assetMatch && files[assetMatch[1]]) {
+      return new Response(files[assetMatch[1]]);
+    }
+    return new Response('', {
+      status: 404
+    });
+  };
+};
+
+const concat = (chunks) => {
+  const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.byteLength, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return result;
+};
+
+/**
+ * A slow Node.js stream with a tiny buffer so that backpressure is exercised.
+ */
+const createNodeWritable = () => {
+  const chunks = [];
+  const writable = new Writable({
+    highWaterMark: 16,
+    write: (chunk, encoding, callback) => {
+      chunks.push(new Uint8Array(chunk));
+      setTimeout(callback);
+    }
+  });
+  return {
+    writable,
+    getData: () => concat(chunks)
+  };
+};
+
+test('Node.js Writable', async () => {
+  const fetch = await makeFakeFetch();
+  const expected = await SBDL.downloadProjectFromID('1', {
+    fetch
+  });
+
+  const progress = [];
+  const {writable, getData} = createNodeWritable();
+  const result = await SBDL.downloadProjectToStream('1', writable, {
+    fetch,
+    onProgress: (type, loaded) => {
+      if (type === 'compress') {
+        progress.push(loaded);
+      }
+    }
+  });
+
+  expect(result).toStrictEqual({
+    title: 'Project 1',
+    type: 'sb3',
+    missingAssets: [],
+    assetSources: expected.assetSources,
+    id: '1',
+    url: 'https://projects.scratch.mit.edu/1',
+    metadata: expected.metadata
+  });
+  expect(writable.writableFinished).toBe(true);
+  // Same deterministic output as downloadProjectFromID()
+  expect(getData()).toStrictEqual(new Uint8Array(expected.arrayBuffer));
+  expect(progress.length).toBeGreaterThan(1);
+  expect(progress[progress.length - 1]).toBe(1);
+});
+
+test('WHATWG WritableStream', async () => {
+  const fetch = await makeFakeFetch();
+  const expected = await SBDL.downloadProjectFromID('1', {
+    fetch,
+    compress: false,
+    date: new Date(2000, 0, 1)
+  });
+
+  const chunks = [];
+  let closed = false;
+  const writable = new WritableStream({
+    write: (chunk) => new Promise((resolve) => {
+      chunks.push(chunk);
+      setTimeout(resolve);
+    }),
+    close: () => {
+      closed = true;
+    }
+  }, new CountQueuingStrategy({
+    highWaterMark: 1
+  }));
+
+  await SBDL.downloadProjectToStream('1', writable, {
+    fetch,
+    compress: false,
+    date: new Date(2000, 0, 1)
+  });
+  expect(closed).toBe(true);
+  expect(concat(chunks)).toStrictEqual(new Uint8Array(expected.arrayBuffer));
+});
+
+test('projects that do not need to be generated', async () => {
+  const fetch = await makeFakeFetch();
+  const {writable, getData} = createNodeWritable();
+  const result = await SBDL.downloadProjectToStream('2', writable, {
+    fetch
+  });
+  expect(result.type).toBe('sb');
+  expect(getData()).toStrictEqual(new Uint8Array(fs.readFileSync(getFixturePath('scratch1.sb'))));
+});
+
+test('abort', async () => {
+  const fetch = await makeFakeFetch();
+  const abortController = new AbortController();
+  let aborted = false;
+  const writable = new WritableStream({
+    write: () => {
+      abortController.abort();
+    },
+    abort: () => {
+      aborted = true;
+    }
+  });
+  await expect(SBDL.downloadProjectToStream('1', writable, {
+    fetch,
+    signal: abortController.signal
+  })).rejects.toThrow(/abort/i);
+  expect(aborted).toBe(true);
+});
@@ -0,0 +1,166 @@
+import fs from 'fs';
+import {expect, test} from 'vitest';
+import * as SBDL from '../src/export-node.js';
+import environment from '../src/environment.js';
+import {getFixturePath, startServer} from './test-utilities.js';
+
+const projectJSON = fs.readFileSync(getFixturePath('minimal-sb3.json'));
+
+const PROJECT_COUNT = 45;
+const UNSHARED_PROJECT = 7;
+
+/**
+ * Start a server that pretends to be the Scratch API, the project server, and the asset server.
+ */
+const startFakeScratch = async () => {
+  let activeDownloads = 0;
+  let maxActiveDownloads = 0;
+  const server = await startServer({
+    '/studios/5/projects': (req, res) => {
+      const params = new URL(req.url, 'http://localhost').searchParams;
+      const offset = +params.get('offset');
+      const limit = +params.get('limit');
+      const page = [];
+      for (let i = offset; i < Math.min(offset + limit, PROJECT_COUNT); i++) {
+        page.push({
+          id: i,
+          title: `Project ${i}`,
+          username: 'someone'
+        });
+      }
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify(page));
+    }
+  });
+
+  const fetchFn = async (url, init) => {
+    let match = url.match(/^https:\/\/(?:api\.scratch\.mit\.edu|trampoline\.turbowarp\.org\/api)\/projects\/(\d+)$/);
+    if (match) {
+      if (+match[1] === UNSHARED_PROJECT) {
+        return new Response('', {
+          status: 404
+        });
+      }
+      return new Response(JSON.stringify({
+        id: +match[1],
+        title: `Project ${match[1]}`,
+        project_token: 'secret'
+      }));
+    }
+    match = url.match(/^https:\/\/projects\.scratch\.mit\.edu\/(\d+)\?token=secret$/);
+    if (match) {
+      activeDownloads++;
+      maxActiveDownloads = Math.max(maxActiveDownloads, activeDownloads);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      activeDownloads--;
+      return new Response(projectJSON);
+    }
+    match = url.match(/^https:\/\/(?:api\.scratch\.mit\.edu|trampoline\.turbowarp\.org\/api)\/(.+)$/);
+    if (match) {
+      return fetch(`${server.url}/${match[1]}`, init);
+    }
+    if (url.includes('/internalapi/asset/')) {
+      return new Response('asset');
+    }
+    throw new Error(`Unexpected request: ${url}`);
+  };
+
+  return {
+    server,
+    fetch: fetchFn,
+    getMaxActiveDownloads: () => maxActiveDownloads
+  };
+};
+
+test('downloads every project in a studio', async () => {
+  const {server, fetch, getMaxActiveDownloads} = await startFakeScratch();
+  try {
+    const finished = [];
+    const studio = await SBDL.downloadStudio('5', {
+      fetch,
+      maxConcurrentProjects: 2,
+      onProjectFinished: (result, count, total) => {
+        finished.push([result.id, count, total]);
+      }
+    });
+
+    // Studio was fetched in pages
+    expect(server.requests).toStrictEqual([
+      '/studios/5/projects?offset=0&limit=40',
+      '/studios/5/projects?offset=40&limit=40'
+    ]);
+
+    expect(studio.id).toBe('5');
+    expect(studio.projects.length).toBe(PROJECT_COUNT);
+    for (let i = 0; i < PROJECT_COUNT; i++) {
+      const result = studio.projects[i];
+      expect(result.id).toBe(`${i}`);
+      expect(result.title).toBe(`Project ${i}`);
+      if (i === UNSHARED_PROJECT) {
+        // Failures didn't stop other projects
+        expect(result.project).toBe(null);
+        expect(result.error.name).toBe('CanNotAccessProjectError');
+      } else {
+        expect(result.project.type).toBe('sb3');
+        expect(result.project.id).toBe(`${i}`);
+        expect(result.error).toBe(null);
+      }
+    }
+
+    expect(getMaxActiveDownloads()).toBe(2);
+    expect(finished.length).toBe(PROJECT_COUNT);
+    expect(finished.map((i) => i[1])).toStrictEqual(Array.from({length: PROJECT_COUNT}, (_, i) => i + 1));
+    expect(finished.every((i) => i[2] === PROJECT_COUNT)).toBe(true);
+  } finally {
+    await server.close();
+  }
+});
+
+test('uses trampoline when API is not accessible', async () => {
+  const {server, fetch} = await startFakeScratch();
+  environment.canAccessScratchAPI = false;
+  try {
+    const projects = await SBDL.getStudioProjects('5', {
+      fetch
+    });
+    expect(projects.length).toBe(PROJECT_COUNT);
+    expect(server.requests.length).toBe(2);
+  } finally {
+    environment.canAccessScratchAPI = true;
+    await server.close();
+  }
+});
+
+test('studio that does not exist', async () => {
+  const {server, fetch} = await startFakeScratch();
+  try {
+    await expect(SBDL.downloadStudio('6', {
+      fetch
+    })).rejects.toMatchObject({
+      name: 'CanNotAccessStudioError'
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('aborting stops the whole studio', async () => {
+  const {server, fetch} = await startFakeScratch();
+  try {
+    const controller = new AbortController();
+    const promise = SBDL.downloadStudio('5', {
+      fetch,
+      signal: controller.signal,
+      onProjectFinished: (result, count) => {
+        if (count === 3) {
+          controller.abort();
+        }
+      }
+    });
+    await expect(promise).rejects.toMatchObject({
+      name: 'AbortError'
+    });
+  } finally {
+    await server.close();
+  }
+});
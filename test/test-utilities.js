@@ -1,5 +1,6 @@
 import path from 'path';
 import crypto from 'crypto';
+import http from 'http';
 
 // vitest snapshots do not handle ArrayBuffers properly by default
 export const arrayBufferSerializer = {
@@ -11,3 +12,33 @@ export const arrayBufferSerializer = {
 };
 
 export const getFixturePath = (name) => path.join(__dirname, 'fixtures', name);
+
+/**
+ * Start a local HTTP server so tests don't depend on the real Scratch servers.
+ * Each route is either the response body or a function (req, res) => void.
+ * Requests to any other path receive a 404.
+ * @param {Record<string, string|Uint8Array|((req: http.IncomingMessage, res: http.ServerResponse) => void)>} routes
+ */
+export const startServer = async (routes) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const route = Object.prototype.hasOwnProperty.call(routes, pathname) ? routes[pathname] : undefined;
+    if (typeof route === 'function') {
+      route(req, res);
+    } else if (route !== undefined) {
+      res.end(route);
+    } else {
+      res.statusCode = 404;
+      res.end('Not found');
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
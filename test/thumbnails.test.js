@@ -0,0 +1,191 @@
+import fs from 'fs';
+import {expect, test} from 'vitest';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath} from './test-utilities.js';
+
+const METADATA = {
+  id: 1234,
+  title: 'Fake project',
+  author: {
+    id: 5,
+    username: 'someone',
+    profile: {
+      id: null,
+      images: {
+        '90x90': 'https://cdn2.scratch.mit.edu/get_image/user/5_90x90.png',
+        '60x60': 'https://cdn2.scratch.mit.edu/get_image/user/5_60x60.png'
+      }
+    }
+  },
+  image: 'https://cdn2.scratch.mit.edu/get_image/project/1234_480x360.png',
+  images: {
+    '282x218': 'https://cdn2.scratch.mit.edu/get_image/project/1234_282x218.png?v=1'
+  },
+  project_token: 'secret'
+};
+
+const makeFakeScratch = () => {
+  const requests = [];
+  let thumbnailFailures = 0;
+  const fetch = async (url) => {
+    requests.push(url);
+    if (url === 'https://api.scratch.mit.edu/projects/1234') {
+      return new Response(JSON.stringify(METADATA));
+    }
+    if (url === 'https://projects.scratch.mit.edu/1234?token=secret' || url === 'https://example.com/project.sb3') {
+      return new Response(fs.readFileSync(getFixturePath('minimal-sb3.json')));
+    }
+    if (url === 'https://cdn2.scratch.mit.edu/get_image/project/1234_480x360.png') {
+      thumbnailFailures++;
+      if (thumbnailFailures === 1) {
+        return new Response('', {
+          status: 500
+        });
+      }
+      return new Response('big thumbnail');
+    }
+    if (url === 'https://cdn2.scratch.mit.edu/get_image/project/1234_282x218.png?v=1') {
+      return new Response('small thumbnail');
+    }
+    if (url === 'https://cdn2.scratch.mit.edu/get_image/user/5_60x60.png') {
+      return new Response('avatar');
+    }
+    if (url.includes('/internalapi/asset/')) {
+      return new Response('asset');
+    }
+    return new Response('', {
+      status: 404
+    });
+  };
+  return {
+    fetch,
+    requests
+  };
+};
+
+const decode = (arrayBuffer) => new TextDecoder().decode(arrayBuffer);
+
+test('thumbnail and avatar', async () => {
+  const {fetch} = makeFakeScratch();
+  const project = await SBDL.downloadProjectFromID('1234', {
+    fetch,
+    retryDelay: () => 0,
+    thumbnailSize: '480x360',
+    authorAvatarSize: '60x60'
+  });
+  // First attempt failed and was retried
+  expect(decode(project.thumbnail)).toBe('big thumbnail');
+  expect(decode(project.authorAvatar)).toBe('avatar');
+
+  const small = await SBDL.downloadProjectFromID('1234', {
+    fetch,
+    thumbnailSize: '282x218'
+  });
+  expect(decode(small.thumbnail)).toBe('small thumbnail');
+  expect(small).not.toHaveProperty('authorAvatar');
+});
+
+test('missing images are null', async () => {
+  const {fetch} = makeFakeScratch();
+  const project = await SBDL.downloadProjectFromID('1234', {
+    fetch,
+    thumbnailSize: '100x80',
+    authorAvatarSize: '32x32'
+  });
+  expect(project.thumbnail).toBe(null);
+  expect(project.authorAvatar).toBe(null);
+});
+
+test('images that fail to download are reported as events', async () => {
+  const {fetch} = makeFakeScratch();
+  const events = [];
+  const project = await SBDL.downloadProjectFromID('1234', {
+    fetch: (url, init) => {
+      if (url.includes('get_image/user')) {
+        return Promise.resolve(new Response('', {
+          status: 500
+        }));
+      }
+      return fetch(url, init);
+    },
+    retries: 1,
+    retryDelay: () => 0,
+    thumbnailSize: '282x218',
+    authorAvatarSize: '60x60',
+    onEvent: (event) => {
+      if (event.type === 'image-error') {
+        events.push(event);
+      }
+    }
+  });
+  expect(decode(project.thumbnail)).toBe('small thumbnail');
+  expect(project.authorAvatar).toBe(null);
+  expect(events).toStrictEqual([
+    {
+      type: 'image-error',
+      image: 'authorAvatar',
+      url: 'https://cdn2.scratch.mit.edu/get_image/user/5_60x60.png',
+      error: expect.any(Error)
+    }
+  ]);
+});
+
+test('images are not downloaded by default', async () => {
+  const {fetch, requests} = makeFakeScratch();
+  const project = await SBDL.downloadProjectFromID('1234', {
+    fetch
+  });
+  expect(project).not.toHaveProperty('thumbnail');
+  expect(project).not.toHaveProperty('authorAvatar');
+  expect(requests.some((url) => url.includes('get_image'))).toBe(false);
+});
+
+test('projects from URL have no images', async () => {
+  const {fetch} = makeFakeScratch();
+  const project = await SBDL.downloadProjectFromURL('https://example.com/project.sb3', {
+    fetch,
+    thumbnailSize: '480x360',
+    authorAvatarSize: '90x90'
+  });
+  expect(project.thumbnail).toBe(null);
+  expect(project.authorAvatar).toBe(null);
+});
+
+test('images are included when streaming', async () => {
+  const {fetch} = makeFakeScratch();
+  const chunks = [];
+  const project = await SBDL.downloadProjectToStream('1234', new WritableStream({
+    write: (chunk) => {
+      chunks.push(chunk);
+    }
+  }), {
+    fetch,
+    retryDelay: () => 0,
+    thumbnailSize: '480x360'
+  });
+  expect(chunks.length).toBeGreaterThan(0);
+  expect(decode(project.thumbnail)).toBe('big thumbnail');
+});
+
+test('aborting while downloading images', async () => {
+  const controller = new AbortController();
+  const {fetch} = makeFakeScratch();
+  const promise = SBDL.downloadProjectFromID('1234', {
+    signal: controller.signal,
+    thumbnailSize: '480x360',
+    fetch: (url, init) => {
+      if (url.includes('get_image')) {
+        return new Promise((resolve, reject) => {
+          init.signal.addEventListener('abort', () => {
+            reject(new DOMException('aborted', 'AbortError'));
+          });
+          controller.abort();
+        });
+      }
+      return fetch(url, init);
+    }
+  });
+  await expect(promise).rejects.toMatchObject({
+    name: 'AbortError'
+  });
+});
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {expect, test} from 'vitest';
+import JSZip from '@turbowarp/jszip';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath} from './test-utilities.js';
+
+test('unpacks sb3', async () => {
+  const original = fs.readFileSync(getFixturePath('167118244.sb3'));
+  const files = await SBDL.unpackProject(original);
+  const zip = await JSZip.loadAsync(original);
+
+  const paths = Object.keys(files);
+  expect(paths[0]).toBe('project.json');
+  expect(paths.slice(1)).toStrictEqual(paths.slice(1).sort());
+  expect(paths.sort()).toStrictEqual(Object.keys(zip.files).sort());
+  for (const path of paths) {
+    expect(files[path]).toBeInstanceOf(Uint8Array);
+    if (path !== 'project.json') {
+      expect(files[path]).toStrictEqual(await zip.file(path).async('uint8array'));
+    }
+  }
+
+  const projectJSON = new TextDecoder().decode(files['project.json']);
+  expect(projectJSON).toBe(`${JSON.stringify(JSON.parse(await zip.file('project.json').async('text')), null, 2)}\n`);
+});
+
+test('flattens subdirectories', async () => {
+  const files = await SBDL.unpackProject(fs.readFileSync(getFixturePath('json-in-subdirectory.sb3')));
+  expect(Object.keys(files)).toStrictEqual(['project.json', '9838d02002d05f88dc54d96494fbc202.png']);
+});
+
+test('pretty-prints non-standard JSON', async () => {
+  const files = await SBDL.unpackProject(fs.readFileSync(getFixturePath('non-standard-json.sb2')));
+  const text = new TextDecoder().decode(files['project.json']);
+  expect(text).toContain('\n  "variables": [\n');
+  expect(text).toContain('"value": NaN');
+  expect(text).toContain('"value": Infinity');
+});
+
+test('can convert to sb3 while unpacking', async () => {
+  const files = await SBDL.unpackProject(fs.readFileSync(getFixturePath('167118244.sb2')), {
+    outputFormat: 'sb3'
+  });
+  const projectJSON = JSON.parse(new TextDecoder().decode(files['project.json']));
+  expect(projectJSON.meta.semver).toBe('3.0.0');
+  for (const target of projectJSON.targets) {
+    for (const asset of [...target.costumes, ...target.sounds]) {
+      expect(files[asset.md5ext]).toBeInstanceOf(Uint8Array);
+    }
+  }
+});
+
+test('Scratch 1 projects can not be unpacked', async () => {
+  await expect(SBDL.unpackProject(fs.readFileSync(getFixturePath('scratch1.sb')))).rejects.toThrow('Cannot unpack Scratch 1 projects');
+});
+
+test('writes to directory', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sbdl-unpack-'));
+  try {
+    const output = path.join(directory, 'project');
+    const files = await SBDL.unpackProject(fs.readFileSync(getFixturePath('167118244.sb3')));
+    await SBDL.writeUnpackedProject(files, output);
+    expect(fs.readdirSync(output).sort()).toStrictEqual(Object.keys(files).sort());
+    expect(new Uint8Array(fs.readFileSync(path.join(output, 'project.json')))).toStrictEqual(files['project.json']);
+
+    await expect(SBDL.writeUnpackedProject({
+      '../escape.txt': new Uint8Array(0)
+    }, output)).rejects.toThrow('Unsafe path in project: ../escape.txt');
+    expect(fs.existsSync(path.join(directory, 'escape.txt'))).toBe(false);
+  } finally {
+    fs.rmSync(directory, {
+      recursive: true
+    });
+  }
+});
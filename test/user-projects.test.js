@@ -0,0 +1,141 @@
+import fs from 'fs';
+import {expect, test} from 'vitest';
+import * as SBDL from '../src/export-node.js';
+import environment from '../src/environment.js';
+import {getFixturePath, startServer} from './test-utilities.js';
+
+const projectJSON = fs.readFileSync(getFixturePath('minimal-sb3.json'));
+
+const PROJECT_COUNT = 50;
+const BROKEN_PROJECT = 12;
+
+/**
+ * Start a server that pretends to be the Scratch API and the project server.
+ */
+const startFakeScratch = async () => {
+  let activeDownloads = 0;
+  let maxActiveDownloads = 0;
+  const routes = {
+    '/api/users/student/projects': (req, res) => {
+      const params = new URL(req.url, 'http://localhost').searchParams;
+      const offset = +params.get('offset');
+      const limit = +params.get('limit');
+      const page = [];
+      for (let i = offset; i < Math.min(offset + limit, PROJECT_COUNT); i++) {
+        page.push({
+          id: 1000 + i,
+          title: `Project ${i}`
+        });
+      }
+      res.end(JSON.stringify(page));
+    }
+  };
+  for (let i = 0; i < PROJECT_COUNT; i++) {
+    const id = 1000 + i;
+    routes[`/api/projects/${id}`] = JSON.stringify({
+      id,
+      title: `Project ${i}`,
+      project_token: 'secret'
+    });
+    routes[`/projects/${id}`] = (req, res) => {
+      if (i === BROKEN_PROJECT) {
+        res.statusCode = 500;
+        res.end();
+        return;
+      }
+      activeDownloads++;
+      maxActiveDownloads = Math.max(maxActiveDownloads, activeDownloads);
+      setTimeout(() => {
+        activeDownloads--;
+        res.end(projectJSON);
+      }, 10);
+    };
+  }
+  const server = await startServer(routes);
+
+  const fetchFn = (url, init) => {
+    const localURL = url
+      .replace(/^https:\/\/(api\.scratch\.mit\.edu|trampoline\.turbowarp\.org\/api)\//, `${server.url}/api/`)
+      .replace(/^https:\/\/projects\.scratch\.mit\.edu\//, `${server.url}/projects/`);
+    if (localURL === url) {
+      // Assets
+      return Promise.resolve(new Response('asset'));
+    }
+    return fetch(localURL, init);
+  };
+
+  return {
+    server,
+    fetch: fetchFn,
+    getMaxActiveDownloads: () => maxActiveDownloads
+  };
+};
+
+test('downloads every project by a user', async () => {
+  const {server, fetch, getMaxActiveDownloads} = await startFakeScratch();
+  try {
+    let finishedCount = 0;
+    const result = await SBDL.downloadUserProjects('student', {
+      fetch,
+      maxConcurrentProjects: 3,
+      onProjectFinished: () => {
+        finishedCount++;
+      }
+    });
+
+    expect(server.requests.filter((i) => i.startsWith('/api/users/'))).toStrictEqual([
+      '/api/users/student/projects?offset=0&limit=40',
+      '/api/users/student/projects?offset=40&limit=40'
+    ]);
+
+    expect(result.username).toBe('student');
+    expect(result.projects.map((i) => i.id)).toStrictEqual(Array.from({length: PROJECT_COUNT}, (_, i) => `${1000 + i}`));
+    for (let i = 0; i < PROJECT_COUNT; i++) {
+      const project = result.projects[i];
+      expect(project.title).toBe(`Project ${i}`);
+      if (i === BROKEN_PROJECT) {
+        expect(project.project).toBe(null);
+        expect(project.error.name).toBe('HTTPError');
+      } else {
+        expect(project.project.title).toBe(`Project ${i}`);
+        expect(project.error).toBe(null);
+      }
+    }
+    expect(finishedCount).toBe(PROJECT_COUNT);
+    expect(getMaxActiveDownloads()).toBe(3);
+  } finally {
+    await server.close();
+  }
+});
+
+test('uses trampoline when API is not accessible', async () => {
+  const {server, fetch} = await startFakeScratch();
+  environment.canAccessScratchAPI = false;
+  try {
+    const requested = [];
+    const projects = await SBDL.getUserProjects('student', {
+      fetch: (url, init) => {
+        requested.push(url);
+        return fetch(url, init);
+      }
+    });
+    expect(projects.length).toBe(PROJECT_COUNT);
+    expect(requested.every((url) => url.startsWith('https://trampoline.turbowarp.org/api/users/student/projects'))).toBe(true);
+  } finally {
+    environment.canAccessScratchAPI = true;
+    await server.close();
+  }
+});
+
+test('user that does not exist', async () => {
+  const {server, fetch} = await startFakeScratch();
+  try {
+    await expect(SBDL.downloadUserProjects('nobody', {
+      fetch
+    })).rejects.toMatchObject({
+      name: 'CanNotAccessUserError'
+    });
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,294 @@
+import fs from 'fs';
+import {expect, test} from 'vitest';
+import JSZip from '@turbowarp/jszip';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath} from './test-utilities.js';
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="2" height="2"/>';
+// md5 of SVG
+const SVG_MD5EXT = '579964cc61df8ed652ea12544d766d58.svg';
+
+const makeZip = async (projectJSON, files) => {
+  const zip = new JSZip();
+  zip.file('project.json', JSON.stringify(projectJSON));
+  for (const [path, data] of Object.entries(files)) {
+    zip.file(path, data);
+  }
+  return zip.generateAsync({
+    type: 'uint8array'
+  });
+};
+
+const costume = (md5ext) => ({
+  name: 'costume1',
+  assetId: md5ext.split('.')[0],
+  dataFormat: md5ext.split('.')[1],
+  md5ext,
+  rotationCenterX: 0,
+  rotationCenterY: 0
+});
+
+const sprite = (name, extra) => Object.assign({
+  isStage: false,
+  name,
+  variables: {},
+  lists: {},
+  broadcasts: {},
+  blocks: {},
+  comments: {},
+  currentCostume: 0,
+  costumes: [costume(SVG_MD5EXT)],
+  sounds: []
+}, extra);
+
+const makeSB3 = (sprites) => ({
+  targets: [
+    sprite('Stage', {
+      isStage: true,
+      variables: {
+        globalVariable: ['my variable', 0]
+      },
+      lists: {
+        globalList: ['my list', []]
+      },
+      broadcasts: {
+        message: 'message1'
+      }
+    }),
+    ...sprites
+  ],
+  monitors: [],
+  extensions: [],
+  meta: {
+    semver: '3.0.0'
+  }
+});
+
+test('valid projects have no problems', async () => {
+  for (const fixture of ['167118244.sb3', '167118244.sb2', 'tosh-default.sb2', 'sb3-167118244.json']) {
+    const report = await SBDL.validateProject(fs.readFileSync(getFixturePath(fixture)));
+    expect(report.errors).toStrictEqual([]);
+    expect(report.warnings).toStrictEqual([]);
+  }
+  expect((await SBDL.validateProject(fs.readFileSync(getFixturePath('167118244.sb3')))).type).toBe('sb3');
+  expect((await SBDL.validateProject(fs.readFileSync(getFixturePath('scratch1.sb')))).type).toBe('sb');
+});
+
+test('unknown project type', async () => {
+  expect(await SBDL.validateProject(new TextEncoder().encode('{"something": 1}'))).toStrictEqual({
+    type: null,
+    errors: [{
+      code: 'unknown-type',
+      message: 'project.json is not an sb2 or sb3 project',
+      path: []
+    }],
+    warnings: []
+  });
+  const garbage = await SBDL.validateProject(new Uint8Array([1, 2, 3, 4]));
+  expect(garbage.type).toBe(null);
+  expect(garbage.errors[0].code).toBe('unknown-type');
+  const noJSON = await SBDL.validateProject(await new JSZip().file('a.txt', 'a').generateAsync({type: 'uint8array'}));
+  expect(noJSON.errors[0].message).toBe('project.json is missing');
+});
+
+test('sb3 problems', async () => {
+  const report = await SBDL.validateProject(await makeZip(makeSB3([
+    sprite('Sprite1', {
+      variables: {
+        localVariable: ['local', 0]
+      },
+      blocks: {
+        a: {
+          opcode: 'data_setvariableto',
+          next: 'b',
+          parent: null,
+          inputs: {
+            VALUE: [3, [12, 'missing variable', 'nope'], [10, '']]
+          },
+          fields: {
+            VARIABLE: ['local', 'localVariable']
+          },
+          shadow: false,
+          topLevel: true
+        },
+        b: {
+          opcode: 'data_addtolist',
+          next: 'does not exist',
+          parent: 'a',
+          inputs: {},
+          fields: {
+            LIST: ['gone', 'missingList']
+          },
+          shadow: false,
+          topLevel: false
+        },
+        c: {
+          opcode: 'event_whenbroadcastreceived',
+          next: null,
+          parent: 'also missing',
+          inputs: {},
+          fields: {
+            BROADCAST_OPTION: ['message1', 'message']
+          },
+          shadow: false,
+          topLevel: true
+        },
+        d: [13, 'my list', 'globalList', 0, 0],
+        e: [12, 'old variable', 'oldVariable', 0, 0]
+      }
+    }),
+    sprite('Sprite1', {
+      costumes: [costume('00000000000000000000000000000000.png')]
+    })
+  ]), {
+    [SVG_MD5EXT]: SVG,
+    'unused.png': 'a'
+  }));
+
+  expect(report.type).toBe('sb3');
+  expect(report.errors).toStrictEqual([
+    {
+      code: 'duplicate-target-name',
+      message: 'More than one sprite is named Sprite1',
+      path: ['targets', 2, 'name']
+    },
+    {
+      code: 'broken-block-reference',
+      message: 'Block b in Sprite1 has next does not exist that does not exist',
+      path: ['targets', 1, 'blocks', 'b', 'next']
+    },
+    {
+      code: 'broken-block-reference',
+      message: 'Block c in Sprite1 has parent also missing that does not exist',
+      path: ['targets', 1, 'blocks', 'c', 'parent']
+    },
+    {
+      code: 'missing-asset',
+      message: '00000000000000000000000000000000.png is used by Sprite1 but is not in the project',
+      path: ['targets', 2, 'costumes', 0],
+      file: '00000000000000000000000000000000.png'
+    }
+  ]);
+  expect(report.warnings).toStrictEqual([
+    {
+      code: 'broken-variable-reference',
+      message: 'Sprite1 uses variable missing variable that does not exist',
+      path: ['targets', 1, 'blocks', 'a', 'inputs', 'VALUE', 1]
+    },
+    {
+      code: 'broken-list-reference',
+      message: 'Sprite1 uses list gone that does not exist',
+      path: ['targets', 1, 'blocks', 'b', 'fields', 'LIST']
+    },
+    {
+      code: 'broken-variable-reference',
+      message: 'Sprite1 uses variable old variable that does not exist',
+      path: ['targets', 1, 'blocks', 'e']
+    },
+    {
+      code: 'unreferenced-file',
+      message: 'unused.png is not used by the project',
+      path: [],
+      file: 'unused.png'
+    }
+  ]);
+});
+
+test('sb2 problems', async () => {
+  const report = await SBDL.validateProject(await makeZip({
+    objName: 'Stage',
+    variables: [{name: 'global', value: 0}],
+    lists: [],
+    costumes: [{costumeName: 'backdrop1', baseLayerID: 0, baseLayerMD5: 'abc.svg'}],
+    sounds: [],
+    children: [
+      {
+        objName: 'Sprite1',
+        variables: [],
+        lists: [{listName: 'items', contents: []}],
+        scripts: [[0, 0, [
+          ['whenGreenFlag'],
+          ['setVar:to:', 'global', ['getLine:ofList:', 1, 'items']],
+          ['doIf', ['mousePressed'], [['changeVar:by:', 'missing', 1]]],
+          ['append:toList:', 'x', 'missing list']
+        ]]],
+        costumes: [{costumeName: 'costume1', baseLayerID: 1, baseLayerMD5: ''}],
+        sounds: [{soundName: 'pop', soundID: 0, md5: 'abc.wav'}]
+      },
+      {
+        objName: 'Sprite1',
+        costumes: [{costumeName: 'costume1', baseLayerID: 0, baseLayerMD5: 'abc.svg'}]
+      },
+      {target: 'Stage', cmd: 'timer'}
+    ]
+  }, {
+    '0.svg': SVG,
+    '1.svg': SVG,
+    '5.png': 'a'
+  }));
+
+  expect(report.type).toBe('sb2');
+  expect(report.errors).toStrictEqual([
+    {
+      code: 'duplicate-target-name',
+      message: 'More than one sprite is named Sprite1',
+      path: ['children', 1, 'objName']
+    },
+    {
+      code: 'missing-asset',
+      message: 'Sound pop of Sprite1 is not in the project',
+      path: ['children', 0, 'sounds', 0],
+      file: '0.wav'
+    }
+  ]);
+  expect(report.warnings).toStrictEqual([
+    {
+      code: 'broken-variable-reference',
+      message: 'Sprite1 uses variable missing that does not exist',
+      path: ['children', 0, 'scripts', 0, 2, 2, 2, 0, 1]
+    },
+    {
+      code: 'broken-list-reference',
+      message: 'Sprite1 uses list missing list that does not exist',
+      path: ['children', 0, 'scripts', 0, 2, 3, 2]
+    },
+    {
+      code: 'unreferenced-file',
+      message: '5.png is not used by the project',
+      path: [],
+      file: '5.png'
+    }
+  ]);
+});
+
+test('files are not checked if there is only project.json', async () => {
+  const report = await SBDL.validateProject(new TextEncoder().encode(JSON.stringify(makeSB3([]))));
+  expect(report.errors).toStrictEqual([]);
+  expect(report.warnings).toStrictEqual([]);
+});
+
+test('validate option', async () => {
+  const data = fs.readFileSync(getFixturePath('missing-assets-subdir.sb3'));
+  const withoutValidation = await SBDL.downloadProjectFromBuffer(data, {
+    missingAssetPolicy: 'skip',
+    fetch: async () => new Response('', {status: 404})
+  });
+  expect(withoutValidation).not.toHaveProperty('validation');
+
+  const project = await SBDL.downloadProjectFromBuffer(data, {
+    validate: true,
+    missingAssetPolicy: 'skip',
+    fetch: async () => new Response('', {status: 404})
+  });
+  expect(project.validation.type).toBe('sb3');
+  expect(project.validation.errors.map((i) => i.file).sort()).toStrictEqual(project.missingAssets.map((i) => i.md5ext).sort());
+
+  const sb = await SBDL.downloadProjectFromBuffer(fs.readFileSync(getFixturePath('scratch1.sb')), {
+    validate: true
+  });
+  expect(sb.validation).toStrictEqual({
+    type: 'sb',
+    errors: [],
+    warnings: []
+  });
+});
@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import {expect, test} from 'vitest';
+import JSZip from '@turbowarp/jszip';
+import * as SBDL from '../src/export-node.js';
+import {startServer} from './test-utilities.js';
+
+const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"></svg>';
+const checksum = crypto.createHash('md5').update(svg).digest('hex');
+const md5ext = `${checksum}.svg`;
+
+const projectJSON = {
+  targets: [
+    {
+      isStage: true,
+      name: 'Stage',
+      variables: {},
+      lists: {},
+      broadcasts: {},
+      blocks: {},
+      comments: {},
+      currentCostume: 0,
+      costumes: [
+        {
+          name: 'backdrop1',
+          dataFormat: 'svg',
+          assetId: checksum,
+          md5ext,
+          rotationCenterX: 5,
+          rotationCenterY: 5
+        }
+      ],
+      sounds: [],
+      volume: 100,
+      layerOrder: 0
+    }
+  ],
+  monitors: [],
+  extensions: [],
+  meta: {
+    semver: '3.0.0'
+  }
+};
+
+test('retries assets with wrong checksum', async () => {
+  let requests = 0;
+  const server = await startServer({
+    [`/${md5ext}`]: (req, res) => {
+      requests++;
+      res.end(requests === 1 ? svg.substring(0, 20) : svg);
+    }
+  });
+  try {
+    const project = await SBDL.downloadProjectFromJSON(JSON.stringify(projectJSON), {
+      assetHost: `${server.url}/$id`,
+      verifyAssets: true,
+      retryDelay: () => 0
+    });
+    expect(requests).toBe(2);
+    expect(project.missingAssets).toStrictEqual([]);
+    const zip = await JSZip.loadAsync(project.arrayBuffer);
+    expect(await zip.file(md5ext).async('text')).toBe(svg);
+  } finally {
+    await server.close();
+  }
+});
+
+test('checksums are not verified by default', async () => {
+  const server = await startServer({
+    [`/${md5ext}`]: 'not an svg'
+  });
+  try {
+    const project = await SBDL.downloadProjectFromJSON(JSON.stringify(projectJSON), {
+      assetHost: `${server.url}/$id`
+    });
+    expect(server.requests.length).toBe(1);
+    const zip = await JSZip.loadAsync(project.arrayBuffer);
+    expect(await zip.file(md5ext).async('text')).toBe('not an svg');
+  } finally {
+    await server.close();
+  }
+});
+
+test('corrupt assets in compressed projects are downloaded again', async () => {
+  const inputZip = new JSZip();
+  inputZip.file('project.json', JSON.stringify(projectJSON));
+  inputZip.file(md5ext, 'corrupt');
+  const input = await inputZip.generateAsync({
+    type: 'uint8array'
+  });
+
+  const server = await startServer({
+    [`/${md5ext}`]: svg
+  });
+  try {
+    const unverified = await SBDL.downloadProjectFromBuffer(input, {
+      assetHost: `${server.url}/$id`
+    });
+    expect(server.requests.length).toBe(0);
+    expect(new Uint8Array(unverified.arrayBuffer)).toStrictEqual(input);
+
+    const verified = await SBDL.downloadProjectFromBuffer(input, {
+      assetHost: `${server.url}/$id`,
+      verifyAssets: true
+    });
+    expect(server.requests.length).toBe(1);
+    expect(verified.missingAssets).toStrictEqual([]);
+    const zip = await JSZip.loadAsync(verified.arrayBuffer);
+    expect(await zip.file(md5ext).async('text')).toBe(svg);
+  } finally {
+    await server.close();
+  }
+});
+
+test('corrupt assets that can not be downloaded again are reported', async () => {
+  const inputZip = new JSZip();
+  inputZip.file('project.json', JSON.stringify(projectJSON));
+  inputZip.file(md5ext, 'corrupt');
+  const input = await inputZip.generateAsync({
+    type: 'uint8array'
+  });
+
+  const server = await startServer({});
+  try {
+    const project = await SBDL.downloadProjectFromBuffer(input, {
+      assetHost: `${server.url}/$id`,
+      verifyAssets: true
+    });
+    expect(project.missingAssets).toStrictEqual([
+      {
+        md5ext,
+        reason: 'corrupt',
+        references: [
+          {
+            target: 'Stage',
+            type: 'costume',
+            name: 'backdrop1'
+          }
+        ]
+      }
+    ]);
+    const zip = await JSZip.loadAsync(project.arrayBuffer);
+    expect(zip.file(md5ext)).toBeNull();
+  } finally {
+    await server.close();
+  }
+});
+
+test('assets that are always corrupt are reported', async () => {
+  const server = await startServer({
+    [`/${md5ext}`]: 'corrupt'
+  });
+  try {
+    const project = await SBDL.downloadProjectFromJSON(JSON.stringify(projectJSON), {
+      assetHost: `${server.url}/$id`,
+      verifyAssets: true,
+      retries: 2,
+      retryDelay: () => 0
+    });
+    expect(server.requests.length).toBe(3);
+    expect(project.missingAssets.map(i => [i.md5ext, i.reason])).toStrictEqual([
+      [md5ext, 'corrupt']
+    ]);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,210 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import {expect, test} from 'vitest';
+import * as SBDL from '../src/export-node.js';
+import {getFixturePath, startServer} from './test-utilities.js';
+
+const projectJSON = fs.readFileSync(getFixturePath('minimal-sb3.json'));
+
+/**
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {{headers: Record<string, string>, block: Buffer}[]}
+ */
+const parseWARC = (arrayBuffer) => {
+  const buffer = Buffer.from(arrayBuffer);
+  const records = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const headerEnd = buffer.indexOf('\r\n\r\n', offset);
+    const headerLines = buffer.subarray(offset, headerEnd).toString().split('\r\n');
+    expect(headerLines[0]).toBe('WARC/1.0');
+    const headers = {};
+    for (const line of headerLines.slice(1)) {
+      const colon = line.indexOf(': ');
+      headers[line.substring(0, colon)] = line.substring(colon + 2);
+    }
+    const blockStart = headerEnd + 4;
+    const blockEnd = blockStart + +headers['Content-Length'];
+    records.push({
+      headers,
+      block: buffer.subarray(blockStart, blockEnd)
+    });
+    expect(buffer.subarray(blockEnd, blockEnd + 4).toString()).toBe('\r\n\r\n');
+    offset = blockEnd + 4;
+  }
+  return records;
+};
+
+/**
+ * @param {Buffer} block
+ */
+const parseHTTP = (block) => {
+  const headerEnd = block.indexOf('\r\n\r\n');
+  const lines = block.subarray(0, headerEnd).toString().split('\r\n');
+  return {
+    startLine: lines[0],
+    headers: lines.slice(1),
+    body: block.subarray(headerEnd + 4)
+  };
+};
+
+test('records every request and response', async () => {
+  const server = await startServer({
+    '/api/projects/1234': (req, res) => {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({
+        id: 1234,
+        title: 'Project',
+        project_token: 'secret'
+      }));
+    },
+    '/projects/1234': (req, res) => {
+      expect(req.url).toBe('/projects/1234?token=secret');
+      res.setHeader('content-encoding', 'gzip');
+      res.end(zlib.gzipSync(projectJSON));
+    },
+    '/assets/cd21514d0531fdffb22204e0ec5ed84a.svg': 'svg 1',
+    '/assets/592bae6f8bb9c8d88401b54ac431f7b6.svg': 'svg 2',
+    '/assets/83a9787d4cb6f3b7632b4ddfebf74367.wav': 'wav'
+  });
+
+  try {
+    const warc = SBDL.createWARCRecorder();
+    const project = await SBDL.downloadProjectFromID('1234', {
+      warc,
+      fetch: (url, init) => fetch(url
+        .replace('https://api.scratch.mit.edu/', `${server.url}/api/`)
+        .replace('https://projects.scratch.mit.edu/', `${server.url}/projects/`)
+        .replace('https://assets.scratch.mit.edu/internalapi/asset/', `${server.url}/assets/`)
+        .replace('/get/', ''), init)
+    });
+    expect(project.missingAssets).toStrictEqual([]);
+
+    const arrayBuffer = await warc.generate();
+    expect(Buffer.from(arrayBuffer).includes('secret')).toBe(false);
+
+    const records = parseWARC(arrayBuffer);
+    expect(records.map((i) => i.headers['WARC-Type'])).toStrictEqual([
+      'warcinfo',
+      'request',
+      'response',
+      'request',
+      'response',
+      'request',
+      'response',
+      'request',
+      'response',
+      'request',
+      'response'
+    ]);
+
+    const [, metadataRequest, metadataResponse, projectRequest, projectResponse] = records;
+    expect(metadataRequest.headers['WARC-Target-URI']).toBe('https://api.scratch.mit.edu/projects/1234');
+    expect(metadataRequest.headers['WARC-Concurrent-To']).toBe(metadataResponse.headers['WARC-Record-ID']);
+    expect(metadataRequest.headers['Content-Type']).toBe('application/http;msgtype=request');
+    expect(parseHTTP(metadataRequest.block).startLine).toBe('GET /projects/1234 HTTP/1.1');
+    expect(parseHTTP(metadataRequest.block).headers).toContain('host: api.scratch.mit.edu');
+
+    expect(metadataResponse.headers['Content-Type']).toBe('application/http;msgtype=response');
+    const metadataHTTP = parseHTTP(metadataResponse.block);
+    expect(metadataHTTP.startLine).toBe('HTTP/1.1 200 OK');
+    expect(JSON.parse(metadataHTTP.body.toString())).toStrictEqual({
+      id: 1234,
+      title: 'Project',
+      project_token: 'x'
+    });
+    expect(metadataHTTP.headers).toContain(`content-length: ${metadataHTTP.body.length}`);
+
+    // Token is redacted and the body is stored decompressed
+    expect(projectRequest.headers['WARC-Target-URI']).toBe('https://projects.scratch.mit.edu/1234?token=x');
+    expect(parseHTTP(projectRequest.block).startLine).toBe('GET /1234?token=x HTTP/1.1');
+    const projectHTTP = parseHTTP(projectResponse.block);
+    expect(projectHTTP.body.equals(projectJSON)).toBe(true);
+    expect(projectHTTP.headers.some((i) => i.startsWith('content-encoding'))).toBe(false);
+    expect(projectHTTP.headers).toContain(`content-length: ${projectJSON.length}`);
+
+    const assetURIs = records.slice(5).filter((i) => i.headers['WARC-Type'] === 'response').map((i) => i.headers['WARC-Target-URI']);
+    expect(assetURIs.sort()).toStrictEqual([
+      'https://assets.scratch.mit.edu/internalapi/asset/592bae6f8bb9c8d88401b54ac431f7b6.svg/get/',
+      'https://assets.scratch.mit.edu/internalapi/asset/83a9787d4cb6f3b7632b4ddfebf74367.wav/get/',
+      'https://assets.scratch.mit.edu/internalapi/asset/cd21514d0531fdffb22204e0ec5ed84a.svg/get/'
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('each request is only recorded once', async () => {
+  const warc = SBDL.createWARCRecorder();
+  const requests = [];
+  await SBDL.downloadStudio('5', {
+    warc,
+    fetch: async (url) => {
+      requests.push(url);
+      if (url.startsWith('https://api.scratch.mit.edu/studios/5/projects')) {
+        return new Response(JSON.stringify([{id: 1, title: 'a'}]));
+      }
+      if (url === 'https://api.scratch.mit.edu/projects/1') {
+        return new Response(JSON.stringify({title: 'a'}));
+      }
+      if (url === 'https://projects.scratch.mit.edu/1') {
+        return new Response(projectJSON);
+      }
+      return new Response('asset');
+    }
+  });
+  const records = parseWARC(await warc.generate());
+  expect(requests.length).toBe(6);
+  expect(records.filter((i) => i.headers['WARC-Type'] === 'response').length).toBe(requests.length);
+});
+
+test('project download progress is still reported in Node.js', async () => {
+  const gzipped = zlib.gzipSync(projectJSON);
+  const server = await startServer({
+    '/project.sb3': (req, res) => {
+      res.setHeader('content-encoding', 'gzip');
+      res.setHeader('content-length', gzipped.byteLength);
+      const chunkSize = Math.ceil(gzipped.byteLength / 4);
+      let offset = 0;
+      const next = () => {
+        res.write(gzipped.subarray(offset, offset + chunkSize));
+        offset += chunkSize;
+        if (offset < gzipped.byteLength) {
+          setTimeout(next, 10);
+        } else {
+          res.end();
+        }
+      };
+      next();
+    },
+    '/cd21514d0531fdffb22204e0ec5ed84a.svg': 'svg 1',
+    '/592bae6f8bb9c8d88401b54ac431f7b6.svg': 'svg 2',
+    '/83a9787d4cb6f3b7632b4ddfebf74367.wav': 'wav'
+  });
+
+  try {
+    const warc = SBDL.createWARCRecorder();
+    const progress = [];
+    await SBDL.downloadProjectFromURL(`${server.url}/project.sb3`, {
+      warc,
+      assetHost: `${server.url}/$id`,
+      onProgress: (type, loaded) => {
+        if (type === 'project') {
+          progress.push(loaded);
+        }
+      }
+    });
+    expect(progress.some((i) => i > 0 && i < 1)).toBe(true);
+
+    const records = parseWARC(await warc.generate());
+    const responses = records.filter((i) => i.headers['WARC-Type'] === 'response');
+    expect(responses.length).toBe(4);
+    expect(responses[0].headers['WARC-Target-URI']).toBe(`${server.url}/project.sb3`);
+    const projectHTTP = parseHTTP(responses[0].block);
+    expect(projectHTTP.startLine).toBe('HTTP/1.1 200 OK');
+    expect(projectHTTP.body.equals(projectJSON)).toBe(true);
+    expect(projectHTTP.headers.some((i) => i.startsWith('content-encoding'))).toBe(false);
+  } finally {
+    await server.close();
+  }
+});